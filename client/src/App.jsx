@@ -3,14 +3,18 @@
  * 
  * Sets up React Router for navigation between:
  * - Home Page: Create or join a room
+ * - Join Page: Name prompt for invite links
+ * - Lobby Page: Camera/mic check before joining
  * - Call Page: Video/Audio call interface
  * 
  * Includes animated background elements for premium look
  */
 
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useParams } from 'react-router-dom';
 import { useEffect, useState } from 'react';
 import HomePage from './pages/HomePage';
+import JoinPage from './pages/JoinPage';
+import LobbyPage from './pages/LobbyPage';
 import CallPage from './pages/CallPage';
 import './index.css';
 
@@ -45,6 +49,19 @@ const NotFoundPage = () => (
   </div>
 );
 
+/**
+ * Sends visitors who haven't told us their name yet (e.g. straight from an
+ * invite link) to the name prompt instead of joining as "Anonymous"
+ */
+const RequireUserName = ({ children }) => {
+  const { roomCode } = useParams();
+
+  if (!sessionStorage.getItem('userName')) {
+    return <Navigate to={`/join/${encodeURIComponent(roomCode)}`} replace />;
+  }
+  return children;
+};
+
 function App() {
   const [loading, setLoading] = useState(true);
 
@@ -66,7 +83,9 @@ function App() {
       {/* Main Routes */}
       <Routes>
         <Route path="/" element={<HomePage />} />
-        <Route path="/call/:roomCode" element={<CallPage />} />
+        <Route path="/join/:roomCode" element={<JoinPage />} />
+        <Route path="/lobby/:roomCode" element={<RequireUserName><LobbyPage /></RequireUserName>} />
+        <Route path="/call/:roomCode" element={<RequireUserName><CallPage /></RequireUserName>} />
         <Route path="*" element={<NotFoundPage />} />
       </Routes>
     </Router>
@@ -0,0 +1,229 @@
+/**
+ * AnnotationOverlay Component
+ *
+ * A drawing layer over a shared screen's video with a small toolbar: pen,
+ * arrow, laser pointer and clear-all. The layer covers exactly the video
+ * frame inside the letterboxing, and positions are fractions of it (see
+ * useAnnotations). With no tool picked, clicks go through to the video.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Pencil, MoveUpRight, Crosshair, Trash2 } from 'lucide-react';
+import { MAX_STROKE_POINTS } from '../hooks/useAnnotations';
+import { drawStroke, drawArrow } from '../services/drawing';
+
+const COLORS = ['#ef4444', '#facc15', '#22c55e', '#3b82f6'];
+
+const TOOLS = [
+    { id: 'pen', label: 'Draw', icon: Pencil },
+    { id: 'arrow', label: 'Arrow', icon: MoveUpRight },
+    { id: 'laser', label: 'Laser pointer', icon: Crosshair }
+];
+
+// Pointer moves closer than this to the last point (as a fraction of the
+// frame) don't add to a stroke
+const MIN_POINT_DISTANCE = 0.002;
+
+/**
+ * Where the video frame sits inside a video element showing it with
+ * object-fit: contain, in CSS pixels
+ */
+const frameRect = (video) => {
+    const { videoWidth, videoHeight, clientWidth, clientHeight } = video;
+    if (!videoWidth || !videoHeight) return null;
+
+    const scale = Math.min(clientWidth / videoWidth, clientHeight / videoHeight);
+    const width = videoWidth * scale;
+    const height = videoHeight * scale;
+    return { left: (clientWidth - width) / 2, top: (clientHeight - height) / 2, width, height };
+};
+
+/**
+ * Glowing dot, with the name of whoever points it
+ */
+const drawLaser = (ctx, { x, y, userName }, width, height) => {
+    const cx = x * width, cy = y * height;
+
+    ctx.save();
+    ctx.fillStyle = '#ff2d2d';
+    ctx.shadowColor = '#ff2d2d';
+    ctx.shadowBlur = 16;
+    ctx.beginPath();
+    ctx.arc(cx, cy, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    if (userName) {
+        ctx.font = '12px system-ui, sans-serif';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        const labelWidth = ctx.measureText(userName).width + 12;
+        ctx.fillRect(cx + 12, cy - 9, labelWidth, 18);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(userName, cx + 18, cy + 4);
+    }
+};
+
+/**
+ * @param {{current: HTMLVideoElement|null}} videoRef - The shared screen's video
+ * @param {Array} shapes - From useAnnotations
+ * @param {Array} lasers - From useAnnotations
+ * @param {Function} draw - From useAnnotations
+ * @param {Function} pointLaser - From useAnnotations
+ * @param {Function} clearAll - From useAnnotations
+ */
+const AnnotationOverlay = ({ videoRef, shapes, lasers, draw, pointLaser, clearAll }) => {
+    const canvasRef = useRef(null);
+    const draftRef = useRef(null); // { tool, color, points } while drawing
+    const [frame, setFrame] = useState(null);
+    const [tool, setTool] = useState(null);
+    const [color, setColor] = useState(COLORS[0]);
+
+    // Follow the video frame as the element resizes or the shared window
+    // changes size
+    useEffect(() => {
+        const video = videoRef.current;
+        if (!video) return;
+
+        const update = () => setFrame(frameRect(video));
+        const observer = new ResizeObserver(update);
+        observer.observe(video);
+        video.addEventListener('loadedmetadata', update);
+        video.addEventListener('resize', update);
+
+        return () => {
+            observer.disconnect();
+            video.removeEventListener('loadedmetadata', update);
+            video.removeEventListener('resize', update);
+        };
+    }, [videoRef]);
+
+    const redraw = useCallback(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !frame) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(frame.width * ratio);
+        canvas.height = Math.round(frame.height * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(ratio, ratio);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = Math.max(2, frame.width / 400);
+
+        const draft = draftRef.current;
+        for (const shape of draft ? [...shapes, draft] : shapes) {
+            ctx.strokeStyle = shape.color;
+            if (shape.tool === 'arrow') drawArrow(ctx, shape.points, frame.width, frame.height);
+            else drawStroke(ctx, shape.points, frame.width, frame.height);
+        }
+        lasers.forEach(laser => drawLaser(ctx, laser, frame.width, frame.height));
+    }, [frame, shapes, lasers]);
+
+    useEffect(() => {
+        redraw();
+    }, [redraw]);
+
+    /**
+     * Pointer position as fractions of the frame
+     */
+    const toPoint = (event) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return [
+            Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+            Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height))
+        ];
+    };
+
+    const handlePointerDown = (event) => {
+        if (tool !== 'pen' && tool !== 'arrow') return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        const point = toPoint(event);
+        draftRef.current = { tool, color, points: tool === 'arrow' ? [point, point] : [point] };
+        redraw();
+    };
+
+    const handlePointerMove = (event) => {
+        const point = toPoint(event);
+        if (tool === 'laser') {
+            pointLaser(...point);
+            return;
+        }
+
+        const draft = draftRef.current;
+        if (!draft) return;
+        if (draft.tool === 'arrow') {
+            draft.points[1] = point;
+        } else {
+            const [lastX, lastY] = draft.points[draft.points.length - 1];
+            if (Math.hypot(point[0] - lastX, point[1] - lastY) < MIN_POINT_DISTANCE) return;
+            if (draft.points.length >= MAX_STROKE_POINTS) return;
+            draft.points.push(point);
+        }
+        redraw();
+    };
+
+    const handlePointerUp = () => {
+        const draft = draftRef.current;
+        draftRef.current = null;
+        if (!draft) return;
+
+        // A click with the arrow tool has no direction to show
+        const [[x1, y1], [x2, y2]] = [draft.points[0], draft.points[draft.points.length - 1]];
+        if (draft.tool === 'arrow' && Math.hypot(x2 - x1, y2 - y1) < MIN_POINT_DISTANCE * 5) {
+            redraw();
+            return;
+        }
+        draw(draft.tool, draft.color, draft.points);
+    };
+
+    return (
+        <>
+            {frame && (
+                <canvas
+                    ref={canvasRef}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={handlePointerUp}
+                    className={`absolute touch-none ${tool ? (tool === 'laser' ? 'cursor-none' : 'cursor-crosshair') : 'pointer-events-none'}`}
+                    style={{ left: frame.left, top: frame.top, width: frame.width, height: frame.height }}
+                />
+            )}
+
+            <div className="absolute top-3 left-3 z-10 glass-card p-1.5 flex items-center gap-1">
+                {TOOLS.map(option => (
+                    <button
+                        key={option.id}
+                        onClick={() => setTool(tool === option.id ? null : option.id)}
+                        className={`p-2 rounded-lg transition-colors ${tool === option.id ? 'bg-purple-500/40 text-white' : 'hover:bg-white/10 text-secondary'}`}
+                        title={tool === option.id ? `${option.label} (click again to stop)` : option.label}
+                    >
+                        <option.icon className="w-4 h-4" />
+                    </button>
+                ))}
+                <div className="w-px h-5 bg-white/15 mx-1" />
+                {COLORS.map(option => (
+                    <button
+                        key={option}
+                        onClick={() => setColor(option)}
+                        className={`w-5 h-5 rounded-full border-2 transition-transform ${color === option ? 'border-white scale-110' : 'border-transparent'}`}
+                        style={{ background: option }}
+                        title="Drawing color"
+                    />
+                ))}
+                <div className="w-px h-5 bg-white/15 mx-1" />
+                <button
+                    onClick={clearAll}
+                    disabled={shapes.length === 0}
+                    className="p-2 rounded-lg hover:bg-white/10 text-secondary transition-colors disabled:opacity-40"
+                    title="Clear all drawings"
+                >
+                    <Trash2 className="w-4 h-4" />
+                </button>
+            </div>
+        </>
+    );
+};
+
+export default AnnotationOverlay;
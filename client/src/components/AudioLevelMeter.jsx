@@ -0,0 +1,64 @@
+/**
+ * AudioLevelMeter Component
+ *
+ * Live microphone level read from a Web Audio AnalyserNode, drawn as a
+ * row of bars so people can see their mic is actually picking them up.
+ */
+
+import { useEffect, useState } from 'react';
+
+const BAR_COUNT = 12;
+
+const AudioLevelMeter = ({ stream }) => {
+    // Level from 0 to 1
+    const [level, setLevel] = useState(0);
+
+    useEffect(() => {
+        const [audioTrack] = stream?.getAudioTracks() || [];
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!audioTrack || !AudioContextClass) return;
+
+        const audioContext = new AudioContextClass();
+        const source = audioContext.createMediaStreamSource(new MediaStream([audioTrack]));
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        source.connect(analyser);
+
+        const samples = new Float32Array(analyser.fftSize);
+        let frame;
+
+        const update = () => {
+            analyser.getFloatTimeDomainData(samples);
+
+            // Root mean square of the waveform, scaled so normal speech fills most of the meter
+            let sum = 0;
+            for (const sample of samples) sum += sample * sample;
+            setLevel(Math.min(1, Math.sqrt(sum / samples.length) * 4));
+
+            frame = requestAnimationFrame(update);
+        };
+        frame = requestAnimationFrame(update);
+
+        return () => {
+            cancelAnimationFrame(frame);
+            source.disconnect();
+            audioContext.close();
+        };
+    }, [stream]);
+
+    const activeBars = Math.round(level * BAR_COUNT);
+
+    return (
+        <div className="flex items-end gap-1 h-5" title="Microphone level">
+            {Array.from({ length: BAR_COUNT }, (_, i) => (
+                <div
+                    key={i}
+                    className={`w-1.5 rounded-full transition-colors ${i < activeBars ? (i >= BAR_COUNT - 2 ? 'bg-amber-400' : 'bg-green-400') : 'bg-white/15'}`}
+                    style={{ height: `${30 + (i / BAR_COUNT) * 70}%` }}
+                />
+            ))}
+        </div>
+    );
+};
+
+export default AudioLevelMeter;
@@ -0,0 +1,98 @@
+/**
+ * CallHealthOverlay Component
+ *
+ * Live connection details for every participant, from the latest stats
+ * sample: the network route and round trip time, and resolution, frame
+ * rate, bitrate, codec and loss of what we send and receive. The whole
+ * call's stats can be downloaded as JSON for bug reports.
+ */
+
+import { Activity, Download, X } from 'lucide-react';
+
+/**
+ * Label and value, or a dash while there is no value
+ */
+const Stat = ({ label, value }) => (
+    <div className="flex justify-between gap-3">
+        <span className="text-muted">{label}</span>
+        <span className="font-mono text-right">{value ?? '–'}</span>
+    </div>
+);
+
+/**
+ * "1280×720 @ 30 fps · 1450 kbps · VP8"
+ */
+const describeVideo = (video) => {
+    if (!video) return null;
+    const parts = [];
+    if (video.width && video.height) parts.push(`${video.width}×${video.height}${video.fps ? ` @ ${video.fps} fps` : ''}`);
+    if (video.bitrate !== null) parts.push(`${video.bitrate} kbps`);
+    if (video.codec) parts.push(video.codec);
+    return parts.join(' · ') || null;
+};
+
+/**
+ * "2.5% loss · 12 ms jitter"
+ */
+const describeLoss = (stream) => {
+    if (!stream) return null;
+    const parts = [];
+    if (stream.packetLoss !== null) parts.push(`${stream.packetLoss}% loss`);
+    if (stream.jitter !== undefined) parts.push(`${stream.jitter} ms jitter`);
+    return parts.join(' · ') || null;
+};
+
+/**
+ * "direct (udp)" or "relay (tcp)"
+ */
+const describeRoute = (route) => {
+    if (!route) return null;
+    const kind = route.relayed ? 'relay' : route.localType === 'host' && route.remoteType === 'host' ? 'local network' : 'direct';
+    return `${kind} (${route.protocol}) · ${route.localType}/${route.remoteType}`;
+};
+
+const CallHealthOverlay = ({ stats, onDownload, onClose }) => {
+    const peers = Object.entries(stats);
+
+    return (
+        <div className="absolute left-4 top-16 z-40 w-[calc(100%-2rem)] max-w-sm max-h-[70vh] overflow-y-auto glass-card p-4 space-y-4 text-xs fade-in">
+            <div className="flex items-center justify-between">
+                <span className="font-semibold text-sm flex items-center gap-2">
+                    <Activity className="w-4 h-4 text-purple-400" />
+                    Call health
+                </span>
+                <button onClick={onClose} className="p-1.5 hover:bg-white/10 rounded-lg transition-colors">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            {peers.length === 0 && (
+                <p className="text-muted">Stats appear once someone is connected.</p>
+            )}
+
+            {peers.map(([peerId, sample]) => (
+                <div key={peerId} className="space-y-1.5 pt-3 border-t border-white/10 first:pt-0 first:border-0">
+                    <p className="font-semibold text-sm">{sample.userName}</p>
+                    <Stat label="Route" value={describeRoute(sample.route)} />
+                    <Stat label="Round trip" value={sample.rtt !== null ? `${sample.rtt} ms` : null} />
+                    <Stat label="Outgoing bandwidth" value={sample.availableOutgoingBitrate !== null ? `${sample.availableOutgoingBitrate} kbps` : null} />
+                    <Stat label="Video sent" value={describeVideo(sample.video.sent)} />
+                    {sample.video.sent?.qualityLimitationReason && sample.video.sent.qualityLimitationReason !== 'none' && (
+                        <Stat label="Limited by" value={sample.video.sent.qualityLimitationReason} />
+                    )}
+                    <Stat label="Video received" value={describeVideo(sample.video.received)} />
+                    <Stat label="Video loss" value={describeLoss(sample.video.received)} />
+                    <Stat label="Audio received" value={describeLoss(sample.audio.received)} />
+                    <Stat label="Audio codec" value={sample.audio.received?.codec || sample.audio.sent?.codec} />
+                </div>
+            ))}
+
+            <button onClick={onDownload} className="btn btn-secondary w-full text-sm">
+                <Download className="w-4 h-4" />
+                Download stats (JSON)
+            </button>
+        </div>
+    );
+};
+
+export default CallHealthOverlay;
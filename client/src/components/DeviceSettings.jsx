@@ -0,0 +1,165 @@
+/**
+ * DeviceSettings Component
+ *
+ * Dropdown panel for choosing the camera, microphone and speaker.
+ * Inputs switch live during the call; the speaker choice routes
+ * remote audio where the browser supports it. Also caps how much video
+ * we send, and picks the video codec and whether to send simulcast.
+ */
+
+import { Video, Mic, Volume2, Gauge, Film, Layers, X } from 'lucide-react';
+import { canSelectAudioOutput } from '../hooks/useMediaDevices';
+import { getSupportedVideoCodecs } from '../services/codecs';
+
+/**
+ * Labelled device dropdown
+ */
+const DeviceSelect = ({ icon, label, devices, value, onChange }) => {
+    const Icon = icon;
+    return (
+        <label className="block">
+            <span className="flex items-center gap-2 text-sm font-medium mb-1.5">
+                <Icon className="w-4 h-4 text-secondary" />
+                {label}
+            </span>
+            <select
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                className="input-field text-sm py-2"
+            >
+                <option value="">System default</option>
+                {devices.filter(device => device.deviceId && device.deviceId !== 'default').map(device => (
+                    <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                ))}
+            </select>
+        </label>
+    );
+};
+
+/**
+ * Camera, microphone and speaker dropdowns, also used inline by the lobby
+ */
+export const DeviceFields = ({ devices, selectedDevices, onSelectDevice }) => (
+    <>
+        <DeviceSelect
+            icon={Video}
+            label="Camera"
+            devices={devices.videoinput}
+            value={selectedDevices.videoinput}
+            onChange={(deviceId) => onSelectDevice('videoinput', deviceId)}
+        />
+        <DeviceSelect
+            icon={Mic}
+            label="Microphone"
+            devices={devices.audioinput}
+            value={selectedDevices.audioinput}
+            onChange={(deviceId) => onSelectDevice('audioinput', deviceId)}
+        />
+        {canSelectAudioOutput && devices.audiooutput.length > 0 && (
+            <DeviceSelect
+                icon={Volume2}
+                label="Speaker"
+                devices={devices.audiooutput}
+                value={selectedDevices.audiooutput}
+                onChange={(deviceId) => onSelectDevice('audiooutput', deviceId)}
+            />
+        )}
+    </>
+);
+
+// Send quality preferences (see services/adaptiveSending.js)
+const SEND_QUALITY_OPTIONS = [
+    { value: 'auto', label: 'Auto (adapts to the network)' },
+    { value: 'data-saver', label: 'Data saver (low resolution)' },
+    { value: 'audio-only', label: 'Audio only (no video sent)' }
+];
+
+// Codecs this browser can be asked to prefer
+const SUPPORTED_CODECS = getSupportedVideoCodecs();
+
+/**
+ * "VP9 sent · VP8 received", or null before any video flows
+ */
+const describeCodecs = ({ sent, received }) => {
+    const parts = [];
+    if (sent.length) parts.push(`${sent.join(', ')} sent`);
+    if (received.length) parts.push(`${received.join(', ')} received`);
+    return parts.join(' · ') || null;
+};
+
+const DeviceSettings = ({
+    devices, selectedDevices, onSelectDevice,
+    sendPreference, onSendPreferenceChange,
+    videoCodec, onVideoCodecChange, negotiatedCodecs,
+    simulcast, onSimulcastChange,
+    onClose
+}) => (
+    <div className="absolute right-4 top-16 z-40 w-80 glass-card p-4 space-y-4 fade-in">
+        <div className="flex items-center justify-between">
+            <span className="font-semibold">Devices</span>
+            <button onClick={onClose} className="p-1.5 hover:bg-white/10 rounded-lg transition-colors">
+                <X className="w-4 h-4" />
+            </button>
+        </div>
+
+        <DeviceFields
+            devices={devices}
+            selectedDevices={selectedDevices}
+            onSelectDevice={onSelectDevice}
+        />
+
+        <label className="block">
+            <span className="flex items-center gap-2 text-sm font-medium mb-1.5">
+                <Gauge className="w-4 h-4 text-secondary" />
+                Video quality sent
+            </span>
+            <select
+                value={sendPreference}
+                onChange={(e) => onSendPreferenceChange(e.target.value)}
+                className="input-field text-sm py-2"
+            >
+                {SEND_QUALITY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+        </label>
+
+        {SUPPORTED_CODECS.length > 0 && (
+            <label className="block">
+                <span className="flex items-center gap-2 text-sm font-medium mb-1.5">
+                    <Film className="w-4 h-4 text-secondary" />
+                    Preferred video codec
+                </span>
+                <select
+                    value={videoCodec}
+                    onChange={(e) => onVideoCodecChange(e.target.value)}
+                    className="input-field text-sm py-2"
+                >
+                    <option value="auto">Browser default</option>
+                    {SUPPORTED_CODECS.map(codec => (
+                        <option key={codec} value={codec}>{codec}</option>
+                    ))}
+                </select>
+                <span className="block text-xs text-muted mt-1.5">
+                    In use: {describeCodecs(negotiatedCodecs) || 'no video yet'}
+                </span>
+            </label>
+        )}
+
+        <button
+            onClick={() => onSimulcastChange(!simulcast)}
+            className="w-full flex items-center gap-3 py-2 rounded-xl transition-colors text-left"
+        >
+            <Layers className="w-4 h-4 text-secondary shrink-0" />
+            <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium">Simulcast</p>
+                <p className="text-xs text-muted">Send three video sizes; applies to new connections</p>
+            </div>
+            <span className={`w-9 h-5 rounded-full p-0.5 transition-colors ${simulcast ? 'bg-purple-500' : 'bg-white/15'}`}>
+                <span className={`block w-4 h-4 rounded-full bg-white transition-transform ${simulcast ? 'translate-x-4' : ''}`} />
+            </span>
+        </button>
+    </div>
+);
+
+export default DeviceSettings;
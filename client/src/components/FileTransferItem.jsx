@@ -0,0 +1,86 @@
+/**
+ * FileTransferItem Component
+ *
+ * Chat panel entry for a file shared over the data channel: shows the
+ * offer with accept/reject buttons, transfer progress, and the download
+ * link once the file has arrived.
+ */
+
+import { File as FileIcon, Download, Check, X } from 'lucide-react';
+
+/**
+ * Format a byte count for display
+ */
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const STATUS_LABELS = {
+    pending: 'Waiting for response',
+    accepted: 'Starting...',
+    rejected: 'Declined',
+    cancelled: 'Cancelled',
+    failed: 'Transfer failed',
+    completed: 'Completed'
+};
+
+const FileTransferItem = ({ transfer, onAccept, onReject, onCancel }) => {
+    const { direction, status, name, size, transferred, peerName, url } = transfer;
+    const isOutgoing = direction === 'outgoing';
+    const progress = size > 0 ? Math.round((transferred / size) * 100) : 0;
+
+    return (
+        <div className={`chat-message ${isOutgoing ? 'chat-message-own' : 'chat-message-other'}`}>
+            <p className="text-xs font-semibold text-purple-300 mb-1">
+                {isOutgoing ? `To ${peerName}` : `From ${peerName}`}
+            </p>
+
+            <div className="flex items-center gap-2">
+                <FileIcon className="w-5 h-5 shrink-0 opacity-80" />
+                <div className="min-w-0">
+                    <p className="truncate font-medium">{name}</p>
+                    <p className="text-xs opacity-70">{formatBytes(size)}</p>
+                </div>
+            </div>
+
+            {status === 'transferring' ? (
+                <div className="mt-2">
+                    <div className="h-1.5 rounded-full bg-white/10 overflow-hidden">
+                        <div className="h-full bg-purple-400 transition-all" style={{ width: `${progress}%` }} />
+                    </div>
+                    <div className="flex items-center justify-between mt-1">
+                        <span className="text-xs opacity-70">{progress}%</span>
+                        <button onClick={onCancel} className="text-xs opacity-70 hover:opacity-100">Cancel</button>
+                    </div>
+                </div>
+            ) : (
+                <p className="text-xs opacity-70 mt-2">{STATUS_LABELS[status]}</p>
+            )}
+
+            {!isOutgoing && status === 'pending' && (
+                <div className="flex gap-2 mt-2">
+                    <button onClick={onAccept} className="flex items-center gap-1 px-2.5 py-1 rounded-lg bg-green-500/20 text-green-300 text-xs hover:bg-green-500/30 transition-colors">
+                        <Check className="w-3.5 h-3.5" /> Accept
+                    </button>
+                    <button onClick={onReject} className="flex items-center gap-1 px-2.5 py-1 rounded-lg bg-red-500/20 text-red-300 text-xs hover:bg-red-500/30 transition-colors">
+                        <X className="w-3.5 h-3.5" /> Reject
+                    </button>
+                </div>
+            )}
+
+            {isOutgoing && status === 'pending' && (
+                <button onClick={onCancel} className="text-xs opacity-70 hover:opacity-100 mt-1">Cancel</button>
+            )}
+
+            {url && (
+                <a href={url} download={name} className="flex items-center gap-1 mt-2 text-xs text-green-300 hover:text-green-200">
+                    <Download className="w-3.5 h-3.5" /> Download
+                </a>
+            )}
+        </div>
+    );
+};
+
+export default FileTransferItem;
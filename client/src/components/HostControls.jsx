@@ -0,0 +1,119 @@
+/**
+ * HostControls Component
+ *
+ * Dropdown panel for the room host: lock the room, toggle the waiting
+ * room, set or clear a passcode, and remove participants.
+ */
+
+import { useState } from 'react';
+import { Lock, Unlock, Clock, KeyRound, UserMinus, X } from 'lucide-react';
+
+/**
+ * Labelled on/off switch
+ */
+const Toggle = ({ icon, label, description, checked, onChange }) => {
+    const Icon = icon;
+    return (
+        <button
+            onClick={() => onChange(!checked)}
+            className="w-full flex items-center gap-3 p-2.5 rounded-xl hover:bg-white/5 transition-colors text-left"
+        >
+            <Icon className="w-4 h-4 text-secondary shrink-0" />
+            <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium">{label}</p>
+                <p className="text-xs text-muted">{description}</p>
+            </div>
+            <span className={`w-9 h-5 rounded-full p-0.5 transition-colors ${checked ? 'bg-purple-500' : 'bg-white/15'}`}>
+                <span className={`block w-4 h-4 rounded-full bg-white transition-transform ${checked ? 'translate-x-4' : ''}`} />
+            </span>
+        </button>
+    );
+};
+
+const HostControls = ({ settings, participants, onUpdateSettings, onRemoveParticipant, onClose }) => {
+    const [passcode, setPasscode] = useState('');
+
+    const handleSetPasscode = (e) => {
+        e.preventDefault();
+        if (passcode.trim()) {
+            onUpdateSettings({ passcode: passcode.trim() });
+            setPasscode('');
+        }
+    };
+
+    return (
+        <div className="absolute right-4 top-16 z-40 w-80 glass-card p-4 space-y-4 fade-in">
+            <div className="flex items-center justify-between">
+                <span className="font-semibold">Host controls</span>
+                <button onClick={onClose} className="p-1.5 hover:bg-white/10 rounded-lg transition-colors">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <div className="space-y-1">
+                <Toggle
+                    icon={settings.locked ? Lock : Unlock}
+                    label="Lock room"
+                    description="Nobody new can join"
+                    checked={settings.locked}
+                    onChange={(locked) => onUpdateSettings({ locked })}
+                />
+                <Toggle
+                    icon={Clock}
+                    label="Waiting room"
+                    description="Admit people before they join"
+                    checked={settings.waitingRoom}
+                    onChange={(waitingRoom) => onUpdateSettings({ waitingRoom })}
+                />
+            </div>
+
+            <div className="border-t border-white/10 pt-4">
+                <div className="flex items-center gap-2 mb-2">
+                    <KeyRound className="w-4 h-4 text-secondary" />
+                    <span className="text-sm font-medium">Passcode</span>
+                    <span className="text-xs text-muted ml-auto">{settings.hasPasscode ? 'Set' : 'None'}</span>
+                </div>
+                <form onSubmit={handleSetPasscode} className="flex gap-2">
+                    <input
+                        type="password"
+                        placeholder={settings.hasPasscode ? 'New passcode' : 'Set a passcode'}
+                        value={passcode}
+                        onChange={(e) => setPasscode(e.target.value)}
+                        className="input-field flex-1 text-sm py-2"
+                    />
+                    <button type="submit" disabled={!passcode.trim()} className="btn btn-primary px-3 py-2 text-sm">
+                        Set
+                    </button>
+                </form>
+                {settings.hasPasscode && (
+                    <button
+                        onClick={() => onUpdateSettings({ passcode: null })}
+                        className="text-xs text-red-300 hover:text-red-200 mt-2"
+                    >
+                        Remove passcode
+                    </button>
+                )}
+            </div>
+
+            {participants.length > 0 && (
+                <div className="border-t border-white/10 pt-4 space-y-1">
+                    <p className="text-sm font-medium mb-2">Participants</p>
+                    {participants.map(participant => (
+                        <div key={participant.peerId} className="flex items-center gap-2 p-2 rounded-lg hover:bg-white/5">
+                            <span className="text-sm flex-1 truncate">{participant.userName}</span>
+                            <button
+                                onClick={() => onRemoveParticipant(participant.peerId)}
+                                className="p-1.5 rounded-lg text-red-300 hover:bg-red-500/20 transition-colors"
+                                title={`Remove ${participant.userName}`}
+                            >
+                                <UserMinus className="w-4 h-4" />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HostControls;
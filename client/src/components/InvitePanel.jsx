@@ -0,0 +1,99 @@
+/**
+ * InvitePanel Component
+ *
+ * Dropdown panel with everything needed to bring someone into the call:
+ * the invite link to copy, a QR code for phones, and the system share
+ * sheet where the browser has one.
+ */
+
+import { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import { Copy, Check, Share2, X } from 'lucide-react';
+import { getInviteLink, canShare, shareInvite } from '../services/inviteService';
+
+/**
+ * QR code of a link, rendered in the browser
+ */
+export const InviteQrCode = ({ link, size = 180 }) => {
+    const [dataUrl, setDataUrl] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        QRCode.toDataURL(link, { width: size, margin: 1, errorCorrectionLevel: 'M' })
+            .then(url => { if (!cancelled) setDataUrl(url); })
+            .catch(err => console.error('[Invite] Could not render QR code:', err));
+        return () => { cancelled = true; };
+    }, [link, size]);
+
+    return (
+        <div
+            className="mx-auto rounded-xl bg-white p-2 flex items-center justify-center"
+            style={{ width: size + 16, height: size + 16 }}
+        >
+            {dataUrl && <img src={dataUrl} width={size} height={size} alt="QR code of the invite link" />}
+        </div>
+    );
+};
+
+const InvitePanel = ({ roomCode, title, onCopied, onError, onClose }) => {
+    const [copied, setCopied] = useState(false);
+    const link = getInviteLink(roomCode);
+
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(link);
+            setCopied(true);
+            onCopied?.();
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('[Invite] Could not copy link:', err);
+            onError?.('Could not copy the invite link');
+        }
+    };
+
+    const share = () => {
+        shareInvite(roomCode, title).catch(err => {
+            console.error('[Invite] Could not share:', err);
+            onError?.('Could not share the invite link');
+        });
+    };
+
+    return (
+        <div className="absolute right-4 top-16 z-40 w-80 glass-card p-4 space-y-4 fade-in">
+            <div className="flex items-center justify-between">
+                <span className="font-semibold">Invite people</span>
+                <button onClick={onClose} className="p-1.5 hover:bg-white/10 rounded-lg transition-colors">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+
+            <InviteQrCode link={link} />
+            <p className="text-xs text-muted text-center">Scan with a phone camera to join</p>
+
+            <div className="flex items-center gap-2">
+                <input
+                    readOnly
+                    value={link}
+                    onFocus={(e) => e.target.select()}
+                    className="input-field text-xs py-2 font-mono"
+                />
+                <button
+                    onClick={copyLink}
+                    className="p-2.5 rounded-xl glass hover:bg-white/10 transition-all shrink-0"
+                    title="Copy invite link"
+                >
+                    {copied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4 text-secondary" />}
+                </button>
+            </div>
+
+            {canShare() && (
+                <button onClick={share} className="btn btn-secondary w-full">
+                    <Share2 className="w-4 h-4" />
+                    Share
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default InvitePanel;
@@ -0,0 +1,81 @@
+/**
+ * ParticipantTile Component
+ *
+ * Renders one remote participant of the call: their video stream,
+ * an avatar while the camera is off or their video is paused over a weak
+ * connection, a name label with mute state, a
+ * ring while they are speaking, and a notice while the connection to them
+ * is being restored.
+ */
+
+import { useEffect, useRef } from 'react';
+import { User, MicOff } from 'lucide-react';
+
+/**
+ * @param {string} [audioOutputId] - Speaker to play this participant's audio on ('' for the default)
+ */
+const ParticipantTile = ({ participant, audioOutputId = '', className = '' }) => {
+    const videoRef = useRef(null);
+    const { stream, userName, isMuted, isVideoOff, isVideoPaused, isSpeaking, connectionState, isReconnecting } = participant;
+    const showVideo = stream && !isVideoOff && !isVideoPaused;
+
+    useEffect(() => {
+        if (videoRef.current && stream) {
+            videoRef.current.srcObject = stream;
+        }
+    }, [stream]);
+
+    // Route the participant's audio to the chosen speaker
+    useEffect(() => {
+        const video = videoRef.current;
+        if (video?.setSinkId && stream) {
+            video.setSinkId(audioOutputId).catch(err => {
+                console.warn('[Devices] Could not change audio output:', err);
+            });
+        }
+    }, [stream, audioOutputId]);
+
+    return (
+        <div className={`video-container bg-[#12121a] ${isSpeaking ? 'speaking' : ''} ${className}`}>
+            {stream && (
+                <video
+                    ref={videoRef}
+                    autoPlay
+                    playsInline
+                    className={`w-full h-full object-cover ${showVideo ? '' : 'hidden'}`}
+                />
+            )}
+
+            {!showVideo && (
+                <div className="w-full h-full flex items-center justify-center">
+                    <div className="text-center fade-in">
+                        <div className="avatar mx-auto mb-4">
+                            {userName?.charAt(0)?.toUpperCase() || 'U'}
+                        </div>
+                        <p className="text-xl font-semibold text-white">{userName || 'User'}</p>
+                        <p className="text-sm text-secondary mt-1">
+                            {isReconnecting ? 'Reconnecting...'
+                                : !stream ? (connectionState === 'failed' ? 'Connection failed' : 'Connecting...')
+                                    : isVideoOff ? 'Camera is off'
+                                        : 'Video paused (weak connection)'}
+                        </p>
+                    </div>
+                </div>
+            )}
+
+            {isReconnecting && showVideo && (
+                <div className="absolute inset-0 flex items-center justify-center bg-black/50 backdrop-blur-sm">
+                    <span className="status-badge status-badge-waiting">Reconnecting...</span>
+                </div>
+            )}
+
+            <div className="video-label">
+                <User className="w-3.5 h-3.5" />
+                {userName || 'Remote User'}
+                {isMuted && <MicOff className="w-3.5 h-3.5 text-red-400" />}
+            </div>
+        </div>
+    );
+};
+
+export default ParticipantTile;
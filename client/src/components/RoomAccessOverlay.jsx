@@ -0,0 +1,79 @@
+/**
+ * RoomAccessOverlay Component
+ *
+ * Covers the call while we are not (or no longer) in the room:
+ * the waiting room, the passcode prompt, and the screens shown when
+ * the room is locked, full, missing, over, or the host turned us away.
+ */
+
+import { useState } from 'react';
+import { Lock, Clock, ShieldAlert, ArrowRight } from 'lucide-react';
+
+const TITLES = {
+    waiting: 'Waiting room',
+    'passcode-required': 'Passcode required',
+    locked: 'Room locked',
+    denied: 'Entry declined',
+    removed: 'Removed from call',
+    ended: 'Call ended',
+    'not-found': 'Room not found',
+    full: 'Room is full'
+};
+
+const RoomAccessOverlay = ({ status, message, onSubmitPasscode, onLeave }) => {
+    const [passcode, setPasscode] = useState('');
+
+    if (!TITLES[status]) return null;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (passcode.trim()) {
+            onSubmitPasscode(passcode.trim());
+            setPasscode('');
+        }
+    };
+
+    const Icon = status === 'waiting' || status === 'ended' ? Clock : status === 'passcode-required' ? Lock : ShieldAlert;
+
+    return (
+        <div className="absolute inset-0 z-30 flex items-center justify-center p-4 bg-black/70 backdrop-blur-md">
+            <div className="glass-card p-6 sm:p-8 w-full max-w-sm text-center fade-in">
+                <div className="w-14 h-14 rounded-2xl mx-auto mb-4 flex items-center justify-center bg-purple-500/20">
+                    <Icon className="w-7 h-7 text-purple-300" />
+                </div>
+                <h2 className="text-xl font-bold mb-1">{TITLES[status]}</h2>
+                {message && <p className="text-sm text-secondary mb-5">{message}</p>}
+
+                {status === 'waiting' && (
+                    <div className="waiting-animation justify-center mb-5">
+                        <div className="waiting-dot" />
+                        <div className="waiting-dot" />
+                        <div className="waiting-dot" />
+                    </div>
+                )}
+
+                {status === 'passcode-required' && (
+                    <form onSubmit={handleSubmit} className="space-y-3 mb-3">
+                        <input
+                            type="password"
+                            autoFocus
+                            placeholder="Enter room passcode"
+                            value={passcode}
+                            onChange={(e) => setPasscode(e.target.value)}
+                            className="input-field text-center"
+                        />
+                        <button type="submit" disabled={!passcode.trim()} className="btn btn-primary w-full">
+                            Join <ArrowRight className="w-4 h-4" />
+                        </button>
+                    </form>
+                )}
+
+                <button onClick={onLeave} className="btn btn-secondary w-full">
+                    {status === 'waiting' || status === 'passcode-required' ? 'Cancel' : 'Back to home'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default RoomAccessOverlay;
@@ -0,0 +1,71 @@
+/**
+ * ScreenShareStage Component
+ *
+ * A shared screen on the main stage, fitted without cropping, with the
+ * presenter's camera as a thumbnail in the corner. A remote screen plays
+ * the system audio shared along with it; our own screen stays muted.
+ * Everyone can draw on the screen and point at it (see AnnotationOverlay).
+ */
+
+import { useEffect, useRef } from 'react';
+import { MonitorUp } from 'lucide-react';
+import ParticipantTile from './ParticipantTile';
+import AnnotationOverlay from './AnnotationOverlay';
+
+/**
+ * @param {MediaStream} screenStream - The shared screen
+ * @param {object|null} presenter - Remote participant sharing, or null for our own screen
+ * @param {object} annotations - Drawings on the screen, from useAnnotations
+ * @param {string} [audioOutputId] - Speaker to play audio on ('' for the default)
+ */
+const ScreenShareStage = ({ screenStream, presenter, annotations, audioOutputId = '', className = '' }) => {
+    const videoRef = useRef(null);
+    const isRemote = !!presenter;
+
+    useEffect(() => {
+        if (videoRef.current) {
+            videoRef.current.srcObject = screenStream;
+        }
+    }, [screenStream]);
+
+    useEffect(() => {
+        const video = videoRef.current;
+        if (video?.setSinkId && isRemote) {
+            video.setSinkId(audioOutputId).catch(err => {
+                console.warn('[Devices] Could not change audio output:', err);
+            });
+        }
+    }, [isRemote, screenStream, audioOutputId]);
+
+    return (
+        <div className={`relative overflow-hidden rounded-2xl bg-black ${className}`}>
+            <video
+                ref={videoRef}
+                autoPlay
+                playsInline
+                muted={!isRemote}
+                className="w-full h-full object-contain"
+            />
+
+            <AnnotationOverlay videoRef={videoRef} {...annotations} />
+
+            <div className="video-label">
+                <MonitorUp className="w-3.5 h-3.5" />
+                {presenter ? `${presenter.userName} is presenting` : 'You are presenting'}
+            </div>
+
+            {/* Our own camera is in the picture-in-picture already */}
+            {presenter && (
+                <div className="absolute top-3 right-3 w-32 sm:w-48 aspect-video shadow-2xl">
+                    <ParticipantTile
+                        participant={presenter}
+                        audioOutputId={audioOutputId}
+                        className="w-full h-full border border-white/20"
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ScreenShareStage;
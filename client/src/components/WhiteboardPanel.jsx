@@ -0,0 +1,318 @@
+/**
+ * WhiteboardPanel Component
+ *
+ * The call's shared whiteboard in a slide-in panel: pen, lines, arrows,
+ * rectangles, ellipses and text, with undo/redo, clear and PNG export.
+ * The board is drawn at a fixed 16:9 resolution and scaled to fit, so it
+ * looks the same for everyone whatever the size of their window.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    Pencil, Minus, MoveUpRight, Square, Circle, Type, Undo2, Redo2, Trash2, Download, Presentation, X
+} from 'lucide-react';
+import { MAX_ELEMENT_POINTS, MAX_ELEMENT_BYTES, MAX_TEXT_LENGTH } from '../hooks/useWhiteboard';
+import { drawStroke, drawArrow, drawRect, drawEllipse } from '../services/drawing';
+
+// Board resolution, which exported images have too
+const BOARD_WIDTH = 1600;
+const BOARD_HEIGHT = 900;
+const BOARD_BACKGROUND = '#ffffff';
+const LINE_WIDTH = 4;
+const FONT_SIZE = 40;
+
+const COLORS = ['#111827', '#ef4444', '#3b82f6', '#22c55e', '#f59e0b'];
+
+const TOOLS = [
+    { id: 'pen', label: 'Pen', icon: Pencil },
+    { id: 'line', label: 'Line', icon: Minus },
+    { id: 'arrow', label: 'Arrow', icon: MoveUpRight },
+    { id: 'rect', label: 'Rectangle', icon: Square },
+    { id: 'ellipse', label: 'Ellipse', icon: Circle },
+    { id: 'text', label: 'Text', icon: Type }
+];
+
+// Pointer moves closer than this to the last point (as a fraction of the
+// board) don't add to a stroke
+const MIN_POINT_DISTANCE = 0.001;
+
+/**
+ * Round a fraction so strokes stay small; 1/10000 of the board is well
+ * below a pixel
+ */
+const roundFraction = (value) => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+
+/**
+ * Draw the board's elements on a context of the board's resolution
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object[]} elements - Bottom to top
+ */
+const renderBoard = (ctx, elements) => {
+    ctx.fillStyle = BOARD_BACKGROUND;
+    ctx.fillRect(0, 0, BOARD_WIDTH, BOARD_HEIGHT);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = LINE_WIDTH;
+    ctx.font = `${FONT_SIZE}px system-ui, sans-serif`;
+    ctx.textBaseline = 'top';
+
+    for (const { kind, color, points, text } of elements) {
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        switch (kind) {
+            case 'line': drawStroke(ctx, [points[0], points[points.length - 1]], BOARD_WIDTH, BOARD_HEIGHT); break;
+            case 'arrow': drawArrow(ctx, points, BOARD_WIDTH, BOARD_HEIGHT); break;
+            case 'rect': drawRect(ctx, points, BOARD_WIDTH, BOARD_HEIGHT); break;
+            case 'ellipse': drawEllipse(ctx, points, BOARD_WIDTH, BOARD_HEIGHT); break;
+            case 'text': ctx.fillText(text || '', points[0][0] * BOARD_WIDTH, points[0][1] * BOARD_HEIGHT); break;
+            default: drawStroke(ctx, points, BOARD_WIDTH, BOARD_HEIGHT);
+        }
+    }
+};
+
+/**
+ * @param {boolean} open - Whether the panel is shown
+ * @param {Function} onClose
+ * @param {object} whiteboard - From useWhiteboard
+ * @param {string} roomCode - For the exported file's name
+ */
+const WhiteboardPanel = ({ open, onClose, whiteboard, roomCode }) => {
+    const { elements, canUndo, canRedo, addElement, clear, undo, redo } = whiteboard;
+
+    const canvasRef = useRef(null);
+    const draftRef = useRef(null); // { kind, color, points } while drawing
+    const draftBytesRef = useRef(0); // Size of the draft as the element sent, id included
+    const textActiveRef = useRef(false);
+    const [tool, setTool] = useState('pen');
+    const [color, setColor] = useState(COLORS[0]);
+    // Text being typed: { x, y, value, fontSize } with fontSize in CSS pixels
+    const [textDraft, setTextDraft] = useState(null);
+
+    const redraw = useCallback(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const draft = draftRef.current;
+        renderBoard(canvas.getContext('2d'), draft ? [...elements, draft] : elements);
+    }, [elements]);
+
+    useEffect(() => {
+        redraw();
+    }, [redraw]);
+
+    // Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes while the board is open
+    useEffect(() => {
+        if (!open) return;
+
+        const handleKey = (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) undo();
+            else if ((key === 'z' && e.shiftKey) || key === 'y') redo();
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [open, undo, redo]);
+
+    /**
+     * Pointer position as fractions of the board
+     */
+    const toPoint = (event) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return [
+            roundFraction((event.clientX - rect.left) / rect.width),
+            roundFraction((event.clientY - rect.top) / rect.height)
+        ];
+    };
+
+    /**
+     * Put the typed text on the board, once
+     */
+    const commitText = () => {
+        if (!textActiveRef.current) return;
+        textActiveRef.current = false;
+
+        const text = textDraft?.value.trim();
+        if (text) addElement({ kind: 'text', color, points: [[textDraft.x, textDraft.y]], text });
+        setTextDraft(null);
+    };
+
+    const cancelText = () => {
+        textActiveRef.current = false;
+        setTextDraft(null);
+    };
+
+    const handlePointerDown = (event) => {
+        const point = toPoint(event);
+
+        if (tool === 'text') {
+            // A click elsewhere while typing finishes the text (through blur)
+            if (textActiveRef.current) return;
+            event.preventDefault();
+            textActiveRef.current = true;
+            const scale = canvasRef.current.getBoundingClientRect().height / BOARD_HEIGHT;
+            setTextDraft({ x: point[0], y: point[1], value: '', fontSize: FONT_SIZE * scale });
+            return;
+        }
+
+        event.currentTarget.setPointerCapture(event.pointerId);
+        draftRef.current = { kind: tool, color, points: tool === 'pen' ? [point] : [point, point] };
+        draftBytesRef.current = JSON.stringify({ id: crypto.randomUUID(), ...draftRef.current }).length;
+        redraw();
+    };
+
+    const handlePointerMove = (event) => {
+        const draft = draftRef.current;
+        if (!draft) return;
+
+        const point = toPoint(event);
+        if (draft.kind === 'pen') {
+            const [lastX, lastY] = draft.points[draft.points.length - 1];
+            if (Math.hypot(point[0] - lastX, point[1] - lastY) < MIN_POINT_DISTANCE) return;
+            // The server refuses a stroke past either limit, so it ends there
+            const pointBytes = JSON.stringify(point).length + 1;
+            if (draft.points.length >= MAX_ELEMENT_POINTS || draftBytesRef.current + pointBytes > MAX_ELEMENT_BYTES) return;
+            draft.points.push(point);
+            draftBytesRef.current += pointBytes;
+        } else {
+            draft.points[1] = point;
+        }
+        redraw();
+    };
+
+    const handlePointerUp = () => {
+        const draft = draftRef.current;
+        draftRef.current = null;
+        if (!draft) return;
+
+        // Shapes need some size to be seen
+        const [[x1, y1], [x2, y2]] = [draft.points[0], draft.points[draft.points.length - 1]];
+        if (draft.kind !== 'pen' && Math.hypot(x2 - x1, y2 - y1) < MIN_POINT_DISTANCE * 5) {
+            redraw();
+            return;
+        }
+        addElement(draft);
+    };
+
+    // Save the board as a PNG
+    const exportPng = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = BOARD_WIDTH;
+        canvas.height = BOARD_HEIGHT;
+        renderBoard(canvas.getContext('2d'), elements);
+
+        const link = document.createElement('a');
+        link.href = canvas.toDataURL('image/png');
+        link.download = `meetflow-whiteboard-${roomCode}-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+        link.click();
+    };
+
+    return (
+        <div className={`whiteboard-panel ${open ? 'open' : ''}`}>
+            <div className="flex items-center justify-between p-4 border-b border-white/5">
+                <div className="flex items-center gap-2">
+                    <Presentation className="w-5 h-5 text-purple-400" />
+                    <span className="font-semibold">Whiteboard</span>
+                </div>
+                <button onClick={onClose} className="p-1.5 hover:bg-white/10 rounded-lg transition-colors">
+                    <X className="w-5 h-5" />
+                </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1 px-4 py-2 border-b border-white/5">
+                {TOOLS.map(option => (
+                    <button
+                        key={option.id}
+                        onClick={() => setTool(option.id)}
+                        className={`p-2 rounded-lg transition-colors ${tool === option.id ? 'bg-purple-500/40 text-white' : 'hover:bg-white/10 text-secondary'}`}
+                        title={option.label}
+                    >
+                        <option.icon className="w-4 h-4" />
+                    </button>
+                ))}
+                <div className="w-px h-5 bg-white/15 mx-1" />
+                {COLORS.map(option => (
+                    <button
+                        key={option}
+                        onClick={() => setColor(option)}
+                        className={`w-5 h-5 rounded-full border-2 transition-transform ${color === option ? 'border-white scale-110' : 'border-white/20'}`}
+                        style={{ background: option }}
+                        title="Color"
+                    />
+                ))}
+                <div className="w-px h-5 bg-white/15 mx-1" />
+                <button
+                    onClick={undo}
+                    disabled={!canUndo}
+                    className="p-2 rounded-lg hover:bg-white/10 text-secondary transition-colors disabled:opacity-40"
+                    title="Undo (Ctrl+Z)"
+                >
+                    <Undo2 className="w-4 h-4" />
+                </button>
+                <button
+                    onClick={redo}
+                    disabled={!canRedo}
+                    className="p-2 rounded-lg hover:bg-white/10 text-secondary transition-colors disabled:opacity-40"
+                    title="Redo (Ctrl+Shift+Z)"
+                >
+                    <Redo2 className="w-4 h-4" />
+                </button>
+                <button
+                    onClick={clear}
+                    disabled={elements.length === 0}
+                    className="p-2 rounded-lg hover:bg-white/10 text-secondary transition-colors disabled:opacity-40"
+                    title="Clear the board"
+                >
+                    <Trash2 className="w-4 h-4" />
+                </button>
+                <button
+                    onClick={exportPng}
+                    className="p-2 rounded-lg hover:bg-white/10 text-secondary transition-colors ml-auto"
+                    title="Download as PNG"
+                >
+                    <Download className="w-4 h-4" />
+                </button>
+            </div>
+
+            <div className="flex-1 min-h-0 p-4 flex items-center justify-center">
+                <div className="relative w-full max-h-full aspect-video rounded-xl overflow-hidden shadow-lg">
+                    <canvas
+                        ref={canvasRef}
+                        width={BOARD_WIDTH}
+                        height={BOARD_HEIGHT}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                        className={`w-full h-full touch-none ${tool === 'text' ? 'cursor-text' : 'cursor-crosshair'}`}
+                    />
+                    {textDraft && (
+                        <input
+                            autoFocus
+                            value={textDraft.value}
+                            onChange={(e) => setTextDraft(prev => ({ ...prev, value: e.target.value }))}
+                            onBlur={commitText}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') commitText();
+                                if (e.key === 'Escape') cancelText();
+                            }}
+                            maxLength={MAX_TEXT_LENGTH}
+                            className="absolute bg-transparent outline-none border-b border-dashed border-gray-400 p-0 m-0 leading-none"
+                            style={{
+                                left: `${textDraft.x * 100}%`,
+                                top: `${textDraft.y * 100}%`,
+                                fontSize: textDraft.fontSize,
+                                color,
+                                fontFamily: 'system-ui, sans-serif'
+                            }}
+                        />
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WhiteboardPanel;
@@ -0,0 +1,171 @@
+/**
+ * useActiveSpeaker Hook
+ *
+ * Works out who is talking from the audio of every stream in the call.
+ * Each audio track feeds a Web Audio AnalyserNode that is sampled a few
+ * times a second; a participant counts as speaking while their level stays
+ * above a threshold, and the loudest speaker becomes the active speaker
+ * once they've held the floor for a moment, so the highlight doesn't
+ * flicker between people talking over each other.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+
+// Id the local participant's stream is reported under
+export const LOCAL_SPEAKER_ID = 'local';
+
+const SAMPLE_INTERVAL_MS = 100;
+
+// Smoothed RMS level above which someone counts as speaking
+const SPEAKING_LEVEL = 0.02;
+
+// Weight of the previous level when smoothing, so single clicks don't count
+const LEVEL_SMOOTHING = 0.6;
+
+// Short pauses between words don't end speaking
+const SPEAKING_HOLD_MS = 600;
+
+// How long someone has to be loudest before they take over as active speaker
+const SPEAKER_SWITCH_MS = 800;
+
+/**
+ * Root mean square of a waveform
+ */
+const rms = (samples) => {
+    let sum = 0;
+    for (const sample of samples) sum += sample * sample;
+    return Math.sqrt(sum / samples.length);
+};
+
+/**
+ * @param {Array<{id: string, stream: MediaStream|null}>} sources - Streams to
+ *   listen to; the local one under LOCAL_SPEAKER_ID, remote ones by peer id
+ * @returns {{
+ *   speaking: Object<string, boolean>,
+ *   activeSpeakerId: string|null,
+ *   featuredPeerId: string|null
+ * }} Who is speaking right now, who holds the floor, and the remote
+ *   participant who spoke last (to show on the main stage, which shouldn't
+ *   switch to ourselves whenever we talk)
+ */
+const useActiveSpeaker = (sources) => {
+    const sourcesRef = useRef(sources);
+    const [speaking, setSpeaking] = useState({});
+    const [activeSpeakerId, setActiveSpeakerId] = useState(null);
+    const [featuredPeerId, setFeaturedPeerId] = useState(null);
+
+    // The sampling loop reads the latest sources without restarting
+    useEffect(() => {
+        sourcesRef.current = sources;
+    }, [sources]);
+
+    useEffect(() => {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        const audioContext = new AudioContextClass();
+        const meters = new Map(); // id -> { trackId, source, analyser, samples, level, loudAt }
+        let speakingKey = '';
+        let active = null;
+        let featured = null;
+        let candidate = null;
+        let candidateSince = 0;
+
+        const createMeter = (track) => {
+            const source = audioContext.createMediaStreamSource(new MediaStream([track]));
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = 512;
+            source.connect(analyser);
+            return { trackId: track.id, source, analyser, samples: new Float32Array(analyser.fftSize), level: 0, loudAt: 0 };
+        };
+
+        const interval = setInterval(() => {
+            // Contexts created before any user gesture start out suspended
+            if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+
+            const now = Date.now();
+            const present = new Set();
+
+            // Tracks come and go (late ontrack, device switches), so meters
+            // are matched to tracks on every sample
+            for (const { id, stream } of sourcesRef.current) {
+                const track = stream?.getAudioTracks().find(t => t.readyState === 'live');
+                if (!track) continue;
+                present.add(id);
+
+                let meter = meters.get(id);
+                if (meter?.trackId !== track.id) {
+                    meter?.source.disconnect();
+                    meter = createMeter(track);
+                    meters.set(id, meter);
+                }
+
+                meter.analyser.getFloatTimeDomainData(meter.samples);
+                meter.level = meter.level * LEVEL_SMOOTHING + rms(meter.samples) * (1 - LEVEL_SMOOTHING);
+                if (track.enabled && meter.level > SPEAKING_LEVEL) meter.loudAt = now;
+            }
+
+            for (const [id, meter] of meters) {
+                if (!present.has(id)) {
+                    meter.source.disconnect();
+                    meters.delete(id);
+                }
+            }
+
+            const speakingIds = [...meters]
+                .filter(([, meter]) => now - meter.loudAt < SPEAKING_HOLD_MS)
+                .map(([id]) => id)
+                .sort();
+
+            // Only render when someone starts or stops speaking
+            const key = speakingIds.join(',');
+            if (key !== speakingKey) {
+                speakingKey = key;
+                setSpeaking(Object.fromEntries(speakingIds.map(id => [id, true])));
+            }
+
+            const loudest = speakingIds.reduce((best, id) => (
+                !best || meters.get(id).level > meters.get(best).level ? id : best
+            ), null);
+
+            if (!loudest || loudest === active) {
+                candidate = null;
+            } else if (loudest !== candidate) {
+                candidate = loudest;
+                candidateSince = now;
+            }
+
+            // The first speaker takes over right away, later ones after a moment.
+            // In silence the last speaker stays active.
+            if (candidate && (!active || now - candidateSince >= SPEAKER_SWITCH_MS)) {
+                active = candidate;
+                candidate = null;
+                setActiveSpeakerId(active);
+                if (active !== LOCAL_SPEAKER_ID) {
+                    featured = active;
+                    setFeaturedPeerId(featured);
+                }
+            }
+
+            // Forget speakers who left
+            if (active && !meters.has(active)) {
+                active = null;
+                setActiveSpeakerId(null);
+            }
+            if (featured && !present.has(featured)) {
+                featured = null;
+                setFeaturedPeerId(null);
+            }
+        }, SAMPLE_INTERVAL_MS);
+
+        return () => {
+            clearInterval(interval);
+            meters.forEach(meter => meter.source.disconnect());
+            audioContext.close();
+        };
+    }, []);
+
+    return { speaking, activeSpeakerId, featuredPeerId };
+};
+
+export default useActiveSpeaker;
@@ -0,0 +1,181 @@
+/**
+ * useAnnotations Hook
+ *
+ * Drawings on a shared screen, relayed to everyone through the signaling
+ * server. Handles:
+ * - Freehand strokes and arrows, kept per screen until someone clears them
+ * - Laser pointers, which fade shortly after they stop moving
+ * - Clearing every drawing on a screen
+ *
+ * Screens are told apart by their stream id. Positions are fractions of
+ * the screen's video frame, so a drawing lands on the same spot however
+ * large each participant shows the screen, the presenter included.
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+
+// Points in one stroke at most, as many as the server accepts
+export const MAX_STROKE_POINTS = 1000;
+
+// How long a laser pointer stays after its last move
+const LASER_FADE_MS = 1500;
+
+// Laser moves are sent at most this often, which keeps them within the
+// server's event rate limit
+const LASER_SEND_INTERVAL_MS = 100;
+
+// Our own laser pointer, among everyone else's keyed by peer id
+const LOCAL_LASER_ID = 'local';
+
+/**
+ * Round a fraction so payloads stay small; 1/10000 of a frame is well
+ * below a pixel
+ */
+const roundFraction = (value) => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+
+/**
+ * @param {import('socket.io-client').Socket|null} socket - Signaling socket from useWebRTC
+ * @param {string|null} screenId - Stream id of the screen on stage, if any
+ */
+const useAnnotations = (socket, screenId) => {
+    // Shapes per screen id, in the order they were drawn:
+    // { id, tool: 'pen'|'arrow', color, points: [[x, y], ...] }
+    const [shapesByScreen, setShapesByScreen] = useState({});
+
+    // Laser pointers per peer id: { screenId, x, y, userName }
+    const [lasers, setLasers] = useState({});
+
+    const laserTimersRef = useRef(new Map()); // peerId -> fade timeout
+    const lastLaserSentRef = useRef(0);
+
+    /**
+     * Add a shape to a screen, once
+     */
+    const addShape = useCallback((targetScreenId, shape) => {
+        setShapesByScreen(prev => {
+            const shapes = prev[targetScreenId] || [];
+            if (shapes.some(s => s.id === shape.id)) return prev;
+            return { ...prev, [targetScreenId]: [...shapes, shape] };
+        });
+    }, []);
+
+    /**
+     * Remove every shape of a screen
+     */
+    const removeShapes = useCallback((targetScreenId) => {
+        setShapesByScreen(prev => {
+            if (!prev[targetScreenId]) return prev;
+            const next = { ...prev };
+            delete next[targetScreenId];
+            return next;
+        });
+    }, []);
+
+    /**
+     * Show a laser pointer, and fade it out unless it moves again
+     */
+    const showLaser = useCallback((peerId, laser) => {
+        setLasers(prev => ({ ...prev, [peerId]: laser }));
+
+        clearTimeout(laserTimersRef.current.get(peerId));
+        laserTimersRef.current.set(peerId, setTimeout(() => {
+            laserTimersRef.current.delete(peerId);
+            setLasers(prev => {
+                const next = { ...prev };
+                delete next[peerId];
+                return next;
+            });
+        }, LASER_FADE_MS));
+    }, []);
+
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleDraw = ({ screenId: target, id, tool, color, points }) => {
+            addShape(target, { id, tool, color, points });
+        };
+
+        const handleLaser = ({ screenId: target, x, y, from, userName }) => {
+            showLaser(from, { screenId: target, x, y, userName });
+        };
+
+        const handleClear = ({ screenId: target }) => removeShapes(target);
+
+        socket.on('annotation-draw', handleDraw);
+        socket.on('annotation-laser', handleLaser);
+        socket.on('annotation-clear', handleClear);
+
+        return () => {
+            socket.off('annotation-draw', handleDraw);
+            socket.off('annotation-laser', handleLaser);
+            socket.off('annotation-clear', handleClear);
+        };
+    }, [socket, addShape, removeShapes, showLaser]);
+
+    // Fading lasers don't outlive the call
+    useEffect(() => {
+        const timers = laserTimersRef.current;
+        return () => timers.forEach(timer => clearTimeout(timer));
+    }, []);
+
+    /**
+     * Draw a finished stroke or arrow on the screen on stage
+     * @param {'pen'|'arrow'} tool
+     * @param {string} color - Hex color like "#ef4444"
+     * @param {number[][]} points - [x, y] fractions of the video frame
+     */
+    const draw = useCallback((tool, color, points) => {
+        if (!screenId || points.length === 0) return;
+
+        const shape = {
+            id: crypto.randomUUID(),
+            tool,
+            color,
+            points: points.slice(0, MAX_STROKE_POINTS).map(([x, y]) => [roundFraction(x), roundFraction(y)])
+        };
+        addShape(screenId, shape);
+        socket?.emit('annotation-draw', { screenId, ...shape });
+    }, [socket, screenId, addShape]);
+
+    /**
+     * Move our laser pointer on the screen on stage
+     * @param {number} x - Fraction of the video frame's width
+     * @param {number} y - Fraction of the video frame's height
+     */
+    const pointLaser = useCallback((x, y) => {
+        if (!screenId) return;
+        showLaser(LOCAL_LASER_ID, { screenId, x, y, userName: null });
+
+        const now = Date.now();
+        if (now - lastLaserSentRef.current < LASER_SEND_INTERVAL_MS) return;
+        lastLaserSentRef.current = now;
+        socket?.emit('annotation-laser', { screenId, x: roundFraction(x), y: roundFraction(y) });
+    }, [socket, screenId, showLaser]);
+
+    /**
+     * Clear every drawing on the screen on stage, for everyone
+     */
+    const clearAll = useCallback(() => {
+        if (!screenId) return;
+        removeShapes(screenId);
+        socket?.emit('annotation-clear', { screenId });
+    }, [socket, screenId, removeShapes]);
+
+    // What to draw over the screen on stage
+    const shapes = useMemo(() => (screenId && shapesByScreen[screenId]) || [], [screenId, shapesByScreen]);
+    const stageLasers = useMemo(
+        () => Object.values(lasers).filter(laser => laser.screenId === screenId),
+        [screenId, lasers]
+    );
+
+    return {
+        shapes,
+        lasers: stageLasers,
+
+        draw,
+        pointLaser,
+        clearAll
+    };
+};
+
+export default useAnnotations;
@@ -0,0 +1,68 @@
+/**
+ * useChat Hook
+ *
+ * In-call text chat delivered through the signaling server.
+ * Handles:
+ * - Sending messages to everyone in the room
+ * - Receiving messages with server-assigned ids and ISO timestamps
+ * - Loading the room's message history when joining mid-call
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * @param {import('socket.io-client').Socket|null} socket - Signaling socket from useWebRTC
+ */
+const useChat = (socket) => {
+    // Messages in server order: { id, text, senderId, userName, timestamp }
+    const [messages, setMessages] = useState([]);
+
+    // Our peer id in the room, which chat messages carry as senderId
+    const [selfId, setSelfId] = useState(null);
+
+    useEffect(() => {
+        if (!socket) return;
+
+        // The server replays its backlog whenever we (re)join the room
+        const handleRoomJoined = ({ peerId, messages: history = [] }) => {
+            setSelfId(peerId);
+            setMessages(history);
+        };
+
+        const handleMessage = (message) => {
+            setMessages(prev => (
+                prev.some(m => m.id === message.id) ? prev : [...prev, message]
+            ));
+        };
+
+        socket.on('room-joined', handleRoomJoined);
+        socket.on('chat-message', handleMessage);
+
+        return () => {
+            socket.off('room-joined', handleRoomJoined);
+            socket.off('chat-message', handleMessage);
+        };
+    }, [socket]);
+
+    /**
+     * Send a text message to the room
+     * @param {string} text - Message text
+     * @returns {boolean} Whether the message was sent
+     */
+    const sendMessage = useCallback((text) => {
+        const trimmed = text.trim();
+        if (!socket || !trimmed) return false;
+
+        socket.emit('chat-message', { text: trimmed });
+        return true;
+    }, [socket]);
+
+    return {
+        messages,
+        sendMessage,
+        // Own peer id, to tell our messages apart from everyone else's
+        selfId
+    };
+};
+
+export default useChat;
@@ -0,0 +1,437 @@
+/**
+ * useFileTransfer Hook
+ *
+ * Peer-to-peer file sharing over RTCDataChannels, used by useWebRTC which
+ * attaches one channel per peer connection.
+ * Handles:
+ * - File offers that the receiver accepts or rejects
+ * - Chunked sending that waits for the channel buffer to drain (backpressure)
+ * - Transfer progress for both directions
+ * - Rebuilding received files as downloadable Blob URLs
+ *
+ * Control messages are JSON strings; file data is sent as binary chunks.
+ * A channel is ordered and streams one file at a time, so every chunk
+ * between 'file-start' and 'file-end' belongs to the same transfer.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// 16 KB chunks are safe across browser SCTP implementations
+const CHUNK_SIZE = 16 * 1024;
+
+// Pause sending while this much data is queued on the channel
+const MAX_BUFFERED_AMOUNT = 4 * 1024 * 1024;
+const BUFFERED_AMOUNT_LOW_THRESHOLD = 1024 * 1024;
+
+// Received files are held in memory until they are complete
+export const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Statuses after which a transfer no longer changes
+const FINAL_STATUSES = ['completed', 'rejected', 'cancelled', 'failed'];
+
+/**
+ * Resolve once the channel's buffered amount drops below its threshold
+ */
+const waitForBufferedAmountLow = (channel) => new Promise(resolve => {
+    const done = () => {
+        channel.removeEventListener('bufferedamountlow', done);
+        channel.removeEventListener('close', done);
+        resolve();
+    };
+    channel.addEventListener('bufferedamountlow', done);
+    channel.addEventListener('close', done);
+});
+
+const useFileTransfer = () => {
+    // Transfers keyed by `${transferId}:${peerId}`
+    const [transfers, setTransfers] = useState({});
+
+    const channelsRef = useRef(new Map()); // peerId -> { channel, userName }
+    const outgoingFilesRef = useRef(new Map()); // transferId -> File
+    const sendQueuesRef = useRef(new Map()); // peerId -> Promise of the file being sent
+    const incomingRef = useRef(new Map()); // peerId -> { key, size, chunks, received }
+    const transferMetaRef = useRef(new Map()); // key -> { transferId, peerId, direction, name, size, mimeType, status }
+    const cancelledRef = useRef(new Set()); // keys cancelled by either side
+    const objectUrlsRef = useRef([]);
+
+    /**
+     * Merge changes into a transfer entry. The status is also kept with the
+     * transfer's metadata, where message handlers can check it right away.
+     */
+    const updateTransfer = useCallback((key, changes) => {
+        const meta = transferMetaRef.current.get(key);
+        if (meta && changes.status) meta.status = changes.status;
+        setTransfers(prev => (prev[key] ? { ...prev, [key]: { ...prev[key], ...changes } } : prev));
+    }, []);
+
+    /**
+     * Add a new transfer entry
+     */
+    const addTransfer = useCallback((key, transfer) => {
+        transferMetaRef.current.set(key, { ...transfer });
+        setTransfers(prev => ({
+            ...prev,
+            [key]: {
+                id: key,
+                transferred: 0,
+                url: null,
+                createdAt: new Date().toISOString(),
+                ...transfer
+            }
+        }));
+    }, []);
+
+    /**
+     * Send a JSON control message to a peer
+     */
+    const sendControl = useCallback((peerId, message) => {
+        const channel = channelsRef.current.get(peerId)?.channel;
+        if (channel?.readyState !== 'open') return false;
+
+        channel.send(JSON.stringify(message));
+        return true;
+    }, []);
+
+    /**
+     * Stream an accepted file to a peer chunk by chunk
+     */
+    const streamFile = useCallback(async (peerId, transferId) => {
+        const key = `${transferId}:${peerId}`;
+        const file = outgoingFilesRef.current.get(transferId);
+        const channel = channelsRef.current.get(peerId)?.channel;
+
+        if (!file || cancelledRef.current.has(key)) return;
+        if (channel?.readyState !== 'open') {
+            updateTransfer(key, { status: 'failed' });
+            return;
+        }
+
+        channel.send(JSON.stringify({ type: 'file-start', transferId }));
+        updateTransfer(key, { status: 'transferring' });
+
+        let offset = 0;
+        let lastReported = 0;
+
+        while (offset < file.size) {
+            if (cancelledRef.current.has(key)) {
+                sendControl(peerId, { type: 'file-cancel', transferId });
+                return;
+            }
+
+            // Backpressure: let the channel drain before queueing more data
+            if (channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+                await waitForBufferedAmountLow(channel);
+            }
+
+            if (channel.readyState !== 'open') {
+                updateTransfer(key, { status: 'failed' });
+                return;
+            }
+
+            const chunk = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+            channel.send(chunk);
+            offset += chunk.byteLength;
+
+            // Report progress roughly once per percent
+            if (offset - lastReported >= file.size / 100 || offset === file.size) {
+                lastReported = offset;
+                updateTransfer(key, { transferred: offset });
+            }
+        }
+
+        channel.send(JSON.stringify({ type: 'file-end', transferId }));
+        updateTransfer(key, { status: 'completed', transferred: file.size });
+    }, [sendControl, updateTransfer]);
+
+    /**
+     * Queue a file for a peer so each channel streams one file at a time
+     */
+    const enqueueFile = useCallback((peerId, transferId) => {
+        const previous = sendQueuesRef.current.get(peerId) || Promise.resolve();
+        const next = previous
+            .then(() => streamFile(peerId, transferId))
+            .catch(err => {
+                console.error('[FileTransfer] Error sending file:', err);
+                updateTransfer(`${transferId}:${peerId}`, { status: 'failed' });
+            });
+        sendQueuesRef.current.set(peerId, next);
+    }, [streamFile, updateTransfer]);
+
+    /**
+     * Assemble the received chunks into a downloadable Blob
+     */
+    const completeIncoming = useCallback((peerId) => {
+        const incoming = incomingRef.current.get(peerId);
+        if (!incoming) return;
+        incomingRef.current.delete(peerId);
+
+        // A file that came out shorter than offered is incomplete
+        if (incoming.received !== incoming.size) {
+            updateTransfer(incoming.key, { status: 'failed' });
+            return;
+        }
+
+        const meta = transferMetaRef.current.get(incoming.key);
+        const blob = new Blob(incoming.chunks, { type: meta?.mimeType || 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+        objectUrlsRef.current.push(url);
+
+        updateTransfer(incoming.key, { status: 'completed', transferred: blob.size, url });
+    }, [updateTransfer]);
+
+    /**
+     * Handle a control message or data chunk arriving from a peer
+     */
+    const handleChannelMessage = useCallback((peerId, data) => {
+        // Binary data belongs to the file currently being received
+        if (typeof data !== 'string') {
+            const incoming = incomingRef.current.get(peerId);
+            if (!incoming) return;
+
+            incoming.received += data.byteLength;
+
+            // Never hold more than the size the sender offered and we accepted
+            if (incoming.received > incoming.size) {
+                console.warn('[FileTransfer] Received more data than offered from:', peerId);
+                incomingRef.current.delete(peerId);
+                cancelledRef.current.add(incoming.key);
+                sendControl(peerId, { type: 'file-cancel', transferId: transferMetaRef.current.get(incoming.key)?.transferId });
+                updateTransfer(incoming.key, { status: 'failed' });
+                return;
+            }
+
+            incoming.chunks.push(data);
+
+            if (incoming.received - incoming.lastReported >= incoming.size / 100) {
+                incoming.lastReported = incoming.received;
+                updateTransfer(incoming.key, { transferred: incoming.received });
+            }
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            console.warn('[FileTransfer] Ignoring malformed message from:', peerId);
+            return;
+        }
+
+        const key = `${message.transferId}:${peerId}`;
+
+        switch (message.type) {
+            case 'file-offer': {
+                // An offer is made once; a repeat must not reopen a transfer
+                if (transferMetaRef.current.has(key)) return;
+
+                addTransfer(key, {
+                    transferId: message.transferId,
+                    peerId,
+                    peerName: channelsRef.current.get(peerId)?.userName,
+                    direction: 'incoming',
+                    name: String(message.name || 'file'),
+                    size: Number(message.size) || 0,
+                    mimeType: message.mimeType || 'application/octet-stream',
+                    status: 'pending'
+                });
+
+                // Refuse files we could not hold in memory
+                if (message.size > MAX_FILE_SIZE) {
+                    sendControl(peerId, { type: 'file-reject', transferId: message.transferId });
+                    updateTransfer(key, { status: 'rejected' });
+                }
+                break;
+            }
+            case 'file-accept': {
+                // Only a file we offered this peer, and only once
+                const meta = transferMetaRef.current.get(key);
+                if (meta?.direction !== 'outgoing' || meta.status !== 'pending') return;
+
+                updateTransfer(key, { status: 'accepted' });
+                enqueueFile(peerId, message.transferId);
+                break;
+            }
+            case 'file-reject':
+                updateTransfer(key, { status: 'rejected' });
+                break;
+            case 'file-start': {
+                // Data is only taken for a file the user accepted
+                const meta = transferMetaRef.current.get(key);
+                if (meta?.direction !== 'incoming' || meta.status !== 'accepted' || cancelledRef.current.has(key)) return;
+                incomingRef.current.set(peerId, {
+                    key,
+                    size: meta.size,
+                    chunks: [],
+                    received: 0,
+                    lastReported: 0
+                });
+                updateTransfer(key, { status: 'transferring' });
+                break;
+            }
+            case 'file-end':
+                if (incomingRef.current.get(peerId)?.key === key) {
+                    completeIncoming(peerId);
+                }
+                break;
+            case 'file-cancel':
+                cancelledRef.current.add(key);
+                if (incomingRef.current.get(peerId)?.key === key) {
+                    incomingRef.current.delete(peerId);
+                }
+                updateTransfer(key, { status: 'cancelled' });
+                break;
+            default:
+                console.warn('[FileTransfer] Unknown message type:', message.type);
+        }
+    }, [addTransfer, completeIncoming, enqueueFile, sendControl, updateTransfer]);
+
+    /**
+     * Mark unfinished transfers with a peer as failed
+     */
+    const failPeerTransfers = useCallback((peerId) => {
+        incomingRef.current.delete(peerId);
+        sendQueuesRef.current.delete(peerId);
+        setTransfers(prev => {
+            let changed = false;
+            const next = { ...prev };
+            for (const transfer of Object.values(prev)) {
+                if (transfer.peerId === peerId && !FINAL_STATUSES.includes(transfer.status)) {
+                    next[transfer.id] = { ...transfer, status: 'failed' };
+                    changed = true;
+                }
+            }
+            return changed ? next : prev;
+        });
+    }, []);
+
+    /**
+     * Start using a data channel for a peer connection
+     * @param {string} peerId - Remote socket id
+     * @param {RTCDataChannel} channel - Channel on the peer connection
+     * @param {string} userName - Remote participant name, shown on offers
+     */
+    const attachChannel = useCallback((peerId, channel, userName) => {
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW_THRESHOLD;
+
+        channel.onmessage = (event) => handleChannelMessage(peerId, event.data);
+        channel.onclose = () => {
+            // Ignore channels that were already replaced by a new connection
+            if (channelsRef.current.get(peerId)?.channel === channel) {
+                console.log('[FileTransfer] Channel closed for:', peerId);
+                failPeerTransfers(peerId);
+            }
+        };
+
+        channelsRef.current.set(peerId, { channel, userName });
+    }, [failPeerTransfers, handleChannelMessage]);
+
+    /**
+     * Stop using the data channel of a peer that left
+     */
+    const detachChannel = useCallback((peerId) => {
+        channelsRef.current.delete(peerId);
+        failPeerTransfers(peerId);
+    }, [failPeerTransfers]);
+
+    /**
+     * Offer a file to every connected peer
+     * @param {File} file - File picked by the user
+     * @returns {number} Number of peers the file was offered to
+     */
+    const sendFile = useCallback((file) => {
+        if (!file) return 0;
+
+        const transferId = crypto.randomUUID();
+        let offered = 0;
+
+        for (const [peerId, { channel, userName }] of channelsRef.current) {
+            if (channel.readyState !== 'open') continue;
+
+            channel.send(JSON.stringify({
+                type: 'file-offer',
+                transferId,
+                name: file.name,
+                size: file.size,
+                mimeType: file.type
+            }));
+
+            addTransfer(`${transferId}:${peerId}`, {
+                transferId,
+                peerId,
+                peerName: userName,
+                direction: 'outgoing',
+                name: file.name,
+                size: file.size,
+                mimeType: file.type,
+                status: 'pending'
+            });
+            offered++;
+        }
+
+        if (offered > 0) {
+            outgoingFilesRef.current.set(transferId, file);
+        }
+        return offered;
+    }, [addTransfer]);
+
+    /**
+     * Accept an incoming file offer
+     */
+    const acceptFile = useCallback((key) => {
+        const meta = transferMetaRef.current.get(key);
+        if (!meta) return;
+
+        if (sendControl(meta.peerId, { type: 'file-accept', transferId: meta.transferId })) {
+            updateTransfer(key, { status: 'accepted' });
+        } else {
+            updateTransfer(key, { status: 'failed' });
+        }
+    }, [sendControl, updateTransfer]);
+
+    /**
+     * Reject an incoming file offer
+     */
+    const rejectFile = useCallback((key) => {
+        const meta = transferMetaRef.current.get(key);
+        if (!meta) return;
+
+        sendControl(meta.peerId, { type: 'file-reject', transferId: meta.transferId });
+        updateTransfer(key, { status: 'rejected' });
+    }, [sendControl, updateTransfer]);
+
+    /**
+     * Cancel a transfer in either direction
+     */
+    const cancelTransfer = useCallback((key) => {
+        const meta = transferMetaRef.current.get(key);
+        if (!meta) return;
+
+        cancelledRef.current.add(key);
+        sendControl(meta.peerId, { type: 'file-cancel', transferId: meta.transferId });
+        if (incomingRef.current.get(meta.peerId)?.key === key) {
+            incomingRef.current.delete(meta.peerId);
+        }
+        updateTransfer(key, { status: 'cancelled' });
+    }, [sendControl, updateTransfer]);
+
+    // Release received files when the call page goes away
+    useEffect(() => {
+        const objectUrls = objectUrlsRef.current;
+        return () => {
+            objectUrls.forEach(url => URL.revokeObjectURL(url));
+        };
+    }, []);
+
+    return {
+        fileTransfers: transfers,
+        attachChannel,
+        detachChannel,
+        sendFile,
+        acceptFile,
+        rejectFile,
+        cancelTransfer
+    };
+};
+
+export default useFileTransfer;
@@ -0,0 +1,126 @@
+/**
+ * useMediaDevices Hook
+ *
+ * Camera, microphone and speaker selection.
+ * Handles:
+ * - Listing devices from enumerateDevices
+ * - Refreshing the list on 'devicechange' (e.g. a headset being plugged in)
+ * - Remembering the chosen devices in localStorage
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const STORAGE_KEY = 'meetflow:devices';
+
+// Device kinds as reported by enumerateDevices
+export const DEVICE_KINDS = ['videoinput', 'audioinput', 'audiooutput'];
+
+// An empty device id means the browser's default device
+const NO_SELECTION = { videoinput: '', audioinput: '', audiooutput: '' };
+
+/**
+ * Read the remembered device ids
+ * @returns {{videoinput: string, audioinput: string, audiooutput: string}}
+ */
+export const loadSavedDevices = () => {
+    try {
+        return { ...NO_SELECTION, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    } catch {
+        return { ...NO_SELECTION };
+    }
+};
+
+/**
+ * Whether remote audio can be routed to a chosen output device
+ */
+export const canSelectAudioOutput = typeof HTMLMediaElement !== 'undefined' &&
+    'setSinkId' in HTMLMediaElement.prototype;
+
+/**
+ * Group enumerateDevices results by kind
+ */
+const groupDevices = (deviceList) => {
+    const grouped = { videoinput: [], audioinput: [], audiooutput: [] };
+    deviceList.forEach(device => {
+        // Labels are empty until the page has media permission
+        const list = grouped[device.kind];
+        list?.push({
+            deviceId: device.deviceId,
+            label: device.label || `${device.kind === 'videoinput' ? 'Camera' : device.kind === 'audioinput' ? 'Microphone' : 'Speaker'} ${list.length + 1}`
+        });
+    });
+    return grouped;
+};
+
+/**
+ * @param {{onDeviceRemoved?: (kind: string) => void}} [options] -
+ *   Called when a selected device disappears; the selection falls back to the default device
+ */
+const useMediaDevices = ({ onDeviceRemoved } = {}) => {
+    const [devices, setDevices] = useState({ videoinput: [], audioinput: [], audiooutput: [] });
+    const [selectedDevices, setSelectedDevices] = useState(loadSavedDevices);
+
+    const selectedRef = useRef(selectedDevices);
+    const onDeviceRemovedRef = useRef(onDeviceRemoved);
+
+    useEffect(() => {
+        onDeviceRemovedRef.current = onDeviceRemoved;
+    }, [onDeviceRemoved]);
+
+    /**
+     * Remember a device choice
+     * @param {'videoinput'|'audioinput'|'audiooutput'} kind
+     * @param {string} deviceId - '' for the default device
+     */
+    const selectDevice = useCallback((kind, deviceId) => {
+        const next = { ...selectedRef.current, [kind]: deviceId };
+        selectedRef.current = next;
+        setSelectedDevices(next);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    }, []);
+
+    /**
+     * Re-read the device list. Device ids and labels are hidden until the
+     * page has media permission, so call this once the local stream exists.
+     */
+    const refreshDevices = useCallback(async () => {
+        if (!navigator.mediaDevices?.enumerateDevices) return;
+
+        try {
+            const grouped = groupDevices(await navigator.mediaDevices.enumerateDevices());
+            setDevices(grouped);
+
+            // Fall back to the default device when the chosen one went away.
+            // Without permission device ids are blank, so that proves nothing.
+            DEVICE_KINDS.forEach(kind => {
+                const deviceId = selectedRef.current[kind];
+                const hasIds = grouped[kind].some(d => d.deviceId);
+                if (deviceId && hasIds && !grouped[kind].some(d => d.deviceId === deviceId)) {
+                    console.log('[Devices] Selected device removed:', kind);
+                    selectDevice(kind, '');
+                    onDeviceRemovedRef.current?.(kind);
+                }
+            });
+        } catch (err) {
+            console.error('[Devices] Could not list devices:', err);
+        }
+    }, [selectDevice]);
+
+    // The first refresh is up to the caller, once media access is granted
+    useEffect(() => {
+        const mediaDevices = navigator.mediaDevices;
+        if (!mediaDevices?.addEventListener) return;
+
+        mediaDevices.addEventListener('devicechange', refreshDevices);
+        return () => mediaDevices.removeEventListener('devicechange', refreshDevices);
+    }, [refreshDevices]);
+
+    return {
+        devices,
+        selectedDevices,
+        selectDevice,
+        refreshDevices
+    };
+};
+
+export default useMediaDevices;
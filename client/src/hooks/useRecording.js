@@ -0,0 +1,334 @@
+/**
+ * useRecording Hook
+ *
+ * Local call recording with MediaRecorder.
+ * Handles:
+ * - Compositing every participant's video onto a canvas as a grid
+ * - Mixing every participant's audio through an AudioContext
+ * - Recording the result to WebM chunks and offering it as a download
+ * - Telling the room when we start/stop, and tracking who else is recording
+ *
+ * The recorder only ever sees the canvas and mixer tracks, so screen-share
+ * swaps, device switches and people joining or leaving don't interrupt it.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const CANVAS_WIDTH = 1280;
+const CANVAS_HEIGHT = 720;
+const FRAME_RATE = 30;
+const TIMESLICE_MS = 1000;
+
+// Preferred formats, best first
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+/**
+ * Whether this browser can record the call
+ */
+export const canRecord = typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement !== 'undefined' &&
+    'captureStream' in HTMLCanvasElement.prototype;
+
+/**
+ * Draw one participant into its grid cell, cropping the video to fill it
+ */
+const drawTile = (ctx, tile, video, x, y, width, height) => {
+    ctx.fillStyle = '#12121a';
+    ctx.fillRect(x, y, width, height);
+
+    if (video && !tile.isVideoOff && video.videoWidth > 0) {
+        const scale = Math.max(width / video.videoWidth, height / video.videoHeight);
+        const sw = width / scale;
+        const sh = height / scale;
+        ctx.drawImage(
+            video,
+            (video.videoWidth - sw) / 2, (video.videoHeight - sh) / 2, sw, sh,
+            x, y, width, height
+        );
+    } else {
+        ctx.fillStyle = '#8b5cf6';
+        ctx.font = `bold ${Math.round(height / 4)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText((tile.label || 'U').charAt(0).toUpperCase(), x + width / 2, y + height / 2);
+    }
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x + 8, y + height - 36, Math.min(width - 16, 220), 28);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '16px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(tile.label || 'User', x + 16, y + height - 22, Math.min(width - 32, 204));
+};
+
+/**
+ * @param {import('socket.io-client').Socket|null} socket - Signaling socket from useWebRTC
+ * @param {Array<{id: string, label: string, videoStream: MediaStream|null,
+ *   audioStream: MediaStream|null, isVideoOff: boolean}>} tiles - Participants to record, in grid order
+ */
+const useRecording = (socket, tiles) => {
+    const [isRecording, setIsRecording] = useState(false);
+    const [recording, setRecording] = useState(null); // { url, filename, size }
+    const [remoteRecorders, setRemoteRecorders] = useState({}); // peerId -> userName
+
+    const tilesRef = useRef(tiles);
+    const sessionRef = useRef(null); // { recorder, audioContext, destination, audioSources, videos, drawInterval }
+    const mountedRef = useRef(true);
+
+    useEffect(() => {
+        tilesRef.current = tiles;
+    }, [tiles]);
+
+    // Other participants' recording state
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleRoomJoined = ({ participants = [] }) => {
+            setRemoteRecorders(Object.fromEntries(
+                participants.filter(p => p.isRecording).map(p => [p.peerId, p.userName])
+            ));
+        };
+        const handleStarted = ({ peerId, userName }) => {
+            setRemoteRecorders(prev => ({ ...prev, [peerId]: userName }));
+        };
+        const handleStopped = ({ peerId }) => {
+            setRemoteRecorders(prev => {
+                if (!prev[peerId]) return prev;
+                const next = { ...prev };
+                delete next[peerId];
+                return next;
+            });
+        };
+
+        socket.on('room-joined', handleRoomJoined);
+        socket.on('recording-started', handleStarted);
+        socket.on('recording-stopped', handleStopped);
+        socket.on('user-left', handleStopped);
+
+        return () => {
+            socket.off('room-joined', handleRoomJoined);
+            socket.off('recording-started', handleStarted);
+            socket.off('recording-stopped', handleStopped);
+            socket.off('user-left', handleStopped);
+        };
+    }, [socket]);
+
+    /**
+     * Point the hidden video elements and audio mixer at the current streams.
+     * Runs whenever a stream is added, removed or swapped.
+     */
+    const syncSources = useCallback(() => {
+        const session = sessionRef.current;
+        if (!session) return;
+
+        const current = tilesRef.current;
+        const activeIds = new Set(current.map(tile => tile.id));
+
+        current.forEach(tile => {
+            // Video: one muted, detached <video> per participant
+            let video = session.videos.get(tile.id);
+            if (!video) {
+                video = document.createElement('video');
+                video.muted = true;
+                video.playsInline = true;
+                session.videos.set(tile.id, video);
+            }
+            if (video.srcObject !== tile.videoStream) {
+                video.srcObject = tile.videoStream;
+                video.play().catch(() => { /* Plays once the stream has data */ });
+            }
+
+            // Audio: reconnect only when the actual track changed
+            const audioTrack = tile.audioStream?.getAudioTracks()[0] || null;
+            const existing = session.audioSources.get(tile.id);
+            if (existing?.track === audioTrack) return;
+
+            existing?.node.disconnect();
+            session.audioSources.delete(tile.id);
+            if (audioTrack) {
+                const node = session.audioContext.createMediaStreamSource(new MediaStream([audioTrack]));
+                node.connect(session.destination);
+                session.audioSources.set(tile.id, { track: audioTrack, node });
+            }
+        });
+
+        // Drop participants who left
+        for (const [id, video] of session.videos) {
+            if (!activeIds.has(id)) {
+                video.srcObject = null;
+                session.videos.delete(id);
+            }
+        }
+        for (const [id, { node }] of session.audioSources) {
+            if (!activeIds.has(id)) {
+                node.disconnect();
+                session.audioSources.delete(id);
+            }
+        }
+    }, []);
+
+    useEffect(() => {
+        if (isRecording) syncSources();
+    }, [isRecording, tiles, syncSources]);
+
+    /**
+     * Start recording the call
+     */
+    const startRecording = useCallback(() => {
+        if (sessionRef.current || !canRecord) return;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = CANVAS_WIDTH;
+        canvas.height = CANVAS_HEIGHT;
+        const ctx = canvas.getContext('2d');
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const audioContext = new AudioContextClass();
+        const destination = audioContext.createMediaStreamDestination();
+
+        // Set up the recorder before anything that would need undoing, as
+        // MediaRecorder throws for streams or types it can't record
+        let recorder;
+        try {
+            const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+            recorder = new MediaRecorder(new MediaStream([
+                ...canvas.captureStream(FRAME_RATE).getVideoTracks(),
+                ...destination.stream.getAudioTracks()
+            ]), mimeType ? { mimeType } : undefined);
+        } catch (err) {
+            audioContext.close();
+            throw err;
+        }
+
+        const session = {
+            audioContext,
+            destination,
+            recorder,
+            audioSources: new Map(),
+            videos: new Map(),
+            chunks: [],
+            startedAt: new Date()
+        };
+        sessionRef.current = session;
+        syncSources();
+
+        // Timers keep running in background tabs, unlike requestAnimationFrame
+        session.drawInterval = setInterval(() => {
+            const current = tilesRef.current;
+            const cols = Math.ceil(Math.sqrt(current.length)) || 1;
+            const rows = Math.ceil(current.length / cols) || 1;
+            const width = CANVAS_WIDTH / cols;
+            const height = CANVAS_HEIGHT / rows;
+
+            ctx.fillStyle = '#0a0a0f';
+            ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+            current.forEach((tile, i) => {
+                const x = (i % cols) * width;
+                const y = Math.floor(i / cols) * height;
+                drawTile(ctx, tile, session.videos.get(tile.id), x + 2, y + 2, width - 4, height - 4);
+            });
+        }, 1000 / FRAME_RATE);
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) session.chunks.push(event.data);
+        };
+
+        // Let go of the canvas sources and audio graph
+        const release = () => {
+            clearInterval(session.drawInterval);
+            session.videos.forEach(video => { video.srcObject = null; });
+            session.audioSources.forEach(({ node }) => node.disconnect());
+            audioContext.close();
+        };
+
+        recorder.onstop = () => {
+            release();
+
+            const blob = new Blob(session.chunks, { type: recorder.mimeType || 'video/webm' });
+            const stamp = session.startedAt.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            const result = {
+                url: URL.createObjectURL(blob),
+                filename: `meetflow-recording-${stamp}.webm`,
+                size: blob.size
+            };
+
+            if (mountedRef.current) {
+                setRecording(result);
+            } else {
+                // The call page is gone (e.g. we hung up): save right away
+                const link = document.createElement('a');
+                link.href = result.url;
+                link.download = result.filename;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(result.url), 10000);
+            }
+        };
+
+        try {
+            recorder.start(TIMESLICE_MS);
+        } catch (err) {
+            // onstop never fires for a recorder that didn't start
+            sessionRef.current = null;
+            release();
+            throw err;
+        }
+        setIsRecording(true);
+        socket?.emit('recording-started');
+        console.log('[Recording] Started', recorder.mimeType);
+    }, [socket, syncSources]);
+
+    /**
+     * Stop recording; the download is offered once the last chunk arrives
+     */
+    const stopRecording = useCallback(() => {
+        const session = sessionRef.current;
+        if (!session) return;
+
+        sessionRef.current = null;
+        if (session.recorder.state !== 'inactive') {
+            session.recorder.stop();
+        }
+        setIsRecording(false);
+        socket?.emit('recording-stopped');
+        console.log('[Recording] Stopped');
+    }, [socket]);
+
+    /**
+     * Forget a finished recording and free its memory
+     */
+    const discardRecording = useCallback(() => {
+        setRecording(prev => {
+            if (prev) URL.revokeObjectURL(prev.url);
+            return null;
+        });
+    }, []);
+
+    // Leaving the call finishes the recording
+    useEffect(() => {
+        mountedRef.current = true;
+        return () => {
+            mountedRef.current = false;
+            const session = sessionRef.current;
+            sessionRef.current = null;
+            if (session && session.recorder.state !== 'inactive') {
+                session.recorder.stop();
+            }
+        };
+    }, []);
+
+    return {
+        isRecording,
+        recording,
+        remoteRecorders: Object.values(remoteRecorders),
+        startRecording,
+        stopRecording,
+        discardRecording
+    };
+};
+
+export default useRecording;
@@ -0,0 +1,97 @@
+/**
+ * useRoomControls Hook
+ *
+ * Host controls for a room, enforced by the signaling server.
+ * Handles:
+ * - Whether we joined as the room's host
+ * - Room settings (lock, waiting room, passcode)
+ * - The waiting list of people asking to join
+ * - Admitting, denying and removing participants
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+
+const DEFAULT_SETTINGS = {
+    locked: false,
+    waitingRoom: true,
+    hasPasscode: false
+};
+
+/**
+ * @param {import('socket.io-client').Socket|null} socket - Signaling socket from useWebRTC
+ */
+const useRoomControls = (socket) => {
+    const [isHost, setIsHost] = useState(false);
+    const [roomSettings, setRoomSettings] = useState(DEFAULT_SETTINGS);
+    const [waitingList, setWaitingList] = useState([]);
+
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleRoomJoined = ({ isHost: joinedAsHost, settings, waitingList: waiting = [] }) => {
+            setIsHost(!!joinedAsHost);
+            setRoomSettings({ ...DEFAULT_SETTINGS, ...settings });
+            setWaitingList(waiting);
+        };
+
+        const handleSettings = (settings) => {
+            setRoomSettings({ ...DEFAULT_SETTINGS, ...settings });
+        };
+
+        const handleWaitingList = ({ waitingList: waiting = [] }) => {
+            setWaitingList(waiting);
+        };
+
+        socket.on('room-joined', handleRoomJoined);
+        socket.on('room-settings', handleSettings);
+        socket.on('waiting-list', handleWaitingList);
+
+        return () => {
+            socket.off('room-joined', handleRoomJoined);
+            socket.off('room-settings', handleSettings);
+            socket.off('waiting-list', handleWaitingList);
+        };
+    }, [socket]);
+
+    /**
+     * Let someone from the waiting list into the call
+     */
+    const admitParticipant = useCallback((socketId) => {
+        socket?.emit('admit-participant', { socketId });
+    }, [socket]);
+
+    /**
+     * Turn someone on the waiting list away
+     */
+    const denyParticipant = useCallback((socketId) => {
+        socket?.emit('deny-participant', { socketId });
+    }, [socket]);
+
+    /**
+     * Remove a participant from the call
+     */
+    const removeParticipant = useCallback((peerId) => {
+        socket?.emit('remove-participant', { peerId });
+    }, [socket]);
+
+    /**
+     * Change room settings
+     * @param {{locked?: boolean, waitingRoom?: boolean, passcode?: string|null}} changes -
+     *   A non-empty passcode sets it, null or '' clears it
+     */
+    const updateRoomSettings = useCallback((changes) => {
+        socket?.emit('update-room-settings', changes);
+    }, [socket]);
+
+    return {
+        isHost,
+        roomSettings,
+        waitingList,
+        admitParticipant,
+        denyParticipant,
+        removeParticipant,
+        updateRoomSettings
+    };
+};
+
+export default useRoomControls;
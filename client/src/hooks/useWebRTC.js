@@ -1,21 +1,45 @@
 /**
  * useWebRTC Hook - Enhanced Version
- * 
- * Custom React hook that manages WebRTC peer connection.
+ *
+ * Custom React hook that manages a full mesh of WebRTC peer connections,
+ * one per remote participant in the room.
  * Handles:
  * - Local media stream (camera/microphone)
- * - Peer connection setup and teardown
- * - Offer/Answer exchange via signaling server
+ * - Peer connection setup and teardown for every remote participant
+ * - Offer/Answer exchange via signaling server, using the "perfect negotiation"
+ *   pattern so either side can renegotiate and offer collisions roll back
  * - ICE candidate exchange for NAT traversal
- * - Screen sharing functionality
- * - Chat messaging
- * - Connection quality monitoring
+ * - Switching camera and microphone mid-call
+ * - Screen sharing next to the camera, on transceivers of its own and with
+ *   system audio if the browser captures it
+ * - Peer-to-peer file sharing over a data channel (see useFileTransfer)
+ * - Connection quality monitoring, and adapting the video we send to it
+ *   (see services/adaptiveSending.js)
+ * - Optional simulcast, video layers requested by receivers, and a
+ *   preferred video codec (see services/codecs.js)
+ * - Active speaker detection from audio levels (see useActiveSpeaker)
+ * - Large rooms, where media goes through the server's SFU instead of the
+ *   mesh: one connection publishes our media, another receives everyone
+ *   else's (see server/lib/sfu.js)
+ * - Room admission (waiting room, passcode, host removal)
+ * - Automatic reconnection: ICE restarts with backoff for dropped peer
+ *   connections, and rejoining with a session token after the signaling
+ *   socket reconnects or the page is reloaded
  */
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { connectSocket, disconnectSocket } from '../services/socketService';
-
-// WebRTC configuration with multiple STUN/TURN servers for better connectivity
+import { getRoomToken } from '../services/apiService';
+import useFileTransfer from './useFileTransfer';
+import { loadSavedDevices } from './useMediaDevices';
+import useActiveSpeaker, { LOCAL_SPEAKER_ID } from './useActiveSpeaker';
+import { summarizeStats, rateQuality, STATS_INTERVAL_MS, MAX_STATS_SAMPLES } from '../services/callStats';
+import {
+    SEND_LEVELS, SEND_PREFERENCES, SIMULCAST_ENCODINGS, worseLevel, createSendState, nextSendState, applySendLevel
+} from '../services/adaptiveSending';
+import { VIDEO_CODECS, preferVideoCodec } from '../services/codecs';
+
+// WebRTC configuration used until the server sends its ICE servers
 const RTC_CONFIG = {
     iceServers: [
         { urls: 'stun:stun.l.google.com:19302' },
@@ -44,51 +68,308 @@ const MEDIA_CONSTRAINTS = {
     }
 };
 
-const useWebRTC = (roomCode, userName) => {
-    // State for local and remote streams
+// Quality levels ordered from best to worst
+const QUALITY_LEVELS = ['good', 'medium', 'poor'];
+
+// ICE restart backoff: 1s, 2s, 4s, 8s, 16s, then give up
+const ICE_RESTART_BASE_DELAY = 1000;
+const ICE_RESTART_MAX_DELAY = 16000;
+const MAX_ICE_RESTARTS = 5;
+
+// A 'disconnected' connection often recovers on its own, so wait before restarting
+const ICE_DISCONNECT_GRACE_MS = 2000;
+
+/**
+ * Media constraints for one kind of input, pinned to a device if one is chosen
+ * @param {'videoinput'|'audioinput'} kind
+ * @param {string} deviceId - '' for the default device
+ */
+const constraintsFor = (kind, deviceId) => {
+    const base = kind === 'videoinput' ? MEDIA_CONSTRAINTS.video : MEDIA_CONSTRAINTS.audio;
+    return deviceId ? { ...base, deviceId: { exact: deviceId } } : base;
+};
+
+/**
+ * sessionStorage key of the token that lets us rejoin a room as the same participant
+ */
+const sessionTokenKey = (roomCode) => `sessionToken:${roomCode}`;
+
+// The send quality preference is remembered across calls
+const SEND_PREFERENCE_KEY = 'meetflow:sendQuality';
+
+/**
+ * Read the remembered send quality preference
+ * @returns {'auto'|'data-saver'|'audio-only'}
+ */
+const loadSendPreference = () => {
+    const saved = localStorage.getItem(SEND_PREFERENCE_KEY);
+    return Object.hasOwn(SEND_PREFERENCES, saved) ? saved : 'auto';
+};
+
+// So are the preferred video codec and whether to send simulcast
+const VIDEO_CODEC_KEY = 'meetflow:videoCodec';
+const SIMULCAST_KEY = 'meetflow:simulcast';
+
+/**
+ * Read the remembered video codec preference
+ * @returns {string} One of VIDEO_CODECS, or 'auto'
+ */
+const loadVideoCodec = () => {
+    const saved = localStorage.getItem(VIDEO_CODEC_KEY);
+    return VIDEO_CODECS.includes(saved) ? saved : 'auto';
+};
+
+// Video layers a receiver can ask for (see services/adaptiveSending.js)
+const VIDEO_LAYERS = ['high', 'medium', 'low'];
+
+// Signaling address of the server's SFU in large rooms
+const SFU_PEER_ID = 'sfu';
+
+/**
+ * Send local media on new transceivers: the camera and microphone, with
+ * simulcast layers for video if enabled, and the shared screen if any
+ * @param {RTCPeerConnection} pc
+ * @param {MediaStream} stream - Camera and microphone
+ * @param {object} options
+ * @param {MediaStream|null} options.screenStream - Shared screen, with system audio if captured
+ * @param {'sendrecv'|'sendonly'} options.direction
+ * @param {boolean} options.simulcast
+ */
+const addLocalTransceivers = (pc, stream, { screenStream, direction, simulcast }) => {
+    stream.getTracks().forEach(track => {
+        console.log('[WebRTC] Adding local track:', track.kind);
+        pc.addTransceiver(track, {
+            direction,
+            streams: [stream],
+            ...(track.kind === 'video' && simulcast && {
+                sendEncodings: SIMULCAST_ENCODINGS.map(encoding => ({ ...encoding }))
+            })
+        });
+    });
+    screenStream?.getTracks().forEach(track => {
+        console.log('[WebRTC] Adding screen track:', track.kind);
+        pc.addTransceiver(track, { direction, streams: [screenStream] });
+    });
+};
+
+/**
+ * Create the initial state entry for a remote participant
+ */
+const createRemotePeer = (peerId, userName) => ({
+    peerId,
+    userName: userName || 'Anonymous',
+    stream: null, // camera and microphone
+    screenStream: null, // shared screen, with system audio if captured
+    isMuted: false,
+    isVideoOff: false,
+    isVideoPaused: false, // they stopped sending video to us over a weak connection
+    connectionState: 'new',
+    connectionQuality: 'good',
+    isReconnecting: false
+});
+
+/**
+ * @param {string} roomCode - Room to join
+ * @param {string} userName - Name shown to other participants
+ * @param {object} [options]
+ * @param {string|null} [options.hostToken] - Host token from room creation,
+ *   exchanged for a host's room token
+ * @param {string|null} [options.passcode] - Room passcode
+ * @param {boolean} [options.startMuted] - Join with the microphone muted
+ * @param {boolean} [options.startVideoOff] - Join with the camera off
+ */
+const useWebRTC = (roomCode, userName, {
+    hostToken = null,
+    passcode = null,
+    startMuted = false,
+    startVideoOff = false
+} = {}) => {
+    // State for local stream
     const [localStream, setLocalStream] = useState(null);
-    const [remoteStream, setRemoteStream] = useState(null);
+
+    // Remote participants keyed by peer id
+    const [remotePeers, setRemotePeers] = useState({});
 
     // State for call status
-    const [isConnected, setIsConnected] = useState(false);
     const [isConnecting, setIsConnecting] = useState(true);
     const [error, setError] = useState(null);
 
+    // True while the signaling socket is down and trying to come back
+    const [isReconnecting, setIsReconnecting] = useState(false);
+
+    // Latest stats sample per peer id (see services/callStats.js)
+    const [callStats, setCallStats] = useState({});
+
+    // How much video we send: the user's cap, and the worst level actually
+    // in use on any connection
+    const [sendPreference, setSendPreferenceState] = useState(loadSendPreference);
+    const [sendLevel, setSendLevel] = useState('high');
+
+    // Preferred video codec, and whether new connections send simulcast
+    const [videoCodec, setVideoCodecState] = useState(loadVideoCodec);
+    const [simulcast, setSimulcastState] = useState(() => localStorage.getItem(SIMULCAST_KEY) === 'true');
+
+    // Admission state: 'joining' | 'waiting' | 'passcode-required' | 'joined'
+    // | 'locked' | 'denied' | 'removed' | 'ended' | 'not-found' | 'full'
+    const [roomStatus, setRoomStatus] = useState('joining');
+    const [roomMessage, setRoomMessage] = useState(null);
+
+    // Title and ISO start/end times of a scheduled room (all may be null)
+    const [roomSchedule, setRoomSchedule] = useState(null);
+
+    // How media travels: 'mesh' (a connection per participant) or 'sfu'
+    // (through the server, in large rooms)
+    const [mediaMode, setMediaMode] = useState('mesh');
+
+    // Most participants the room takes, once joined
+    const [maxParticipants, setMaxParticipants] = useState(null);
+
     // State for media controls
-    const [isMuted, setIsMuted] = useState(false);
-    const [isVideoOff, setIsVideoOff] = useState(false);
+    const [isMuted, setIsMuted] = useState(startMuted);
+    const [isVideoOff, setIsVideoOff] = useState(startVideoOff);
     const [isScreenSharing, setIsScreenSharing] = useState(false);
+    const [screenStream, setScreenStream] = useState(null);
 
-    // State for remote user info
-    const [remoteUser, setRemoteUser] = useState(null);
-    const [remoteMuted, setRemoteMuted] = useState(false);
-    const [remoteVideoOff, setRemoteVideoOff] = useState(false);
-
-    // State for connection quality
-    const [connectionQuality, setConnectionQuality] = useState('good'); // 'good' | 'medium' | 'poor'
+    // Signaling socket, kept in state so consumers re-render once it exists
+    const [socket, setSocket] = useState(null);
 
     // Refs for persistent values across renders
     const socketRef = useRef(null);
-    const peerConnectionRef = useRef(null);
+    const peerConnectionsRef = useRef(new Map()); // peerId -> { pc, polite, makingOffer, ignoreOffer, ... }
+    const pendingIceCandidatesRef = useRef(new Map()); // peerId -> RTCIceCandidateInit[]
     const localStreamRef = useRef(null);
     const screenStreamRef = useRef(null);
-    const remoteSocketIdRef = useRef(null);
-    const pendingIceCandidatesRef = useRef([]);
-    const isInitiatorRef = useRef(false);
-    const reconnectAttemptsRef = useRef(0);
     const statsIntervalRef = useRef(null);
+    const statsHistoryRef = useRef([]); // [{ time, peers: { peerId: sample } }]
+    const sendPreferenceRef = useRef(sendPreference);
+    const videoCodecRef = useRef(videoCodec);
+    const simulcastRef = useRef(simulcast);
+    const requestedLayersRef = useRef(new Map()); // peerId -> layer we want to receive from them
+    const mediaModeRef = useRef('mesh');
+    const sfuStreamsRef = useRef(new Map()); // stream id -> peerId of media the SFU forwards to us
+    const remoteMediaRef = useRef(new Map()); // peerId -> { streams: Map(stream id -> MediaStream), screenStreamId }
+    const rtcConfigRef = useRef(RTC_CONFIG);
+    const iceRefreshTimeoutRef = useRef(null);
+    const hostTokenRef = useRef(hostToken);
+    const passcodeRef = useRef(passcode);
+    const startMediaRef = useRef({ startMuted, startVideoOff });
+
+    // File sharing runs over a data channel on each peer connection
+    const {
+        fileTransfers, attachChannel, detachChannel,
+        sendFile, acceptFile, rejectFile, cancelTransfer
+    } = useFileTransfer();
+
+    /**
+     * Merge changes into a remote participant entry, creating it if needed
+     */
+    const updateRemotePeer = useCallback((peerId, changes) => {
+        setRemotePeers(prev => ({
+            ...prev,
+            [peerId]: {
+                ...(prev[peerId] || createRemotePeer(peerId)),
+                ...changes
+            }
+        }));
+    }, []);
+
+    /**
+     * Sort a participant's incoming streams into their camera and their
+     * shared screen, going by the screen's stream id from 'peer-screen-share'.
+     * Tracks and that announcement may arrive in either order.
+     * @param {object} media
+     * @param {MediaStream} [media.stream] - A stream a track arrived on
+     * @param {string|null} [media.screenStreamId] - Id of the stream they share their screen on
+     * @param {object} [changes] - More changes for the participant entry
+     */
+    const updateRemoteMedia = useCallback((peerId, { stream, screenStreamId } = {}, changes = {}) => {
+        let media = remoteMediaRef.current.get(peerId);
+        if (!media) {
+            media = { streams: new Map(), screenStreamId: null };
+            remoteMediaRef.current.set(peerId, media);
+        }
+
+        // The latest camera stream comes last, e.g. after their page reloaded
+        if (stream) {
+            media.streams.delete(stream.id);
+            media.streams.set(stream.id, stream);
+        }
+        if (screenStreamId !== undefined) {
+            // A screen that was shared before is over
+            if (media.screenStreamId !== screenStreamId) media.streams.delete(media.screenStreamId);
+            media.screenStreamId = screenStreamId;
+        }
+
+        const cameras = [...media.streams.values()].filter(s => s.id !== media.screenStreamId);
+        updateRemotePeer(peerId, {
+            ...changes,
+            stream: cameras.at(-1) || null,
+            screenStream: media.streams.get(media.screenStreamId) || null
+        });
+    }, [updateRemotePeer]);
+
+    /**
+     * Merge changes into every remote participant entry
+     */
+    const updateAllRemotePeers = useCallback((changes) => {
+        setRemotePeers(prev => Object.fromEntries(
+            Object.entries(prev).map(([peerId, peer]) => [peerId, { ...peer, ...changes }])
+        ));
+    }, []);
+
+    /**
+     * Remove a remote participant entry
+     */
+    const removeRemotePeer = useCallback((peerId) => {
+        setRemotePeers(prev => {
+            if (!prev[peerId]) return prev;
+            const next = { ...prev };
+            delete next[peerId];
+            return next;
+        });
+    }, []);
+
+    /**
+     * Use the ICE servers the signaling server sent with 'room-joined' or
+     * 'ice-servers'; it only hands out TURN credentials to admitted
+     * participants. The credentials expire, so new ones are asked for
+     * before their TTL runs out and applied to existing peer connections too.
+     * @param {{iceServers: RTCIceServer[], ttl: number}} ice
+     */
+    const applyIceServers = useCallback(({ iceServers, ttl }) => {
+        rtcConfigRef.current = { ...RTC_CONFIG, iceServers };
+
+        for (const { pc, subscribePc } of peerConnectionsRef.current.values()) {
+            for (const connection of [pc, subscribePc].filter(Boolean)) {
+                connection.setConfiguration({ ...connection.getConfiguration(), iceServers });
+            }
+        }
+
+        // Refresh at 80% of the credential lifetime
+        clearTimeout(iceRefreshTimeoutRef.current);
+        if (ttl > 0) {
+            iceRefreshTimeoutRef.current = setTimeout(() => {
+                socketRef.current?.emit('refresh-ice-servers');
+            }, ttl * 800);
+        }
+        console.log('[WebRTC] Using ICE servers:', iceServers.length);
+    }, []);
 
     /**
      * Initialize local media stream (camera and microphone)
      */
     const initLocalStream = useCallback(async () => {
         try {
-            // First try with ideal constraints
+            // First try with ideal constraints on the remembered devices
+            const savedDevices = loadSavedDevices();
             let stream;
             try {
-                stream = await navigator.mediaDevices.getUserMedia(MEDIA_CONSTRAINTS);
-            } catch (err) {
-                // Fallback to basic constraints if ideal fails
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: constraintsFor('videoinput', savedDevices.videoinput),
+                    audio: constraintsFor('audioinput', savedDevices.audioinput)
+                });
+            } catch {
+                // Fallback to basic constraints if ideal fails or a device is gone
                 console.warn('[WebRTC] Falling back to basic media constraints');
                 stream = await navigator.mediaDevices.getUserMedia({
                     video: true,
@@ -96,6 +377,11 @@ const useWebRTC = (roomCode, userName) => {
                 });
             }
 
+            // Apply the lobby choices before any track is sent
+            const { startMuted: muted, startVideoOff: videoOff } = startMediaRef.current;
+            stream.getAudioTracks().forEach(track => { track.enabled = !muted; });
+            stream.getVideoTracks().forEach(track => { track.enabled = !videoOff; });
+
             localStreamRef.current = stream;
             setLocalStream(stream);
             console.log('[WebRTC] Local stream initialized successfully');
@@ -118,73 +404,316 @@ const useWebRTC = (roomCode, userName) => {
     }, []);
 
     /**
-     * Monitor connection quality using WebRTC stats
+     * Bring a peer connection's video senders in line with what the network
+     * allows, the user's preference and the layer the peer asked for. The
+     * layer is about how large they show our camera, so a shared screen
+     * only gives way to the network and the preference. Peers are told when
+     * we stop or resume sending video, so they don't stare at a frozen frame.
+     * @param {boolean} [force] - Apply the level even if it didn't change,
+     *   e.g. after the outgoing video track was swapped
+     */
+    const adaptSending = useCallback(async (peerId, peer, force = false) => {
+        // Only the network and the preference count as sending reduced
+        // video; a peer showing us as a thumbnail doesn't
+        peer.allowedLevel = worseLevel(peer.sending.level, SEND_PREFERENCES[sendPreferenceRef.current]);
+        const allowed = [...peerConnectionsRef.current.values()].map(p => p.allowedLevel || 'high');
+        setSendLevel(allowed.reduce(worseLevel, SEND_LEVELS[0]));
+
+        const level = worseLevel(peer.allowedLevel, peer.requestedLayer || SEND_LEVELS[0]);
+        const screenLevel = peer.allowedLevel;
+        if (level === peer.appliedLevel && screenLevel === peer.appliedScreenLevel && !force) return;
+
+        const previous = peer.appliedLevel;
+        const previousScreen = peer.appliedScreenLevel;
+        peer.appliedLevel = level;
+        peer.appliedScreenLevel = screenLevel;
+        try {
+            await applySendLevel(peer.pc, level, screenStreamRef.current?.getVideoTracks()[0] || null, screenLevel);
+        } catch (err) {
+            // Try again with the next sample
+            console.warn('[WebRTC] Could not change send quality for:', peerId, err);
+            peer.appliedLevel = previous;
+            peer.appliedScreenLevel = previousScreen;
+            return;
+        }
+        console.log(`[WebRTC] Sending ${level} to:`, peerId);
+
+        if ((level === 'audio-only') !== (previous === 'audio-only')) {
+            socketRef.current?.emit('video-paused', { to: peerId, paused: level === 'audio-only' });
+        }
+    }, []);
+
+    /**
+     * Sample WebRTC stats of every peer connection: keeps the latest sample
+     * per peer for the call health overlay, a time series for the
+     * downloadable report, rates each connection's quality and adapts the
+     * video we send on it. Through the SFU we send on one connection and
+     * receive on another, so its sample combines both.
      */
     const monitorConnectionQuality = useCallback(() => {
-        if (!peerConnectionRef.current) return;
+        // One interval samples all peer connections
+        if (statsIntervalRef.current) return;
 
         statsIntervalRef.current = setInterval(async () => {
-            try {
-                const stats = await peerConnectionRef.current.getStats();
-                let packetsLost = 0;
-                let packetsReceived = 0;
-                let jitter = 0;
-
-                stats.forEach(report => {
-                    if (report.type === 'inbound-rtp' && report.kind === 'video') {
-                        packetsLost = report.packetsLost || 0;
-                        packetsReceived = report.packetsReceived || 0;
-                        jitter = report.jitter || 0;
-                    }
-                });
+            const samples = {};
 
-                // Calculate packet loss percentage
-                const totalPackets = packetsLost + packetsReceived;
-                const lossPercentage = totalPackets > 0 ? (packetsLost / totalPackets) * 100 : 0;
+            for (const [peerId, peer] of peerConnectionsRef.current) {
+                try {
+                    const report = await peer.pc.getStats();
+                    let sample = summarizeStats(report, peer.lastStats);
+                    peer.lastStats = report;
+
+                    if (peer.subscribePc) {
+                        const subscribeReport = await peer.subscribePc.getStats();
+                        const received = summarizeStats(subscribeReport, peer.lastSubscribeStats);
+                        peer.lastSubscribeStats = subscribeReport;
+                        sample = {
+                            ...sample,
+                            video: { ...sample.video, received: received.video.received },
+                            audio: { ...sample.audio, received: received.audio.received }
+                        };
+                    }
 
-                // Determine connection quality
-                if (lossPercentage > 10 || jitter > 0.1) {
-                    setConnectionQuality('poor');
-                } else if (lossPercentage > 5 || jitter > 0.05) {
-                    setConnectionQuality('medium');
-                } else {
-                    setConnectionQuality('good');
+                    // The peer may have left while stats were collected
+                    if (peerConnectionsRef.current.has(peerId)) {
+                        samples[peerId] = { userName: peer.userName, sendLevel: peer.appliedLevel, ...sample };
+                        // Everyone reaches us over the SFU's one connection
+                        if (peer.subscribePc) {
+                            updateAllRemotePeers({ connectionQuality: rateQuality(sample) });
+                        } else {
+                            updateRemotePeer(peerId, { connectionQuality: rateQuality(sample) });
+                        }
+
+                        peer.sending = nextSendState(peer.sending, sample, Date.now());
+                        adaptSending(peerId, peer);
+                    }
+                } catch {
+                    // Stats not available
                 }
-            } catch (err) {
-                // Stats not available
             }
-        }, 5000);
+
+            if (Object.keys(samples).length === 0) return;
+
+            const history = statsHistoryRef.current;
+            history.push({ time: new Date().toISOString(), peers: samples });
+            if (history.length > MAX_STATS_SAMPLES) history.shift();
+            setCallStats(samples);
+        }, STATS_INTERVAL_MS);
+    }, [updateRemotePeer, updateAllRemotePeers, adaptSending]);
+
+    /**
+     * Cap the video we send: 'auto' follows the network, 'data-saver'
+     * keeps to a low resolution and bitrate, 'audio-only' sends no video
+     */
+    const setSendPreference = useCallback((preference) => {
+        if (!Object.hasOwn(SEND_PREFERENCES, preference)) return;
+        localStorage.setItem(SEND_PREFERENCE_KEY, preference);
+        sendPreferenceRef.current = preference;
+        setSendPreferenceState(preference);
+
+        for (const [peerId, peer] of peerConnectionsRef.current) {
+            adaptSending(peerId, peer);
+        }
+    }, [adaptSending]);
+
+    /**
+     * Prefer a video codec, or 'auto' for the browser's choice. Open
+     * connections renegotiate to switch.
+     */
+    const setVideoCodec = useCallback((codec) => {
+        if (codec !== 'auto' && !VIDEO_CODECS.includes(codec)) return;
+        localStorage.setItem(VIDEO_CODEC_KEY, codec);
+        videoCodecRef.current = codec;
+        setVideoCodecState(codec);
+
+        // A negotiation in progress picks the codec up by itself
+        for (const peer of peerConnectionsRef.current.values()) {
+            if (peer.pc.signalingState === 'stable') peer.negotiate();
+        }
+    }, []);
+
+    /**
+     * Send the camera as three simulcast layers. The layers of a connection
+     * are fixed when it is set up, so this applies to connections made
+     * from now on.
+     */
+    const setSimulcast = useCallback((enabled) => {
+        localStorage.setItem(SIMULCAST_KEY, String(enabled));
+        simulcastRef.current = enabled;
+        setSimulcastState(enabled);
     }, []);
 
     /**
-     * Create and configure peer connection
+     * Ask a participant for the video layer that fits how large we show
+     * them. The wish is kept and sent again whenever the connection to
+     * them comes up.
+     * @param {'high'|'medium'|'low'} layer
      */
-    const createPeerConnection = useCallback((remoteSocketId) => {
-        console.log('[WebRTC] Creating peer connection for:', remoteSocketId);
+    const requestVideoLayer = useCallback((peerId, layer) => {
+        if (!VIDEO_LAYERS.includes(layer) || requestedLayersRef.current.get(peerId) === layer) return;
+        requestedLayersRef.current.set(peerId, layer);
+        socketRef.current?.emit('request-video-layer', { to: peerId, layer });
+    }, []);
 
-        // Close existing connection if any
-        if (peerConnectionRef.current) {
-            peerConnectionRef.current.close();
+    /**
+     * Stop the stats interval
+     */
+    const stopConnectionMonitor = useCallback(() => {
+        if (statsIntervalRef.current) {
+            clearInterval(statsIntervalRef.current);
+            statsIntervalRef.current = null;
         }
+        setCallStats({});
+        setSendLevel('high');
+    }, []);
+
+    /**
+     * Every stats sample of the call so far, for attaching to bug reports
+     */
+    const getStatsReport = useCallback(() => ({
+        roomCode,
+        userAgent: navigator.userAgent,
+        intervalMs: STATS_INTERVAL_MS,
+        startedAt: statsHistoryRef.current[0]?.time ?? null,
+        exportedAt: new Date().toISOString(),
+        samples: statsHistoryRef.current
+    }), [roomCode]);
 
-        const pc = new RTCPeerConnection(RTC_CONFIG);
+    /**
+     * Close the peer connection to a single remote participant
+     */
+    const closePeerConnection = useCallback((peerId) => {
+        const peer = peerConnectionsRef.current.get(peerId);
+        if (peer) {
+            clearTimeout(peer.restartTimer);
+            peer.pc.close();
+            peer.subscribePc?.close();
+            peerConnectionsRef.current.delete(peerId);
+        }
+        pendingIceCandidatesRef.current.delete(peerId);
+        detachChannel(peerId);
 
-        // Add local tracks to peer connection
+        if (peerConnectionsRef.current.size === 0) {
+            stopConnectionMonitor();
+        }
+    }, [detachChannel, stopConnectionMonitor]);
+
+    /**
+     * Add queued ICE candidates once the remote description is set
+     */
+    const flushPendingCandidates = useCallback(async (peerId, pc) => {
+        const pending = pendingIceCandidatesRef.current.get(peerId) || [];
+        pendingIceCandidatesRef.current.delete(peerId);
+
+        for (const candidate of pending) {
+            await pc.addIceCandidate(new RTCIceCandidate(candidate));
+        }
+    }, []);
+
+    /**
+     * Create and configure the peer connection to a remote participant.
+     * The side that starts the connection is impolite: in an offer collision
+     * its offer wins, and the polite side rolls its own offer back.
+     * @param {boolean} isInitiator - Whether we start the connection
+     * @returns {object} Peer entry with the RTCPeerConnection and negotiation state
+     */
+    const createPeerConnection = useCallback((remotePeerId, remoteUserName, isInitiator) => {
+        console.log('[WebRTC] Creating peer connection for:', remotePeerId);
+
+        // Close existing connection to this participant if any
+        const previous = peerConnectionsRef.current.get(remotePeerId);
+        if (previous) {
+            clearTimeout(previous.restartTimer);
+            previous.pc.close();
+        }
+
+        const pc = new RTCPeerConnection(rtcConfigRef.current);
+        const peer = {
+            pc,
+            polite: !isInitiator,
+            makingOffer: false,
+            ignoreOffer: false,
+            isSettingRemoteAnswerPending: false,
+            restartAttempts: 0,
+            restartTimer: null,
+            userName: remoteUserName || 'Anonymous',
+            lastStats: null, // previous getStats() report, for rates
+            sending: createSendState(),
+            appliedLevel: null // send level last applied to the video senders
+        };
+
+        /**
+         * Restart ICE while the connection stays down, backing off exponentially.
+         * Only the impolite side restarts, to avoid needless offer collisions;
+         * the polite side still counts attempts so it gives up at the same time.
+         */
+        const restartIce = () => {
+            if (pc.connectionState === 'connected' || pc.signalingState === 'closed') return;
+
+            if (peer.restartAttempts >= MAX_ICE_RESTARTS) {
+                console.warn('[WebRTC] Giving up reconnecting to:', remotePeerId);
+                updateRemotePeer(remotePeerId, { connectionState: 'failed', isReconnecting: false });
+                setError('Connection lost. Please try rejoining the room.');
+                return;
+            }
+
+            const delay = Math.min(ICE_RESTART_BASE_DELAY * 2 ** peer.restartAttempts, ICE_RESTART_MAX_DELAY);
+            peer.restartAttempts++;
+            updateRemotePeer(remotePeerId, { isReconnecting: true });
+
+            // Offers can't reach the peer while our signaling socket is down.
+            // restartIce() makes the next negotiation offer fresh ICE credentials.
+            if (!peer.polite && socketRef.current?.connected) {
+                console.log(`[WebRTC] ICE restart ${peer.restartAttempts}/${MAX_ICE_RESTARTS} for:`, remotePeerId);
+                pc.restartIce();
+            }
+
+            // Check again once this attempt had time to succeed
+            scheduleIceRestart(delay);
+        };
+
+        const scheduleIceRestart = (delay) => {
+            clearTimeout(peer.restartTimer);
+            peer.restartTimer = setTimeout(restartIce, delay);
+        };
+
+        // Start over with a fresh backoff once signaling works again
+        peer.recover = () => {
+            if (pc.connectionState === 'connected') return;
+            peer.restartAttempts = 0;
+            scheduleIceRestart(0);
+        };
+
+        // Add local tracks to peer connection, and the screen if we are
+        // already sharing. The initiator sets up the transceivers; the other
+        // side's addTrack reuses them when the offer arrives, and offers
+        // whatever is left over itself.
         if (localStreamRef.current) {
-            localStreamRef.current.getTracks().forEach(track => {
-                console.log('[WebRTC] Adding local track:', track.kind);
-                pc.addTrack(track, localStreamRef.current);
-            });
+            const stream = localStreamRef.current;
+            const screenStream = screenStreamRef.current;
+            if (isInitiator) {
+                addLocalTransceivers(pc, stream, { screenStream, direction: 'sendrecv', simulcast: simulcastRef.current });
+            } else {
+                stream.getTracks().forEach(track => pc.addTrack(track, stream));
+                screenStream?.getTracks().forEach(track => pc.addTrack(track, screenStream));
+            }
         }
 
+        // File sharing channel, negotiated on both sides so it exists
+        // without waiting for an 'ondatachannel' event
+        const fileChannel = pc.createDataChannel('file-transfer', {
+            negotiated: true,
+            id: 0,
+            ordered: true
+        });
+        attachChannel(remotePeerId, fileChannel, remoteUserName || 'Anonymous');
+
         // Handle incoming tracks from remote peer
         pc.ontrack = (event) => {
-            console.log('[WebRTC] Received remote track:', event.track.kind);
+            console.log('[WebRTC] Received remote track:', event.track.kind, 'from', remotePeerId);
             const [stream] = event.streams;
-            setRemoteStream(stream);
-            setIsConnected(true);
+            updateRemoteMedia(remotePeerId, { stream });
             setIsConnecting(false);
-            reconnectAttemptsRef.current = 0;
 
             // Start monitoring connection quality
             monitorConnectionQuality();
@@ -193,10 +722,9 @@ const useWebRTC = (roomCode, userName) => {
         // Handle ICE candidates
         pc.onicecandidate = (event) => {
             if (event.candidate) {
-                console.log('[WebRTC] Sending ICE candidate');
                 socketRef.current?.emit('ice-candidate', {
                     candidate: event.candidate,
-                    to: remoteSocketId
+                    to: remotePeerId
                 });
             }
         };
@@ -208,31 +736,37 @@ const useWebRTC = (roomCode, userName) => {
 
         // Handle connection state changes
         pc.onconnectionstatechange = () => {
-            console.log('[WebRTC] Connection state:', pc.connectionState);
+            console.log('[WebRTC] Connection state:', remotePeerId, pc.connectionState);
+            updateRemotePeer(remotePeerId, { connectionState: pc.connectionState });
+
             switch (pc.connectionState) {
-                case 'connected':
-                    setIsConnected(true);
+                case 'connected': {
+                    clearTimeout(peer.restartTimer);
+                    peer.restartAttempts = 0;
+                    updateRemotePeer(remotePeerId, { isReconnecting: false });
                     setIsConnecting(false);
                     setError(null);
+
+                    // A new connection on their side forgot what we asked for
+                    const layer = requestedLayersRef.current.get(remotePeerId);
+                    if (layer) socketRef.current?.emit('request-video-layer', { to: remotePeerId, layer });
+
+                    // Peers that declined simulcast left us one encoding,
+                    // which still has the settings of the smallest layer
+                    adaptSending(remotePeerId, peer, true);
                     break;
+                }
                 case 'disconnected':
-                    setIsConnected(false);
-                    // Attempt to reconnect
-                    if (reconnectAttemptsRef.current < 3) {
-                        reconnectAttemptsRef.current++;
-                        console.log('[WebRTC] Attempting reconnection...');
-                    }
+                    // Give the connection a moment to recover before restarting ICE
+                    updateRemotePeer(remotePeerId, { isReconnecting: true });
+                    scheduleIceRestart(ICE_DISCONNECT_GRACE_MS);
                     break;
                 case 'failed':
-                    setIsConnected(false);
-                    setError('Connection failed. Please try rejoining the room.');
+                    scheduleIceRestart(0);
                     break;
                 case 'closed':
-                    setIsConnected(false);
-                    setRemoteStream(null);
-                    if (statsIntervalRef.current) {
-                        clearInterval(statsIntervalRef.current);
-                    }
+                    clearTimeout(peer.restartTimer);
+                    updateRemotePeer(remotePeerId, { stream: null });
                     break;
             }
         };
@@ -240,86 +774,79 @@ const useWebRTC = (roomCode, userName) => {
         // Handle ICE connection state
         pc.oniceconnectionstatechange = () => {
             console.log('[WebRTC] ICE connection state:', pc.iceConnectionState);
-            if (pc.iceConnectionState === 'failed') {
-                // Attempt ICE restart
-                console.log('[WebRTC] ICE failed, attempting restart...');
-                pc.restartIce();
-            }
         };
 
-        // Handle negotiation needed (for renegotiation scenarios)
-        pc.onnegotiationneeded = async () => {
-            console.log('[WebRTC] Negotiation needed');
-            // Only the initiator should create offers during renegotiation
-            if (isInitiatorRef.current && remoteSocketIdRef.current) {
-                try {
-                    const offer = await pc.createOffer();
-                    await pc.setLocalDescription(offer);
-                    socketRef.current?.emit('offer', {
-                        offer: pc.localDescription,
-                        to: remoteSocketIdRef.current
-                    });
-                } catch (err) {
-                    console.error('[WebRTC] Error during renegotiation:', err);
-                }
+        // Either side sends an offer whenever its tracks or transceivers change.
+        // This also sends the initial offer once the local tracks are added.
+        peer.negotiate = async () => {
+            console.log('[WebRTC] Negotiation needed with:', remotePeerId);
+            try {
+                peer.makingOffer = true;
+                preferVideoCodec(pc, videoCodecRef.current);
+                await pc.setLocalDescription();
+                socketRef.current?.emit('offer', {
+                    offer: pc.localDescription,
+                    to: remotePeerId
+                });
+            } catch (err) {
+                console.error('[WebRTC] Error creating offer:', err);
+            } finally {
+                peer.makingOffer = false;
             }
         };
+        pc.onnegotiationneeded = peer.negotiate;
 
-        peerConnectionRef.current = pc;
-        return pc;
-    }, [monitorConnectionQuality]);
+        peerConnectionsRef.current.set(remotePeerId, peer);
+        // A new connection carries video until the peer says otherwise
+        updateRemotePeer(remotePeerId, { userName: remoteUserName || 'Anonymous', isVideoPaused: false });
+        return peer;
+    }, [attachChannel, monitorConnectionQuality, updateRemotePeer, updateRemoteMedia, adaptSending]);
 
     /**
-     * Create and send offer to remote peer
+     * Start a connection to a remote participant. The offer itself is sent
+     * from 'negotiationneeded' once the local tracks are added.
      */
-    const createOffer = useCallback(async (remoteSocketId) => {
-        console.log('[WebRTC] Creating offer for:', remoteSocketId);
-
-        const pc = createPeerConnection(remoteSocketId);
-        remoteSocketIdRef.current = remoteSocketId;
-        isInitiatorRef.current = true;
-
-        try {
-            const offer = await pc.createOffer({
-                offerToReceiveAudio: true,
-                offerToReceiveVideo: true
-            });
-
-            await pc.setLocalDescription(offer);
-
-            socketRef.current?.emit('offer', {
-                offer: pc.localDescription,
-                to: remoteSocketId
-            });
-        } catch (err) {
-            console.error('[WebRTC] Error creating offer:', err);
-            setError('Failed to create call offer');
-        }
+    const createOffer = useCallback((remotePeerId, remoteUserName) => {
+        console.log('[WebRTC] Connecting to:', remotePeerId);
+        createPeerConnection(remotePeerId, remoteUserName, true);
     }, [createPeerConnection]);
 
     /**
-     * Handle incoming offer and create answer
+     * Handle incoming offer and create answer. When it collides with an offer
+     * of our own, the impolite side ignores it and the polite side rolls back.
      */
     const handleOffer = useCallback(async ({ offer, from, userName: remoteUserName }) => {
         console.log('[WebRTC] Received offer from:', from);
 
-        const pc = createPeerConnection(from);
-        remoteSocketIdRef.current = from;
-        isInitiatorRef.current = false;
-        setRemoteUser(remoteUserName);
+        // Reuse the existing connection for renegotiation offers
+        const peer = peerConnectionsRef.current.get(from) ||
+            createPeerConnection(from, remoteUserName, false);
+        const { pc } = peer;
 
         try {
-            await pc.setRemoteDescription(new RTCSessionDescription(offer));
+            // An answer we are applying right now leaves us stable again
+            const readyForOffer = !peer.makingOffer &&
+                (pc.signalingState === 'stable' || peer.isSettingRemoteAnswerPending);
+            const offerCollision = !readyForOffer;
+
+            peer.ignoreOffer = !peer.polite && offerCollision;
+            if (peer.ignoreOffer) {
+                console.log('[WebRTC] Ignoring colliding offer from:', from);
+                return;
+            }
 
-            // Process any pending ICE candidates
-            while (pendingIceCandidatesRef.current.length > 0) {
-                const candidate = pendingIceCandidatesRef.current.shift();
-                await pc.addIceCandidate(new RTCIceCandidate(candidate));
+            if (offerCollision) {
+                console.log('[WebRTC] Rolling back our offer to:', from);
+                await pc.setLocalDescription({ type: 'rollback' });
             }
 
-            const answer = await pc.createAnswer();
-            await pc.setLocalDescription(answer);
+            await pc.setRemoteDescription(offer);
+
+            // Process any pending ICE candidates
+            await flushPendingCandidates(from, pc);
 
+            preferVideoCodec(pc, videoCodecRef.current);
+            await pc.setLocalDescription();
             socketRef.current?.emit('answer', {
                 answer: pc.localDescription,
                 to: from
@@ -328,7 +855,7 @@ const useWebRTC = (roomCode, userName) => {
             console.error('[WebRTC] Error handling offer:', err);
             setError('Failed to answer call');
         }
-    }, [createPeerConnection]);
+    }, [createPeerConnection, flushPendingCandidates]);
 
     /**
      * Handle incoming answer
@@ -336,43 +863,262 @@ const useWebRTC = (roomCode, userName) => {
     const handleAnswer = useCallback(async ({ answer, from }) => {
         console.log('[WebRTC] Received answer from:', from);
 
+        const peer = peerConnectionsRef.current.get(from);
+
+        // Answers to an offer we already rolled back are stale
+        if (peer?.pc.signalingState !== 'have-local-offer') return;
+
         try {
-            if (peerConnectionRef.current && peerConnectionRef.current.signalingState !== 'stable') {
-                await peerConnectionRef.current.setRemoteDescription(
-                    new RTCSessionDescription(answer)
-                );
-
-                // Process any pending ICE candidates
-                while (pendingIceCandidatesRef.current.length > 0) {
-                    const candidate = pendingIceCandidatesRef.current.shift();
-                    await peerConnectionRef.current.addIceCandidate(
-                        new RTCIceCandidate(candidate)
-                    );
-                }
-            }
+            peer.isSettingRemoteAnswerPending = true;
+            await peer.pc.setRemoteDescription(answer);
+
+            // Process any pending ICE candidates
+            await flushPendingCandidates(from, peer.pc);
         } catch (err) {
             console.error('[WebRTC] Error handling answer:', err);
             setError('Failed to establish connection');
+        } finally {
+            peer.isSettingRemoteAnswerPending = false;
         }
-    }, []);
+    }, [flushPendingCandidates]);
 
     /**
      * Handle incoming ICE candidate
      */
     const handleIceCandidate = useCallback(async ({ candidate, from }) => {
-        console.log('[WebRTC] Received ICE candidate from:', from);
+        const peer = peerConnectionsRef.current.get(from);
 
         try {
-            if (peerConnectionRef.current?.remoteDescription) {
-                await peerConnectionRef.current.addIceCandidate(
-                    new RTCIceCandidate(candidate)
-                );
+            if (peer?.pc.remoteDescription) {
+                await peer.pc.addIceCandidate(candidate);
             } else {
                 // Queue candidate if remote description not set yet
-                pendingIceCandidatesRef.current.push(candidate);
+                const pending = pendingIceCandidatesRef.current.get(from) || [];
+                pending.push(candidate);
+                pendingIceCandidatesRef.current.set(from, pending);
             }
         } catch (err) {
-            console.error('[WebRTC] Error adding ICE candidate:', err);
+            // Candidates belonging to an offer we ignored are expected to fail
+            if (!peer?.ignoreOffer) {
+                console.error('[WebRTC] Error adding ICE candidate:', err);
+            }
+        }
+    }, []);
+
+    /**
+     * Start our media session with the SFU in a large room: a publish
+     * connection we offer our media on once, and a subscribe connection
+     * the server offers everyone else's media on. The session sits among
+     * the peer connections under SFU_PEER_ID, so sending adaptation,
+     * device switches and screen sharing work on its publish connection
+     * like on any other. When either connection fails or stays
+     * disconnected the session starts over, backing off like ICE restarts.
+     */
+    const startSfu = useCallback(() => {
+        const start = (restartAttempts) => {
+            closePeerConnection(SFU_PEER_ID);
+
+            const pc = new RTCPeerConnection(rtcConfigRef.current);
+            const subscribePc = new RTCPeerConnection(rtcConfigRef.current);
+            const peer = {
+                pc,
+                subscribePc,
+                pendingCandidates: { publish: [], subscribe: [] }, // until each remote description is set
+                restartAttempts,
+                restartTimer: null,
+                userName: 'Media server',
+                lastStats: null,
+                lastSubscribeStats: null,
+                sending: createSendState(),
+                appliedLevel: null
+            };
+
+            const isUp = () => pc.connectionState === 'connected' && subscribePc.connectionState === 'connected';
+
+            const restart = () => {
+                if (peerConnectionsRef.current.get(SFU_PEER_ID) !== peer || isUp()) return;
+
+                if (peer.restartAttempts >= MAX_ICE_RESTARTS) {
+                    console.warn('[WebRTC] Giving up reconnecting to the media server');
+                    updateAllRemotePeers({ connectionState: 'failed', isReconnecting: false });
+                    setError('Connection lost. Please try rejoining the room.');
+                    return;
+                }
+
+                // Rejoining the room starts a new session once signaling is back
+                if (!socketRef.current?.connected) return;
+                console.log(`[WebRTC] Media server restart ${peer.restartAttempts + 1}/${MAX_ICE_RESTARTS}`);
+                start(peer.restartAttempts + 1);
+            };
+
+            const scheduleRestart = (delay) => {
+                clearTimeout(peer.restartTimer);
+                peer.restartTimer = setTimeout(restart, delay);
+            };
+            const backoff = () => Math.min(ICE_RESTART_BASE_DELAY * 2 ** peer.restartAttempts, ICE_RESTART_MAX_DELAY);
+
+            // Check again once a restarted session had time to come up
+            if (restartAttempts > 0) scheduleRestart(backoff());
+
+            pc.onicecandidate = ({ candidate }) => {
+                if (candidate) socketRef.current?.emit('sfu-signal', { transport: 'publish', candidate });
+            };
+            subscribePc.onicecandidate = ({ candidate }) => {
+                if (candidate) socketRef.current?.emit('sfu-signal', { transport: 'subscribe', candidate });
+            };
+
+            // Each forwarded stream belongs to the participant the server named in its offer
+            subscribePc.ontrack = ({ track, streams: [stream] }) => {
+                const remotePeerId = sfuStreamsRef.current.get(stream?.id);
+                if (!remotePeerId) return;
+                console.log('[WebRTC] Received remote track:', track.kind, 'from', remotePeerId, 'through the SFU');
+                updateRemoteMedia(remotePeerId, { stream }, { connectionState: subscribePc.connectionState });
+                setIsConnecting(false);
+                monitorConnectionQuality();
+            };
+
+            const handleConnectionStateChange = () => {
+                console.log('[WebRTC] Media server connection state:', pc.connectionState, subscribePc.connectionState);
+                updateAllRemotePeers({ connectionState: subscribePc.connectionState });
+
+                if (isUp()) {
+                    clearTimeout(peer.restartTimer);
+                    peer.restartAttempts = 0;
+                    updateAllRemotePeers({ isReconnecting: false });
+                    setIsConnecting(false);
+                    setError(null);
+
+                    // Wishes sent before the session existed went nowhere
+                    for (const [remotePeerId, layer] of requestedLayersRef.current) {
+                        socketRef.current?.emit('request-video-layer', { to: remotePeerId, layer });
+                    }
+                    adaptSending(SFU_PEER_ID, peer, true);
+                } else if (pc.connectionState === 'failed' || subscribePc.connectionState === 'failed') {
+                    scheduleRestart(backoff());
+                } else if (pc.connectionState === 'disconnected' || subscribePc.connectionState === 'disconnected') {
+                    updateAllRemotePeers({ isReconnecting: true });
+                    scheduleRestart(ICE_DISCONNECT_GRACE_MS);
+                }
+            };
+            pc.onconnectionstatechange = handleConnectionStateChange;
+            subscribePc.onconnectionstatechange = handleConnectionStateChange;
+
+            // We offer on the publish connection whenever our transceivers change
+            peer.negotiate = async () => {
+                try {
+                    preferVideoCodec(pc, videoCodecRef.current);
+                    await pc.setLocalDescription();
+                    socketRef.current?.emit('sfu-signal', { transport: 'publish', description: pc.localDescription });
+                } catch (err) {
+                    console.error('[WebRTC] Error creating offer for the media server:', err);
+                }
+            };
+            pc.onnegotiationneeded = peer.negotiate;
+
+            // Called once the server has set up our session ('sfu-joined')
+            peer.publish = () => {
+                const stream = localStreamRef.current;
+                if (!stream || pc.getTransceivers().length > 0) return;
+                addLocalTransceivers(pc, stream, {
+                    screenStream: screenStreamRef.current,
+                    direction: 'sendonly',
+                    simulcast: simulcastRef.current
+                });
+            };
+
+            peerConnectionsRef.current.set(SFU_PEER_ID, peer);
+            socketRef.current?.emit('sfu-join');
+        };
+
+        start(0);
+    }, [closePeerConnection, monitorConnectionQuality, updateRemoteMedia, updateAllRemotePeers, adaptSending]);
+
+    /**
+     * Handle a signaling message from the SFU for either of our connections.
+     * The server answers our publish offers and offers us the subscribe
+     * connection, naming the participant behind each stream it forwards.
+     */
+    const handleSfuSignal = useCallback(async ({ transport, description, candidate, streams }) => {
+        const peer = peerConnectionsRef.current.get(SFU_PEER_ID);
+        if (!peer) return;
+        const pc = transport === 'publish' ? peer.pc : peer.subscribePc;
+        const pending = peer.pendingCandidates[transport];
+
+        try {
+            if (candidate) {
+                if (pc.remoteDescription) {
+                    await pc.addIceCandidate(candidate);
+                } else {
+                    pending.push(candidate);
+                }
+                return;
+            }
+
+            if (streams) {
+                Object.entries(streams).forEach(([streamId, remotePeerId]) => sfuStreamsRef.current.set(streamId, remotePeerId));
+            }
+
+            // Answers to an offer we already replaced are stale
+            if (description.type === 'answer' && pc.signalingState !== 'have-local-offer') return;
+
+            await pc.setRemoteDescription(description);
+            for (const queued of pending.splice(0)) {
+                await pc.addIceCandidate(queued);
+            }
+
+            if (description.type === 'offer') {
+                await pc.setLocalDescription();
+                socketRef.current?.emit('sfu-signal', { transport, description: pc.localDescription });
+            }
+        } catch (err) {
+            console.error('[WebRTC] Error handling media server signal:', err);
+            setError('Failed to establish connection');
+        }
+    }, []);
+
+    /**
+     * Swap the camera or microphone mid-call. The new track replaces the old
+     * one on the existing senders, so no renegotiation is needed.
+     * @param {'videoinput'|'audioinput'} kind
+     * @param {string} deviceId - '' for the default device
+     */
+    const switchDevice = useCallback(async (kind, deviceId) => {
+        const stream = localStreamRef.current;
+        if (!stream) return;
+
+        const isVideo = kind === 'videoinput';
+        const oldTrack = isVideo ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
+
+        try {
+            const constraints = constraintsFor(kind, deviceId);
+            const newStream = await navigator.mediaDevices.getUserMedia(
+                isVideo ? { video: constraints } : { audio: constraints }
+            );
+            const [newTrack] = newStream.getTracks();
+
+            // Keep the mute / camera-off state
+            if (oldTrack) {
+                newTrack.enabled = oldTrack.enabled;
+
+                for (const { pc } of peerConnectionsRef.current.values()) {
+                    const sender = pc.getSenders().find(s => s.track === oldTrack);
+                    if (sender) {
+                        await sender.replaceTrack(newTrack);
+                    }
+                }
+                oldTrack.stop();
+            }
+
+            const updatedStream = new MediaStream([
+                ...stream.getTracks().filter(track => track !== oldTrack),
+                newTrack
+            ]);
+            localStreamRef.current = updatedStream;
+            setLocalStream(updatedStream);
+            console.log('[WebRTC] Switched', kind, 'to', newTrack.label);
+        } catch (err) {
+            console.error('[WebRTC] Error switching device:', err);
+            setError(isVideo ? 'Could not switch to that camera.' : 'Could not switch to that microphone.');
         }
     }, []);
 
@@ -386,7 +1132,7 @@ const useWebRTC = (roomCode, userName) => {
                 audioTrack.enabled = !audioTrack.enabled;
                 setIsMuted(!audioTrack.enabled);
 
-                // Notify remote peer about audio state
+                // Notify remote peers about audio state
                 socketRef.current?.emit('toggle-audio', { isMuted: !audioTrack.enabled });
             }
         }
@@ -402,80 +1148,116 @@ const useWebRTC = (roomCode, userName) => {
                 videoTrack.enabled = !videoTrack.enabled;
                 setIsVideoOff(!videoTrack.enabled);
 
-                // Notify remote peer about video state
+                // Notify remote peers about video state
                 socketRef.current?.emit('toggle-video', { isVideoOff: !videoTrack.enabled });
             }
         }
     }, []);
 
     /**
-     * Toggle screen sharing
+     * Stop screen sharing. Removing the screen's senders renegotiates every
+     * connection; the camera was sent all along.
      */
-    const toggleScreenShare = useCallback(async () => {
-        if (isScreenSharing) {
-            // Stop screen sharing, restore camera
-            if (screenStreamRef.current) {
-                screenStreamRef.current.getTracks().forEach(track => track.stop());
-                screenStreamRef.current = null;
+    const stopScreenShare = useCallback(() => {
+        const displayStream = screenStreamRef.current;
+        if (displayStream) {
+            const tracks = displayStream.getTracks();
+            for (const { pc } of peerConnectionsRef.current.values()) {
+                pc.getSenders()
+                    .filter(sender => tracks.includes(sender.track))
+                    .forEach(sender => pc.removeTrack(sender));
             }
+            tracks.forEach(track => track.stop());
+            screenStreamRef.current = null;
+        }
+        setScreenStream(null);
 
-            // Restore camera track
-            if (localStreamRef.current && peerConnectionRef.current) {
-                const videoTrack = localStreamRef.current.getVideoTracks()[0];
-                const sender = peerConnectionRef.current.getSenders().find(
-                    s => s.track?.kind === 'video'
-                );
+        setIsScreenSharing(false);
+        socketRef.current?.emit('toggle-screen-share', { isScreenSharing: false, streamId: null });
+    }, []);
 
-                if (sender && videoTrack) {
-                    await sender.replaceTrack(videoTrack);
+    /**
+     * Start screen sharing next to the camera. The screen and the system
+     * audio, if the browser captures any, go out on transceivers of their
+     * own, so every connection renegotiates.
+     */
+    const startScreenShare = useCallback(async () => {
+        try {
+            const displayStream = await navigator.mediaDevices.getDisplayMedia({
+                video: {
+                    cursor: 'always',
+                    displaySurface: 'monitor'
+                },
+                audio: {
+                    echoCancellation: true,
+                    noiseSuppression: true
                 }
-            }
-
-            setIsScreenSharing(false);
-            socketRef.current?.emit('toggle-screen-share', { isScreenSharing: false });
-        } else {
-            // Start screen sharing
-            try {
-                const screenStream = await navigator.mediaDevices.getDisplayMedia({
-                    video: {
-                        cursor: 'always',
-                        displaySurface: 'monitor'
-                    },
-                    audio: {
-                        echoCancellation: true,
-                        noiseSuppression: true
-                    }
-                });
+            });
 
-                screenStreamRef.current = screenStream;
-                const screenTrack = screenStream.getVideoTracks()[0];
+            screenStreamRef.current = displayStream;
+            setScreenStream(displayStream);
+            const screenTrack = displayStream.getVideoTracks()[0];
 
-                // Replace video track in peer connection
-                if (peerConnectionRef.current) {
-                    const sender = peerConnectionRef.current.getSenders().find(
-                        s => s.track?.kind === 'video'
-                    );
+            // Peers learn which stream is the screen before its tracks reach them
+            socketRef.current?.emit('toggle-screen-share', { isScreenSharing: true, streamId: displayStream.id });
 
-                    if (sender) {
-                        await sender.replaceTrack(screenTrack);
-                    }
-                }
+            for (const [peerId, peer] of peerConnectionsRef.current) {
+                displayStream.getTracks().forEach(track => peer.pc.addTrack(track, displayStream));
+                // Screens and cameras are scaled differently (see applySendLevel)
+                if (peer.appliedLevel) adaptSending(peerId, peer, true);
+            }
 
-                // Handle when user stops sharing via browser UI
-                screenTrack.onended = () => {
-                    toggleScreenShare();
-                };
+            // Handle when user stops sharing via browser UI
+            screenTrack.onended = () => {
+                stopScreenShare();
+            };
 
-                setIsScreenSharing(true);
-                socketRef.current?.emit('toggle-screen-share', { isScreenSharing: true });
-            } catch (err) {
-                console.error('[WebRTC] Error sharing screen:', err);
-                if (err.name !== 'NotAllowedError') {
-                    setError('Failed to share screen');
-                }
+            setIsScreenSharing(true);
+        } catch (err) {
+            console.error('[WebRTC] Error sharing screen:', err);
+            if (err.name !== 'NotAllowedError') {
+                setError('Failed to share screen');
             }
         }
-    }, [isScreenSharing]);
+    }, [adaptSending, stopScreenShare]);
+
+    /**
+     * Toggle screen sharing
+     */
+    const toggleScreenShare = useCallback(() => {
+        return isScreenSharing ? stopScreenShare() : startScreenShare();
+    }, [isScreenSharing, startScreenShare, stopScreenShare]);
+
+    /**
+     * Ask the server to (re)join the room. A stored session token makes the
+     * server give us back our previous place instead of admitting us again.
+     */
+    const joinRoom = useCallback(() => {
+        const audioTrack = localStreamRef.current?.getAudioTracks()[0];
+        const videoTrack = localStreamRef.current?.getVideoTracks()[0];
+
+        // Our name and host role travel in the room token
+        socketRef.current?.emit('join-room', {
+            roomCode,
+            passcode: passcodeRef.current,
+            // Peers learn our mic/camera state together with our arrival
+            isMuted: !audioTrack?.enabled,
+            isVideoOff: !videoTrack?.enabled,
+            sessionToken: sessionStorage.getItem(sessionTokenKey(roomCode)),
+            // Open peer connections can be recovered with an ICE restart
+            resume: peerConnectionsRef.current.size > 0
+        });
+    }, [roomCode]);
+
+    /**
+     * Retry joining a passcode-protected room
+     */
+    const submitPasscode = useCallback((roomPasscode) => {
+        passcodeRef.current = roomPasscode;
+        setRoomStatus('joining');
+        setRoomMessage(null);
+        joinRoom();
+    }, [joinRoom]);
 
     /**
      * End the call and cleanup
@@ -483,10 +1265,9 @@ const useWebRTC = (roomCode, userName) => {
     const endCall = useCallback(() => {
         console.log('[WebRTC] Ending call...');
 
-        // Clear stats monitoring
-        if (statsIntervalRef.current) {
-            clearInterval(statsIntervalRef.current);
-        }
+        // Clear stats monitoring and ICE server refresh
+        stopConnectionMonitor();
+        clearTimeout(iceRefreshTimeoutRef.current);
 
         // Stop all local tracks
         if (localStreamRef.current) {
@@ -500,23 +1281,27 @@ const useWebRTC = (roomCode, userName) => {
             screenStreamRef.current = null;
         }
 
-        // Close peer connection
-        if (peerConnectionRef.current) {
-            peerConnectionRef.current.close();
-            peerConnectionRef.current = null;
+        // Close every peer connection
+        for (const peerId of [...peerConnectionsRef.current.keys()]) {
+            closePeerConnection(peerId);
         }
+        requestedLayersRef.current.clear();
+        sfuStreamsRef.current.clear();
+        remoteMediaRef.current.clear();
 
-        // Leave room via socket
+        // Leave room via socket. Leaving on purpose gives up our place, so the
+        // server no longer accepts the stored session token after this.
         socketRef.current?.emit('leave-room');
         disconnectSocket();
 
         // Reset state
         setLocalStream(null);
-        setRemoteStream(null);
-        setIsConnected(false);
-        setRemoteUser(null);
+        setRemotePeers({});
+        setSocket(null);
         setIsScreenSharing(false);
-    }, []);
+        setScreenStream(null);
+        setIsReconnecting(false);
+    }, [closePeerConnection, stopConnectionMonitor]);
 
     /**
      * Initialize WebRTC connection when component mounts
@@ -526,48 +1311,134 @@ const useWebRTC = (roomCode, userName) => {
 
         const init = async () => {
             try {
-                // Initialize local media stream
-                await initLocalStream();
+                // Initialize local media stream and our room token together
+                const [, { token }] = await Promise.all([
+                    initLocalStream(),
+                    getRoomToken(roomCode, { userName, hostToken: hostTokenRef.current }).catch(err => {
+                        if (err.status !== 404) {
+                            setError('Failed to connect to server. Please check your connection.');
+                        }
+                        throw err;
+                    })
+                ]);
 
                 if (!mounted) return;
 
                 // Connect to signaling server
-                const socket = connectSocket();
+                const socket = connectSocket(token);
                 socketRef.current = socket;
+                setSocket(socket);
 
-                // Socket event handlers
+                let hasConnected = false;
+
+                // Socket event handlers. The socket reconnects on its own after a
+                // drop, and every (re)connect joins the room again.
                 socket.on('connect', () => {
-                    console.log('[Socket] Connected to signaling server');
-                    socket.emit('join-room', { roomCode, userName });
+                    console.log(`[Socket] ${hasConnected ? 'Reconnected' : 'Connected'} to signaling server`);
+                    hasConnected = true;
+                    setIsReconnecting(false);
+                    joinRoom();
                 });
 
-                socket.on('room-joined', ({ participantCount, isInitiator }) => {
-                    console.log('[Socket] Joined room. Participants:', participantCount);
-                    isInitiatorRef.current = isInitiator;
+                /**
+                 * The server refused or ended our place in the room
+                 */
+                const handleRoomRefused = (status) => ({ message }) => {
+                    console.log('[Socket] Room access:', status, message);
+                    setRoomStatus(status);
+                    setRoomMessage(message);
+                    setIsConnecting(false);
+                };
+
+                // Existing participants will send us offers, so we only record them
+                // here. In large rooms we start our session with the SFU instead.
+                socket.on('room-joined', ({ participantCount, participants = [], sessionToken, reconnected, schedule, ice, mediaMode: mode = 'mesh', maxParticipants: limit }) => {
+                    console.log(`[Socket] ${reconnected ? 'Rejoined' : 'Joined'} room. Participants:`, participantCount);
+                    if (ice) applyIceServers(ice);
+                    setRoomStatus('joined');
+                    setRoomMessage(null);
+                    setRoomSchedule(schedule || null);
+                    mediaModeRef.current = mode;
+                    setMediaMode(mode);
+                    setMaxParticipants(limit || null);
+
+                    if (sessionToken) {
+                        sessionStorage.setItem(sessionTokenKey(roomCode), sessionToken);
+                    }
+
+                    // Joined as a new participant: nobody knows our old connections anymore.
+                    // Rejoined: only drop peers that left while we were away.
+                    const present = new Set(reconnected ? participants.map(p => p.peerId) : []);
+                    for (const peerId of [...peerConnectionsRef.current.keys()]) {
+                        if (!present.has(peerId)) closePeerConnection(peerId);
+                    }
+                    for (const peerId of [...remoteMediaRef.current.keys()]) {
+                        if (!present.has(peerId)) remoteMediaRef.current.delete(peerId);
+                    }
+                    setRemotePeers(prev => Object.fromEntries(
+                        Object.entries(prev).filter(([peerId]) => present.has(peerId))
+                    ));
+
+                    participants.forEach(({ peerId, userName: remoteUserName, isMuted: peerMuted, isVideoOff: peerVideoOff, isReconnecting: peerReconnecting, screenStreamId }) => {
+                        updateRemoteMedia(peerId, { screenStreamId: screenStreamId || null }, {
+                            userName: remoteUserName || 'Anonymous',
+                            isMuted: !!peerMuted,
+                            isVideoOff: !!peerVideoOff,
+                            isReconnecting: !!peerReconnecting
+                        });
+                        peerConnectionsRef.current.get(peerId)?.recover();
+                    });
 
                     if (participantCount === 1) {
                         setIsConnecting(true);
                     }
+
+                    if (mode === 'sfu') startSfu();
                 });
 
-                socket.on('room-full', ({ message }) => {
-                    console.log('[Socket] Room full:', message);
-                    setError(message);
-                    setIsConnecting(false);
+                // The SFU set up our session, so it is ready for our media
+                socket.on('sfu-joined', () => {
+                    peerConnectionsRef.current.get(SFU_PEER_ID)?.publish();
                 });
 
-                // When another user joins, initiator creates offer
-                socket.on('user-joined', ({ socketId, userName: remoteUserName }) => {
-                    console.log('[Socket] User joined:', remoteUserName);
-                    setRemoteUser(remoteUserName);
-                    createOffer(socketId);
+                socket.on('sfu-signal', handleSfuSignal);
+
+                socket.on('ice-servers', applyIceServers);
+
+                socket.on('room-full', handleRoomRefused('full'));
+                socket.on('room-not-found', handleRoomRefused('not-found'));
+                socket.on('room-locked', handleRoomRefused('locked'));
+                socket.on('entry-denied', handleRoomRefused('denied'));
+                socket.on('passcode-required', handleRoomRefused('passcode-required'));
+
+                socket.on('waiting-for-host', ({ message }) => {
+                    console.log('[Socket] In waiting room');
+                    setRoomStatus('waiting');
+                    setRoomMessage(message);
                 });
 
-                // When joining a room with existing user
-                socket.on('existing-user', ({ socketId, userName: remoteUserName }) => {
-                    console.log('[Socket] Existing user:', remoteUserName);
-                    setRemoteUser(remoteUserName);
-                    remoteSocketIdRef.current = socketId;
+                // The host removed us, or the room reached its scheduled end:
+                // drop every peer connection but keep local media. The socket
+                // is closed too, so a later reconnect doesn't join us again.
+                const handleLeftRoom = (status) => (payload) => {
+                    socket.disconnect();
+                    for (const peerId of [...peerConnectionsRef.current.keys()]) {
+                        closePeerConnection(peerId);
+                    }
+                    remoteMediaRef.current.clear();
+                    setRemotePeers({});
+                    sessionStorage.removeItem(sessionTokenKey(roomCode));
+                    handleRoomRefused(status)(payload);
+                };
+                socket.on('removed-from-room', handleLeftRoom('removed'));
+                socket.on('room-ended', handleLeftRoom('ended'));
+
+                // When another user joins, every existing participant creates an
+                // offer. In large rooms their media comes through the SFU.
+                socket.on('user-joined', ({ peerId, userName: remoteUserName, isMuted: peerMuted, isVideoOff: peerVideoOff }) => {
+                    console.log('[Socket] User joined:', remoteUserName);
+                    updateRemotePeer(peerId, { userName: remoteUserName || 'Anonymous', isMuted: !!peerMuted, isVideoOff: !!peerVideoOff });
+                    if (mediaModeRef.current === 'mesh') createOffer(peerId, remoteUserName);
                 });
 
                 // Handle incoming offer
@@ -580,47 +1451,127 @@ const useWebRTC = (roomCode, userName) => {
                 socket.on('ice-candidate', handleIceCandidate);
 
                 // Handle remote user audio toggle
-                socket.on('peer-audio-toggle', ({ isMuted }) => {
-                    setRemoteMuted(isMuted);
+                socket.on('peer-audio-toggle', ({ peerId, isMuted: peerMuted }) => {
+                    updateRemotePeer(peerId, { isMuted: peerMuted });
                 });
 
                 // Handle remote user video toggle
-                socket.on('peer-video-toggle', ({ isVideoOff }) => {
-                    setRemoteVideoOff(isVideoOff);
+                socket.on('peer-video-toggle', ({ peerId, isVideoOff: peerVideoOff }) => {
+                    updateRemotePeer(peerId, { isVideoOff: peerVideoOff });
+                });
+
+                // A participant started or stopped sharing their screen, which
+                // arrives as a stream of its own next to their camera
+                socket.on('peer-screen-share', ({ peerId, isScreenSharing, streamId }) => {
+                    updateRemoteMedia(peerId, { screenStreamId: isScreenSharing ? streamId : null });
+                });
+
+                // A participant stopped or resumed sending us video to save bandwidth
+                socket.on('video-paused', ({ from, paused }) => {
+                    updateRemotePeer(from, { isVideoPaused: paused });
+                });
+
+                // A participant wants a smaller or larger video layer from us
+                socket.on('request-video-layer', ({ from, layer }) => {
+                    const peer = peerConnectionsRef.current.get(from);
+                    if (!peer || !VIDEO_LAYERS.includes(layer)) return;
+                    peer.requestedLayer = layer;
+                    adaptSending(from, peer);
+                });
+
+                // A participant lost their signaling connection; the server keeps
+                // their place for a while, and media may still flow meanwhile
+                socket.on('peer-disconnected', ({ peerId }) => {
+                    updateRemotePeer(peerId, { isReconnecting: true });
+                });
+
+                // A participant is back. If they kept their peer connections we
+                // restart ICE where needed, otherwise (page reload) we offer again.
+                // Through the SFU their media returns once their session restarts.
+                socket.on('peer-reconnected', ({ peerId, userName: remoteUserName, isMuted: peerMuted, isVideoOff: peerVideoOff, resumed }) => {
+                    console.log('[Socket] User reconnected:', remoteUserName);
+                    const peer = peerConnectionsRef.current.get(peerId);
+                    updateRemotePeer(peerId, { isMuted: !!peerMuted, isVideoOff: !!peerVideoOff });
+
+                    // After a reload their old streams and screen are gone
+                    if (!resumed) remoteMediaRef.current.delete(peerId);
+
+                    if (mediaModeRef.current === 'sfu') {
+                        updateRemotePeer(peerId, { isReconnecting: false, ...(!resumed && { stream: null, screenStream: null }) });
+                    } else if (resumed && peer) {
+                        updateRemotePeer(peerId, { isReconnecting: peer.pc.connectionState !== 'connected' });
+                        peer.recover();
+                    } else {
+                        closePeerConnection(peerId);
+                        updateRemotePeer(peerId, { stream: null, screenStream: null, connectionState: 'new', isReconnecting: false });
+                        createOffer(peerId, remoteUserName);
+                    }
                 });
 
                 // Handle user leaving
-                socket.on('user-left', ({ userName: leftUserName }) => {
+                socket.on('user-left', ({ peerId, userName: leftUserName }) => {
                     console.log('[Socket] User left:', leftUserName);
-                    setRemoteStream(null);
-                    setRemoteUser(null);
-                    setIsConnected(false);
-                    setIsConnecting(true);
-
-                    if (peerConnectionRef.current) {
-                        peerConnectionRef.current.close();
-                        peerConnectionRef.current = null;
+                    closePeerConnection(peerId);
+                    removeRemotePeer(peerId);
+                    remoteMediaRef.current.delete(peerId);
+                    requestedLayersRef.current.delete(peerId);
+                    for (const [streamId, owner] of sfuStreamsRef.current) {
+                        if (owner === peerId) sfuStreamsRef.current.delete(streamId);
                     }
 
-                    if (statsIntervalRef.current) {
-                        clearInterval(statsIntervalRef.current);
+                    if (peerConnectionsRef.current.size === 0) {
+                        setIsConnecting(true);
                     }
                 });
 
-                socket.on('disconnect', () => {
-                    console.log('[Socket] Disconnected from signaling server');
+                socket.on('disconnect', (reason) => {
+                    console.log('[Socket] Disconnected from signaling server:', reason);
+                    if (reason === 'io client disconnect') return;
+
+                    setIsReconnecting(true);
+
+                    // The client only reconnects by itself after transport errors
+                    if (reason === 'io server disconnect') {
+                        socket.connect();
+                    }
                 });
 
+                // Reconnection errors are expected until the network comes back
                 socket.on('connect_error', (err) => {
                     console.error('[Socket] Connection error:', err);
-                    setError('Failed to connect to server. Please check your connection.');
-                    setIsConnecting(false);
+
+                    // The server refused our room token (it expired during a long
+                    // call): get a new one and try again, since the client won't
+                    if (hasConnected && err.data?.code === 'invalid-token') {
+                        getRoomToken(roomCode, { userName, hostToken: hostTokenRef.current })
+                            .then(({ token: freshToken }) => {
+                                if (!mounted) return;
+                                socket.auth = { token: freshToken };
+                                socket.connect();
+                            })
+                            .catch(() => setError('Lost connection to the server. Please try rejoining the room.'));
+                        return;
+                    }
+
+                    if (!hasConnected) {
+                        setError('Failed to connect to server. Please check your connection.');
+                        setIsConnecting(false);
+                    }
+                });
+
+                socket.io.on('reconnect_failed', () => {
+                    setIsReconnecting(false);
+                    setError('Lost connection to the server. Please try rejoining the room.');
                 });
 
             } catch (err) {
                 console.error('[WebRTC] Initialization error:', err);
                 if (mounted) {
                     setIsConnecting(false);
+                    if (err.status === 404) {
+                        setRoomStatus('not-found');
+                        setRoomMessage(err.message);
+                    }
                 }
             }
         };
@@ -630,23 +1581,68 @@ const useWebRTC = (roomCode, userName) => {
         // Cleanup on unmount
         return () => {
             mounted = false;
-            if (statsIntervalRef.current) {
-                clearInterval(statsIntervalRef.current);
-            }
             endCall();
         };
-    }, [roomCode, userName, initLocalStream, createOffer, handleOffer, handleAnswer, handleIceCandidate, endCall]);
+    }, [roomCode, userName, initLocalStream, applyIceServers, joinRoom, createOffer, handleOffer, handleAnswer, handleIceCandidate, startSfu, handleSfuSignal, closePeerConnection, updateRemotePeer, updateRemoteMedia, removeRemotePeer, adaptSending, endCall]);
+
+    // Remote participants in join order
+    const peers = useMemo(() => Object.values(remotePeers), [remotePeers]);
+
+    // Who is talking, from the audio of our own stream and every remote one
+    const speakerSources = useMemo(() => [
+        { id: LOCAL_SPEAKER_ID, stream: localStream },
+        ...peers.map(peer => ({ id: peer.peerId, stream: peer.stream }))
+    ], [localStream, peers]);
+    const { speaking, activeSpeakerId, featuredPeerId } = useActiveSpeaker(speakerSources);
+
+    // Remote participants ready to render as a grid, with their speaking flag
+    const remoteStreams = useMemo(() => peers.map(peer => ({
+        ...peer,
+        isSpeaking: !!speaking[peer.peerId]
+    })), [peers, speaking]);
+
+    // Connected as soon as any peer connection is up
+    const isConnected = remoteStreams.some(peer => peer.connectionState === 'connected');
+
+    // Overall quality is the worst quality across connected peers
+    const connectionQuality = remoteStreams.reduce((worst, peer) => (
+        QUALITY_LEVELS.indexOf(peer.connectionQuality) > QUALITY_LEVELS.indexOf(worst)
+            ? peer.connectionQuality
+            : worst
+    ), 'good');
 
     return {
         // Streams
         localStream,
-        remoteStream,
+        screenStream,
+        remoteStreams,
 
         // Connection status
         isConnected,
         isConnecting,
+        isReconnecting,
         error,
         connectionQuality,
+        callStats,
+        getStatsReport,
+
+        // Adaptive sending
+        sendLevel,
+        sendPreference,
+        setSendPreference,
+
+        // Simulcast, layers we receive and the preferred video codec
+        simulcast,
+        setSimulcast,
+        requestVideoLayer,
+        videoCodec,
+        setVideoCodec,
+
+        // Active speaker: a remote peer id or LOCAL_SPEAKER_ID, and the remote
+        // participant who spoke last
+        activeSpeakerId,
+        featuredPeerId,
+        isLocalSpeaking: !!speaking[LOCAL_SPEAKER_ID],
 
         // Local media controls
         isMuted,
@@ -655,17 +1651,28 @@ const useWebRTC = (roomCode, userName) => {
         toggleAudio,
         toggleVideo,
         toggleScreenShare,
-
-        // Remote user info
-        remoteUser,
-        remoteMuted,
-        remoteVideoOff,
+        switchDevice,
+
+        // File sharing
+        fileTransfers,
+        sendFile,
+        acceptFile,
+        rejectFile,
+        cancelTransfer,
+
+        // Room admission, how media travels in the room and how many it takes
+        roomStatus,
+        roomMessage,
+        roomSchedule,
+        mediaMode,
+        maxParticipants,
+        submitPasscode,
 
         // Actions
         endCall,
 
         // Socket for chat
-        socket: socketRef.current
+        socket
     };
 };
 
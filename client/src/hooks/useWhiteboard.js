@@ -0,0 +1,244 @@
+/**
+ * useWhiteboard Hook
+ *
+ * The room's shared whiteboard, kept in sync through the signaling server.
+ * Handles:
+ * - Loading the stored board when joining, mid-call included
+ * - Applying operations in the order the server numbered them, so every
+ *   participant ends up with the same board
+ * - Showing our own operations right away, until the server confirms them
+ * - Undo and redo of our own changes
+ *
+ * Elements are { id, kind, color, points, text? } with points as [x, y]
+ * fractions of the board; see server/lib/whiteboard.js for the operations.
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+
+// Points in one pen stroke at most, as many as the server accepts
+export const MAX_ELEMENT_POINTS = 1000;
+
+// Size of one element as JSON at most, as the server accepts
+export const MAX_ELEMENT_BYTES = 32 * 1024;
+
+// Characters in one text element at most
+export const MAX_TEXT_LENGTH = 500;
+
+// Operations are split to stay within the server's limits on elements per
+// operation and message size
+const MAX_OP_ELEMENTS = 200;
+const MAX_OP_BYTES = 64 * 1024;
+
+// Changes we can undo at most
+const MAX_HISTORY = 100;
+
+const EMPTY_BOARD = { seq: 0, elements: [] };
+
+/**
+ * The elements after an operation, exactly as the server applies it
+ */
+const applyOperation = (elements, { type, elements: added = [], elementIds = [] }) => {
+    switch (type) {
+        case 'add': {
+            const ids = new Set(added.map(element => element.id));
+            return [...elements.filter(element => !ids.has(element.id)), ...added];
+        }
+        case 'remove': {
+            const ids = new Set(elementIds);
+            return elements.filter(element => !ids.has(element.id));
+        }
+        case 'clear':
+            return [];
+        default:
+            return elements;
+    }
+};
+
+/**
+ * 'add' operations for elements, each within the server's limits
+ */
+const addOperations = (elements) => {
+    const operations = [];
+    let batch = [];
+    let bytes = 0;
+
+    for (const element of elements) {
+        const size = JSON.stringify(element).length;
+        if (batch.length > 0 && (batch.length >= MAX_OP_ELEMENTS || bytes + size > MAX_OP_BYTES)) {
+            operations.push({ type: 'add', elements: batch });
+            batch = [];
+            bytes = 0;
+        }
+        batch.push(element);
+        bytes += size;
+    }
+    if (batch.length > 0) operations.push({ type: 'add', elements: batch });
+    return operations;
+};
+
+/**
+ * @param {import('socket.io-client').Socket|null} socket - Signaling socket from useWebRTC
+ */
+const useWhiteboard = (socket) => {
+    // The board as the server has it: elements after operation number seq
+    const [board, setBoard] = useState(EMPTY_BOARD);
+    const boardRef = useRef(EMPTY_BOARD);
+
+    // Our operations the server hasn't sent back yet, in the order sent
+    const [pending, setPending] = useState([]);
+
+    // Our changes, each as the operations that redo it and those that undo it
+    const [undoStack, setUndoStack] = useState([]);
+    const [redoStack, setRedoStack] = useState([]);
+
+    const syncingRef = useRef(false);
+
+    const replaceBoard = useCallback((next) => {
+        boardRef.current = next;
+        setBoard(next);
+    }, []);
+
+    useEffect(() => {
+        if (!socket) return;
+
+        /**
+         * Ask for the whole board again, after missing operations
+         */
+        const requestSync = () => {
+            if (syncingRef.current) return;
+            syncingRef.current = true;
+            socket.emit('whiteboard-sync');
+        };
+
+        // Anything we sent before (re)joining is either on the stored board
+        // or lost with the old connection
+        const handleRoomJoined = ({ whiteboard = EMPTY_BOARD }) => {
+            syncingRef.current = false;
+            replaceBoard(whiteboard);
+            setPending([]);
+            setUndoStack([]);
+            setRedoStack([]);
+        };
+
+        const handleOperation = (operation) => {
+            const current = boardRef.current;
+            if (operation.seq <= current.seq) return;
+            if (operation.seq > current.seq + 1) {
+                requestSync();
+                return;
+            }
+
+            replaceBoard({ seq: operation.seq, elements: applyOperation(current.elements, operation) });
+            setPending(prev => prev.filter(p => p.id !== operation.id));
+        };
+
+        // Our operations that were on their way are in the stored board or
+        // were refused; either way their echoes were skipped while we were
+        // behind, so they are no longer shown on top of it
+        const handleState = (state) => {
+            syncingRef.current = false;
+            if (state.seq < boardRef.current.seq) return;
+            replaceBoard(state);
+            setPending([]);
+        };
+
+        // A rejected operation (board full or rate limited) never comes back,
+        // so stop showing ours and take the server's board as it is
+        const handleRequestError = ({ event }) => {
+            if (event !== 'whiteboard-op') return;
+            setPending([]);
+            requestSync();
+        };
+
+        socket.on('room-joined', handleRoomJoined);
+        socket.on('whiteboard-op', handleOperation);
+        socket.on('whiteboard-state', handleState);
+        socket.on('request-error', handleRequestError);
+
+        return () => {
+            socket.off('room-joined', handleRoomJoined);
+            socket.off('whiteboard-op', handleOperation);
+            socket.off('whiteboard-state', handleState);
+            socket.off('request-error', handleRequestError);
+        };
+    }, [socket, replaceBoard]);
+
+    // The server's board with our unconfirmed operations on top
+    const elements = useMemo(
+        () => pending.reduce(applyOperation, board.elements),
+        [board, pending]
+    );
+
+    /**
+     * Send operations and show them until the server sends them back
+     */
+    const send = useCallback((operations) => {
+        if (!socket) return;
+        for (const operation of operations) {
+            const withId = { id: crypto.randomUUID(), ...operation };
+            setPending(prev => [...prev, withId]);
+            socket.emit('whiteboard-op', withId);
+        }
+    }, [socket]);
+
+    /**
+     * Make a change that can be undone
+     */
+    const change = useCallback((redo, undo) => {
+        send(redo);
+        setUndoStack(prev => [...prev.slice(-(MAX_HISTORY - 1)), { redo, undo }]);
+        setRedoStack([]);
+    }, [send]);
+
+    /**
+     * Put a new element on the board
+     * @param {{kind: string, color: string, points: number[][], text?: string}} element
+     */
+    const addElement = useCallback((element) => {
+        const added = { id: crypto.randomUUID(), ...element };
+        change([{ type: 'add', elements: [added] }], [{ type: 'remove', elementIds: [added.id] }]);
+    }, [change]);
+
+    /**
+     * Take everything off the board; undo puts it back
+     */
+    const clear = useCallback(() => {
+        if (elements.length === 0) return;
+        change([{ type: 'clear' }], addOperations(elements));
+    }, [change, elements]);
+
+    /**
+     * Undo our last change. Elements others added since stay as they are.
+     */
+    const undo = useCallback(() => {
+        const last = undoStack[undoStack.length - 1];
+        if (!last) return;
+        send(last.undo);
+        setUndoStack(prev => prev.slice(0, -1));
+        setRedoStack(prev => [...prev, last]);
+    }, [send, undoStack]);
+
+    /**
+     * Redo our last undone change
+     */
+    const redo = useCallback(() => {
+        const last = redoStack[redoStack.length - 1];
+        if (!last) return;
+        send(last.redo);
+        setRedoStack(prev => prev.slice(0, -1));
+        setUndoStack(prev => [...prev, last]);
+    }, [send, redoStack]);
+
+    return {
+        elements,
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0,
+
+        addElement,
+        clear,
+        undo,
+        redo
+    };
+};
+
+export default useWhiteboard;
@@ -2,39 +2,163 @@
  * Professional CallPage with Enhanced Features
  */
 
-import { useEffect, useRef, useState, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import {
     Mic, MicOff, Video, VideoOff, PhoneOff, Monitor, MonitorOff,
     Copy, Check, User, MessageCircle, X, Send, Settings, MoreVertical,
-    Users as UsersIcon, Maximize2, Minimize2
+    Users as UsersIcon, Maximize2, Minimize2, Paperclip, Shield, Lock, Circle, Download,
+    UserPlus, QrCode, LayoutGrid, GalleryHorizontal, Presentation
 } from 'lucide-react';
 import useWebRTC from '../hooks/useWebRTC';
+import useChat from '../hooks/useChat';
+import useRoomControls from '../hooks/useRoomControls';
+import useMediaDevices from '../hooks/useMediaDevices';
+import useRecording, { canRecord } from '../hooks/useRecording';
+import useAnnotations from '../hooks/useAnnotations';
+import useWhiteboard from '../hooks/useWhiteboard';
+import { MAX_FILE_SIZE } from '../hooks/useFileTransfer';
+import ParticipantTile from '../components/ParticipantTile';
+import ScreenShareStage from '../components/ScreenShareStage';
+import FileTransferItem from '../components/FileTransferItem';
+import WhiteboardPanel from '../components/WhiteboardPanel';
+import RoomAccessOverlay from '../components/RoomAccessOverlay';
+import HostControls from '../components/HostControls';
+import DeviceSettings from '../components/DeviceSettings';
+import InvitePanel from '../components/InvitePanel';
+import CallHealthOverlay from '../components/CallHealthOverlay';
+import { getInviteLink } from '../services/inviteService';
 
 const CallPage = () => {
     const { roomCode } = useParams();
     const navigate = useNavigate();
+    const location = useLocation();
     const userName = sessionStorage.getItem('userName') || 'Anonymous';
+    const hostToken = sessionStorage.getItem(`hostToken:${roomCode}`);
+    const passcode = location.state?.passcode || null;
+    const startMuted = !!location.state?.startMuted;
+    const startVideoOff = !!location.state?.startVideoOff;
 
     const localVideoRef = useRef(null);
-    const remoteVideoRef = useRef(null);
+    const fileInputRef = useRef(null);
 
     const [copied, setCopied] = useState(false);
     const [showChat, setShowChat] = useState(false);
-    const [chatMessages, setChatMessages] = useState([]);
+    const [showWhiteboard, setShowWhiteboard] = useState(false);
     const [newMessage, setNewMessage] = useState('');
     const [callDuration, setCallDuration] = useState(0);
     const [callStarted, setCallStarted] = useState(false);
     const [showToast, setShowToast] = useState(null);
     const [isFullscreen, setIsFullscreen] = useState(false);
     const [showControls, setShowControls] = useState(true);
+    const [showHostControls, setShowHostControls] = useState(false);
+    const [showDeviceSettings, setShowDeviceSettings] = useState(false);
+    const [showInvite, setShowInvite] = useState(false);
+    const [showHealth, setShowHealth] = useState(false);
+    // 'grid' shows everyone the same size, 'speaker' puts the active speaker on the main stage
+    const [layout, setLayout] = useState('grid');
 
     const {
-        localStream, remoteStream, isConnected, isConnecting, error,
-        isMuted, isVideoOff, isScreenSharing, connectionQuality,
-        toggleAudio, toggleVideo, toggleScreenShare,
-        remoteUser, remoteMuted, remoteVideoOff, endCall
-    } = useWebRTC(roomCode, userName);
+        localStream, screenStream, remoteStreams, isConnected, isReconnecting, error, callStats, getStatsReport,
+        sendLevel, sendPreference, setSendPreference,
+        simulcast, setSimulcast, requestVideoLayer, videoCodec, setVideoCodec,
+        isMuted, isVideoOff, isScreenSharing, connectionQuality, featuredPeerId, isLocalSpeaking,
+        toggleAudio, toggleVideo, toggleScreenShare, switchDevice, endCall, socket,
+        fileTransfers, sendFile, acceptFile, rejectFile, cancelTransfer,
+        roomStatus, roomMessage, roomSchedule, mediaMode, maxParticipants, submitPasscode
+    } = useWebRTC(roomCode, userName, { hostToken, passcode, startMuted, startVideoOff });
+
+    const {
+        isHost, roomSettings, waitingList,
+        admitParticipant, denyParticipant, removeParticipant, updateRoomSettings
+    } = useRoomControls(socket);
+
+    const { messages: chatMessages, sendMessage: sendChatMessage, selfId } = useChat(socket);
+    const whiteboard = useWhiteboard(socket);
+
+    // An unplugged camera or mic is replaced by the default device
+    const handleDeviceRemoved = useCallback((kind) => {
+        if (kind !== 'audiooutput') switchDevice(kind, '');
+    }, [switchDevice]);
+
+    const {
+        devices, selectedDevices, selectDevice, refreshDevices
+    } = useMediaDevices({ onDeviceRemoved: handleDeviceRemoved });
+
+    const handleSelectDevice = useCallback((kind, deviceId) => {
+        selectDevice(kind, deviceId);
+        if (kind !== 'audiooutput') switchDevice(kind, deviceId);
+    }, [selectDevice, switchDevice]);
+
+    // Everyone in the call as the recorder sees them; a tile shows the screen while its participant shares
+    const recordingTiles = useMemo(() => [
+        {
+            id: 'local',
+            label: `${userName} (you)`,
+            videoStream: screenStream || localStream,
+            audioStream: localStream,
+            isVideoOff: isVideoOff && !screenStream
+        },
+        ...remoteStreams.map(peer => ({
+            id: peer.peerId,
+            label: peer.userName,
+            videoStream: peer.screenStream || peer.stream,
+            audioStream: peer.stream,
+            isVideoOff: peer.isVideoOff && !peer.screenStream
+        }))
+    ], [userName, localStream, screenStream, isVideoOff, remoteStreams]);
+
+    const {
+        isRecording, recording, remoteRecorders,
+        startRecording, stopRecording, discardRecording
+    } = useRecording(socket, recordingTiles);
+
+    // Chat messages and file offers share one timeline
+    const chatItems = useMemo(() => [
+        ...chatMessages.map(message => ({ kind: 'message', id: message.id, time: message.timestamp, message })),
+        ...Object.values(fileTransfers).map(transfer => ({ kind: 'file', id: transfer.id, time: transfer.createdAt, transfer }))
+    ].sort((a, b) => a.time.localeCompare(b.time)), [chatMessages, fileTransfers]);
+
+    const pendingFileOffers = Object.values(fileTransfers)
+        .filter(t => t.direction === 'incoming' && t.status === 'pending').length;
+
+    // A shared screen takes the main stage over either layout: the first
+    // remote presenter's, or else our own
+    const presenter = remoteStreams.find(p => p.screenStream) || null;
+    const stageScreen = presenter?.screenStream || screenStream;
+    const isScreenOnStage = !!stageScreen;
+    const annotations = useAnnotations(socket, stageScreen?.id || null);
+
+    // Speaker view stage: whoever spoke last, or the first participant before anyone has
+    const stagePeerId = remoteStreams.some(p => p.peerId === featuredPeerId)
+        ? featuredPeerId
+        : remoteStreams[0]?.peerId;
+
+    // Video codecs in use right now, from the latest stats
+    const negotiatedCodecs = useMemo(() => {
+        const samples = Object.values(callStats);
+        const unique = (direction) => [...new Set(samples.map(s => s.video[direction]?.codec).filter(Boolean))];
+        return { sent: unique('sent'), received: unique('received') };
+    }, [callStats]);
+
+    const showNotification = useCallback((message, type = 'info') => {
+        setShowToast({ message, type });
+        setTimeout(() => setShowToast(null), 4000);
+    }, []);
+
+    const toggleRecording = useCallback(() => {
+        if (isRecording) {
+            stopRecording();
+            return;
+        }
+        try {
+            startRecording();
+        } catch (err) {
+            // e.g. no supported recording format, or nothing to record
+            console.error('[Recording] Could not start:', err);
+            showNotification('Could not start recording', 'error');
+        }
+    }, [isRecording, startRecording, stopRecording, showNotification]);
 
     useEffect(() => {
         if (localVideoRef.current && localStream) {
@@ -42,23 +166,58 @@ const CallPage = () => {
         }
     }, [localStream]);
 
+    // Device labels only become visible once we have camera/mic access
     useEffect(() => {
-        if (remoteVideoRef.current && remoteStream) {
-            remoteVideoRef.current.srcObject = remoteStream;
-        }
-    }, [remoteStream]);
+        if (localStream) refreshDevices();
+    }, [localStream, refreshDevices]);
+
+    // Ask everyone for a video layer that fits the size we show them at:
+    // the stage gets the full picture, the filmstrip and crowded grids less.
+    // Next to a shared screen every camera is a thumbnail.
+    useEffect(() => {
+        const speakerView = layout === 'speaker' && remoteStreams.length > 1;
+        remoteStreams.forEach(({ peerId }) => {
+            const layer = isScreenOnStage ? 'low'
+                : speakerView ? (peerId === stagePeerId ? 'high' : 'low')
+                    : (remoteStreams.length > 2 ? 'medium' : 'high');
+            requestVideoLayer(peerId, layer);
+        });
+    }, [layout, remoteStreams, stagePeerId, isScreenOnStage, requestVideoLayer]);
+
+    // The timer starts with the first connected participant
+    if (isConnected && !callStarted) {
+        setCallStarted(true);
+    }
 
     useEffect(() => {
         let interval;
-        if (isConnected && !callStarted) {
-            setCallStarted(true);
-            showNotification(`${remoteUser || 'User'} joined the call`, 'success');
-        }
         if (callStarted) {
             interval = setInterval(() => setCallDuration(prev => prev + 1), 1000);
         }
         return () => clearInterval(interval);
-    }, [isConnected, callStarted, remoteUser]);
+    }, [callStarted]);
+
+    // Announce participants joining and leaving
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleJoined = ({ userName: name }) => showNotification(`${name || 'User'} joined the call`, 'success');
+        const handleLeft = ({ userName: name }) => showNotification(`${name || 'User'} left the call`);
+        const handleRecording = ({ userName: name }) => showNotification(`${name || 'User'} started recording`, 'error');
+        // The server refused one of our events (rate limit or bad payload)
+        const handleRequestError = ({ message }) => showNotification(message, 'error');
+
+        socket.on('user-joined', handleJoined);
+        socket.on('user-left', handleLeft);
+        socket.on('recording-started', handleRecording);
+        socket.on('request-error', handleRequestError);
+        return () => {
+            socket.off('user-joined', handleJoined);
+            socket.off('user-left', handleLeft);
+            socket.off('recording-started', handleRecording);
+            socket.off('request-error', handleRequestError);
+        };
+    }, [socket, showNotification]);
 
     const formatDuration = (seconds) => {
         const hrs = Math.floor(seconds / 3600);
@@ -70,9 +229,14 @@ const CallPage = () => {
         return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
     };
 
-    const showNotification = useCallback((message, type = 'info') => {
-        setShowToast({ message, type });
-        setTimeout(() => setShowToast(null), 4000);
+    const toggleFullscreen = useCallback(() => {
+        if (!document.fullscreenElement) {
+            document.documentElement.requestFullscreen();
+            setIsFullscreen(true);
+        } else {
+            document.exitFullscreen();
+            setIsFullscreen(false);
+        }
     }, []);
 
     useEffect(() => {
@@ -88,21 +252,14 @@ const CallPage = () => {
             }
             if (e.key === 's') toggleScreenShare();
             if (e.key === 'c') setShowChat(prev => !prev);
+            if (e.key === 'w') setShowWhiteboard(prev => !prev);
             if (e.key === 'f') toggleFullscreen();
+            if (e.key === 'r' && canRecord) toggleRecording();
+            if (e.key === 'h') setShowHealth(prev => !prev);
         };
         window.addEventListener('keydown', handleKey);
         return () => window.removeEventListener('keydown', handleKey);
-    }, [toggleAudio, toggleVideo, toggleScreenShare, isMuted, isVideoOff]);
-
-    const toggleFullscreen = () => {
-        if (!document.fullscreenElement) {
-            document.documentElement.requestFullscreen();
-            setIsFullscreen(true);
-        } else {
-            document.exitFullscreen();
-            setIsFullscreen(false);
-        }
-    };
+    }, [toggleAudio, toggleVideo, toggleScreenShare, toggleFullscreen, toggleRecording, showNotification, isMuted, isVideoOff]);
 
     useEffect(() => {
         let timeout;
@@ -126,25 +283,61 @@ const CallPage = () => {
         navigate('/');
     };
 
-    const copyRoomCode = async () => {
-        await navigator.clipboard.writeText(roomCode);
+    const copyInviteLink = async () => {
+        await navigator.clipboard.writeText(getInviteLink(roomCode));
         setCopied(true);
-        showNotification('Room code copied!');
+        showNotification('Invite link copied!');
         setTimeout(() => setCopied(false), 2000);
     };
 
+    // Save every stats sample of the call so far as JSON
+    const downloadStatsReport = () => {
+        const blob = new Blob([JSON.stringify(getStatsReport(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `meetflow-stats-${roomCode}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    };
+
+    // Only one header panel is open at a time
+    const togglePanel = (panel) => {
+        setShowInvite(prev => panel === 'invite' && !prev);
+        setShowDeviceSettings(prev => panel === 'devices' && !prev);
+        setShowHostControls(prev => panel === 'host' && !prev);
+    };
+
     const sendMessage = (e) => {
         e.preventDefault();
-        if (!newMessage.trim()) return;
-        setChatMessages(prev => [...prev, {
-            id: Date.now(),
-            text: newMessage,
-            sender: 'me',
-            time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-        }]);
-        setNewMessage('');
+        if (sendChatMessage(newMessage)) {
+            setNewMessage('');
+        }
     };
 
+    const handleFileSelected = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        // Files go peer to peer, and large rooms have no direct connections
+        if (mediaMode === 'sfu') {
+            showNotification('File sharing is not available in large meetings', 'error');
+            return;
+        }
+        if (file.size > MAX_FILE_SIZE) {
+            showNotification(`Files are limited to ${MAX_FILE_SIZE / (1024 * 1024)} MB`, 'error');
+            return;
+        }
+        if (sendFile(file) === 0) {
+            showNotification('No one in the call to share with yet', 'error');
+        }
+    };
+
+    const formatMessageTime = (timestamp) => (
+        new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    );
+
     const getConnectionColor = () => {
         if (connectionQuality === 'poor') return '#ef4444';
         if (connectionQuality === 'medium') return '#f59e0b';
@@ -174,15 +367,34 @@ const CallPage = () => {
 
                     {/* Center: Room Info & Timer */}
                     <div className="flex items-center gap-3">
+                        {roomSchedule?.title && (
+                            <span
+                                className="hidden md:block max-w-[12rem] truncate text-sm font-semibold"
+                                title={roomSchedule.endsAt ? `Ends at ${new Date(roomSchedule.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : undefined}
+                            >
+                                {roomSchedule.title}
+                            </span>
+                        )}
                         <button
-                            onClick={copyRoomCode}
+                            onClick={copyInviteLink}
                             className="glass px-3 py-1.5 rounded-full flex items-center gap-2 hover:bg-white/10 transition-all text-sm"
                         >
                             <span className="text-muted hidden sm:inline">Room:</span>
                             <span className="font-mono font-semibold">{roomCode}</span>
+                            {roomSettings.locked && <Lock className="w-3.5 h-3.5 text-amber-400" />}
                             {copied ? <Check className="w-3.5 h-3.5 text-green-400" /> : <Copy className="w-3.5 h-3.5 text-muted" />}
                         </button>
 
+                        {(isRecording || remoteRecorders.length > 0) && (
+                            <div
+                                className="flex items-center gap-1.5 px-2.5 py-1 rounded-full bg-red-500/20 text-red-300 text-xs font-semibold"
+                                title={`Recording: ${[...(isRecording ? ['You'] : []), ...remoteRecorders].join(', ')}`}
+                            >
+                                <div className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+                                REC
+                            </div>
+                        )}
+
                         {callStarted && (
                             <div className="call-timer hidden md:flex">
                                 <div className="call-timer-dot" />
@@ -194,21 +406,81 @@ const CallPage = () => {
                     {/* Right: Status & Actions */}
                     <div className="flex items-center gap-2">
                         {isConnected && connectionQuality && (
-                            <div className="hidden sm:flex items-center gap-1.5 px-2.5 py-1 rounded-full glass text-xs">
+                            <button
+                                onClick={() => setShowHealth(prev => !prev)}
+                                className="hidden sm:flex items-center gap-1.5 px-2.5 py-1 rounded-full glass text-xs hover:bg-white/10 transition-all"
+                                title="Call health (H)"
+                            >
                                 <div className="w-2 h-2 rounded-full" style={{ background: getConnectionColor() }} />
                                 <span className="text-muted capitalize">{connectionQuality}</span>
+                            </button>
+                        )}
+
+                        {remoteStreams.length > 0 && (
+                            <div className="hidden sm:flex items-center gap-1.5 px-2.5 py-1 rounded-full glass text-xs" title="Participants">
+                                <UsersIcon className="w-3.5 h-3.5 text-muted" />
+                                <span className="text-muted">{remoteStreams.length + 1}</span>
                             </div>
                         )}
 
-                        <div className={`status-badge ${isConnected ? 'status-badge-connected' : 'status-badge-waiting'}`}>
-                            {isConnected ? 'Connected' : 'Waiting...'}
+                        <div className={`status-badge ${isConnected && !isReconnecting ? 'status-badge-connected' : 'status-badge-waiting'}`}>
+                            {isReconnecting ? 'Reconnecting...' : isConnected ? 'Connected' : 'Waiting...'}
                         </div>
 
+                        {remoteStreams.length > 1 && (
+                            <button
+                                onClick={() => setLayout(layout === 'grid' ? 'speaker' : 'grid')}
+                                className="p-2 rounded-xl hover:bg-white/5 text-secondary transition-all"
+                                title={layout === 'grid' ? 'Speaker view' : 'Grid view'}
+                            >
+                                {layout === 'grid' ? <GalleryHorizontal className="w-5 h-5" /> : <LayoutGrid className="w-5 h-5" />}
+                            </button>
+                        )}
+
+                        <button
+                            onClick={() => togglePanel('invite')}
+                            className={`p-2 rounded-xl transition-all ${showInvite ? 'bg-purple-500/20 text-purple-400' : 'hover:bg-white/5 text-secondary'}`}
+                            title="Invite people"
+                        >
+                            <UserPlus className="w-5 h-5" />
+                        </button>
+
+                        <button
+                            onClick={() => togglePanel('devices')}
+                            className={`p-2 rounded-xl transition-all ${showDeviceSettings ? 'bg-purple-500/20 text-purple-400' : 'hover:bg-white/5 text-secondary'}`}
+                            title="Devices"
+                        >
+                            <Settings className="w-5 h-5" />
+                        </button>
+
+                        {isHost && (
+                            <button
+                                onClick={() => togglePanel('host')}
+                                className={`p-2 rounded-xl transition-all ${showHostControls ? 'bg-purple-500/20 text-purple-400' : 'hover:bg-white/5 text-secondary'}`}
+                                title="Host controls"
+                            >
+                                <Shield className="w-5 h-5" />
+                            </button>
+                        )}
+
+                        <button
+                            onClick={() => setShowWhiteboard(!showWhiteboard)}
+                            className={`p-2 rounded-xl transition-all ${showWhiteboard ? 'bg-purple-500/20 text-purple-400' : 'hover:bg-white/5 text-secondary'}`}
+                            title="Whiteboard (W)"
+                        >
+                            <Presentation className="w-5 h-5" />
+                        </button>
+
                         <button
                             onClick={() => setShowChat(!showChat)}
-                            className={`p-2 rounded-xl transition-all ${showChat ? 'bg-purple-500/20 text-purple-400' : 'hover:bg-white/5 text-secondary'}`}
+                            className={`relative p-2 rounded-xl transition-all ${showChat ? 'bg-purple-500/20 text-purple-400' : 'hover:bg-white/5 text-secondary'}`}
                         >
                             <MessageCircle className="w-5 h-5" />
+                            {pendingFileOffers > 0 && (
+                                <span className="absolute -top-0.5 -right-0.5 min-w-4 h-4 px-1 rounded-full bg-purple-500 text-white text-[10px] leading-4 text-center" title="Files waiting for you">
+                                    {pendingFileOffers}
+                                </span>
+                            )}
                         </button>
 
                         <button
@@ -221,41 +493,149 @@ const CallPage = () => {
                 </div>
             </header>
 
+            {showHealth && (
+                <CallHealthOverlay
+                    stats={callStats}
+                    onDownload={downloadStatsReport}
+                    onClose={() => setShowHealth(false)}
+                />
+            )}
+
+            {showInvite && (
+                <InvitePanel
+                    roomCode={roomCode}
+                    title={roomSchedule?.title}
+                    onCopied={() => showNotification('Invite link copied!')}
+                    onError={(message) => showNotification(message, 'error')}
+                    onClose={() => setShowInvite(false)}
+                />
+            )}
+
+            {showDeviceSettings && (
+                <DeviceSettings
+                    devices={devices}
+                    selectedDevices={selectedDevices}
+                    onSelectDevice={handleSelectDevice}
+                    sendPreference={sendPreference}
+                    onSendPreferenceChange={setSendPreference}
+                    videoCodec={videoCodec}
+                    onVideoCodecChange={setVideoCodec}
+                    negotiatedCodecs={negotiatedCodecs}
+                    simulcast={simulcast}
+                    onSimulcastChange={setSimulcast}
+                    onClose={() => setShowDeviceSettings(false)}
+                />
+            )}
+
+            {isHost && showHostControls && (
+                <HostControls
+                    settings={roomSettings}
+                    participants={remoteStreams}
+                    onUpdateSettings={updateRoomSettings}
+                    onRemoveParticipant={removeParticipant}
+                    onClose={() => setShowHostControls(false)}
+                />
+            )}
+
             {/* Video Area */}
             <main className="flex-1 relative overflow-hidden">
+                <RoomAccessOverlay
+                    status={roomStatus}
+                    message={roomMessage}
+                    onSubmitPasscode={submitPasscode}
+                    onLeave={handleEndCall}
+                />
+
+                {/* Waiting room requests for the host */}
+                {isHost && waitingList.length > 0 && (
+                    <div className="absolute top-4 right-4 z-20 w-72 space-y-2">
+                        {waitingList.map(({ socketId, userName: waitingName }) => (
+                            <div key={socketId} className="glass-card p-3 flex items-center gap-2 fade-in">
+                                <p className="text-sm flex-1 truncate">
+                                    <span className="font-semibold">{waitingName}</span> wants to join
+                                </p>
+                                <button onClick={() => admitParticipant(socketId)} className="px-2.5 py-1 rounded-lg bg-green-500/20 text-green-300 text-xs hover:bg-green-500/30 transition-colors">
+                                    Admit
+                                </button>
+                                <button onClick={() => denyParticipant(socketId)} className="px-2.5 py-1 rounded-lg bg-red-500/20 text-red-300 text-xs hover:bg-red-500/30 transition-colors">
+                                    Deny
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 {error && (
                     <div className="absolute top-4 left-4 right-4 bg-red-500/20 backdrop-blur-xl border border-red-500/40 text-red-300 p-3 rounded-xl text-sm z-10 shadow-lg">
                         {error}
                     </div>
                 )}
 
-                {/* Remote Video */}
+                {/* Remote Videos */}
                 <div className="absolute inset-0 bg-[#12121a]">
-                    {remoteStream ? (
-                        <>
-                            <video
-                                ref={remoteVideoRef}
-                                autoPlay
-                                playsInline
-                                className={`w-full h-full object-cover ${remoteVideoOff ? 'hidden' : ''}`}
+                    {stageScreen ? (
+                        <div className="w-full h-full flex flex-col gap-2 p-2">
+                            <ScreenShareStage
+                                screenStream={stageScreen}
+                                presenter={presenter}
+                                annotations={annotations}
+                                audioOutputId={selectedDevices.audiooutput}
+                                className="w-full flex-1 min-h-0"
                             />
-                            {remoteVideoOff && (
-                                <div className="w-full h-full flex items-center justify-center">
-                                    <div className="text-center fade-in">
-                                        <div className="avatar mx-auto mb-4">
-                                            {remoteUser?.charAt(0)?.toUpperCase() || 'U'}
-                                        </div>
-                                        <p className="text-xl font-semibold text-white">{remoteUser || 'User'}</p>
-                                        <p className="text-sm text-secondary mt-1">Camera is off</p>
-                                    </div>
+                            {remoteStreams.some(participant => participant !== presenter) && (
+                                <div className="flex gap-2 h-28 sm:h-36 shrink-0 overflow-x-auto">
+                                    {remoteStreams
+                                        .filter(participant => participant !== presenter)
+                                        .map(participant => (
+                                            <ParticipantTile
+                                                key={participant.peerId}
+                                                participant={participant}
+                                                audioOutputId={selectedDevices.audiooutput}
+                                                className="h-full aspect-video shrink-0"
+                                            />
+                                        ))}
                                 </div>
                             )}
-                            <div className="video-label">
-                                <User className="w-3.5 h-3.5" />
-                                {remoteUser || 'Remote User'}
-                                {remoteMuted && <MicOff className="w-3.5 h-3.5 text-red-400" />}
+                        </div>
+                    ) : layout === 'speaker' && remoteStreams.length > 1 ? (
+                        <div className="w-full h-full flex flex-col gap-2 p-2">
+                            {/* The latest remote speaker on the main stage, everyone else below */}
+                            {remoteStreams
+                                .filter(participant => participant.peerId === stagePeerId)
+                                .map(participant => (
+                                    <ParticipantTile
+                                        key={participant.peerId}
+                                        participant={participant}
+                                        audioOutputId={selectedDevices.audiooutput}
+                                        className="w-full flex-1 min-h-0"
+                                    />
+                                ))}
+                            <div className="flex gap-2 h-28 sm:h-36 shrink-0 overflow-x-auto">
+                                {remoteStreams
+                                    .filter(participant => participant.peerId !== stagePeerId)
+                                    .map(participant => (
+                                        <ParticipantTile
+                                            key={participant.peerId}
+                                            participant={participant}
+                                            audioOutputId={selectedDevices.audiooutput}
+                                            className="h-full aspect-video shrink-0"
+                                        />
+                                    ))}
                             </div>
-                        </>
+                        </div>
+                    ) : remoteStreams.length > 0 ? (
+                        <div className={`w-full h-full grid ${remoteStreams.length > 4
+                            ? 'grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 p-2 auto-rows-fr'
+                            : remoteStreams.length > 1 ? 'grid-cols-1 sm:grid-cols-2 gap-2 p-2 auto-rows-fr' : ''}`}>
+                            {remoteStreams.map(participant => (
+                                <ParticipantTile
+                                    key={participant.peerId}
+                                    participant={participant}
+                                    audioOutputId={selectedDevices.audiooutput}
+                                    className={remoteStreams.length === 1 ? 'w-full h-full rounded-none' : 'w-full h-full'}
+                                />
+                            ))}
+                        </div>
                     ) : (
                         <div className="w-full h-full flex flex-col items-center justify-center p-6">
                             <div className="waiting-animation mb-6">
@@ -264,25 +644,52 @@ const CallPage = () => {
                                 <div className="waiting-dot" />
                             </div>
                             <h3 className="text-2xl font-bold text-white mb-2">
-                                Waiting for participant...
+                                Waiting for participants...
                             </h3>
                             <p className="text-secondary text-center mb-6 max-w-md">
-                                Share the room code to invite someone to this call
+                                Share the invite link to bring {maxParticipants ? `up to ${maxParticipants - 1} people` : 'people'} into this call
                             </p>
                             <button
-                                onClick={copyRoomCode}
+                                onClick={copyInviteLink}
                                 className="glass-card px-8 py-4 flex items-center gap-4 hover:bg-white/8 transition-all"
                             >
                                 <span className="room-code">{roomCode}</span>
                                 {copied ? <Check className="w-6 h-6 text-green-400" /> : <Copy className="w-6 h-6 text-secondary" />}
                             </button>
+                            <button
+                                onClick={() => togglePanel('invite')}
+                                className="mt-4 text-sm text-secondary hover:text-white transition-colors flex items-center gap-2"
+                            >
+                                <QrCode className="w-4 h-4" />
+                                Show QR code
+                            </button>
                         </div>
                     )}
                 </div>
 
+                {/* Finished recording, ready to save */}
+                {recording && (
+                    <div className="absolute bottom-24 left-4 z-20 glass-card p-3 flex items-center gap-3 fade-in">
+                        <div className="text-sm">
+                            <p className="font-semibold">Recording ready</p>
+                            <p className="text-xs text-muted">{(recording.size / (1024 * 1024)).toFixed(1)} MB</p>
+                        </div>
+                        <a
+                            href={recording.url}
+                            download={recording.filename}
+                            className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg bg-green-500/20 text-green-300 text-xs hover:bg-green-500/30 transition-colors"
+                        >
+                            <Download className="w-3.5 h-3.5" /> Download
+                        </a>
+                        <button onClick={discardRecording} className="p-1.5 hover:bg-white/10 rounded-lg transition-colors" title="Dismiss">
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                )}
+
                 {/* Local Video PiP */}
                 {localStream && (
-                    <div className="absolute bottom-24 right-4 w-36 h-24 sm:w-48 sm:h-32 rounded-xl overflow-hidden shadow-2xl border-2 border-white/20 z-10 glass">
+                    <div className={`absolute bottom-24 right-4 w-36 h-24 sm:w-48 sm:h-32 rounded-xl overflow-hidden shadow-2xl border-2 z-10 glass transition-colors ${isLocalSpeaking && !isMuted ? 'border-emerald-500' : 'border-white/20'}`}>
                         <video
                             ref={localVideoRef}
                             autoPlay
@@ -302,6 +709,15 @@ const CallPage = () => {
                             You
                             {isMuted && <MicOff className="w-3 h-3 text-red-400" />}
                         </div>
+                        {/* What the network (or data saver) lets us send */}
+                        {isConnected && sendLevel !== 'high' && (
+                            <div
+                                className="absolute bottom-2 left-2 right-2 px-2 py-1 bg-amber-500/80 rounded text-[10px] sm:text-xs text-black text-center truncate"
+                                title={sendPreference === 'auto' ? 'Adapted to your connection' : 'Set in device settings'}
+                            >
+                                {sendLevel === 'audio-only' ? 'Video paused: sending audio only' : 'Sending reduced video'}
+                            </div>
+                        )}
                     </div>
                 )}
             </main>
@@ -339,6 +755,16 @@ const CallPage = () => {
                         {isScreenSharing ? <MonitorOff className="w-5 h-5" /> : <Monitor className="w-5 h-5" />}
                     </button>
 
+                    {canRecord && (
+                        <button
+                            onClick={toggleRecording}
+                            className={`control-btn ${isRecording ? 'control-btn-active' : 'control-btn-default'}`}
+                            title={isRecording ? 'Stop recording (R)' : 'Start recording (R)'}
+                        >
+                            <Circle className={`w-5 h-5 ${isRecording ? 'fill-current' : ''}`} />
+                        </button>
+                    )}
+
                     <button
                         onClick={handleEndCall}
                         className="control-btn control-btn-end"
@@ -362,28 +788,49 @@ const CallPage = () => {
                 </div>
 
                 <div className="flex-1 p-4 overflow-y-auto space-y-3">
-                    {chatMessages.length === 0 ? (
+                    {chatItems.length === 0 ? (
                         <div className="text-center text-secondary py-12">
                             <MessageCircle className="w-12 h-12 mx-auto mb-3 opacity-30" />
                             <p className="text-sm">No messages yet</p>
-                            <p className="text-xs text-muted mt-1">Send a message to start chatting</p>
+                            <p className="text-xs text-muted mt-1">Send a message or share a file to start chatting</p>
                         </div>
                     ) : (
-                        chatMessages.map(msg => (
-                            <div key={msg.id} className={`chat-message ${msg.sender === 'me' ? 'chat-message-own' : 'chat-message-other'}`}>
-                                <p>{msg.text}</p>
-                                <p className="text-xs opacity-70 mt-1">{msg.time}</p>
+                        chatItems.map(({ kind, id, message: msg, transfer }) => kind === 'file' ? (
+                            <FileTransferItem
+                                key={id}
+                                transfer={transfer}
+                                onAccept={() => acceptFile(id)}
+                                onReject={() => rejectFile(id)}
+                                onCancel={() => cancelTransfer(id)}
+                            />
+                        ) : (
+                            <div key={id} className={`chat-message ${msg.senderId === selfId ? 'chat-message-own' : 'chat-message-other'}`}>
+                                {msg.senderId !== selfId && (
+                                    <p className="text-xs font-semibold text-purple-300 mb-1">{msg.userName}</p>
+                                )}
+                                <p className="break-words">{msg.text}</p>
+                                <p className="text-xs opacity-70 mt-1">{formatMessageTime(msg.timestamp)}</p>
                             </div>
                         ))
                     )}
                 </div>
 
                 <form onSubmit={sendMessage} className="p-4 border-t border-white/5 flex gap-2">
+                    <input ref={fileInputRef} type="file" className="hidden" onChange={handleFileSelected} />
+                    <button
+                        type="button"
+                        onClick={() => fileInputRef.current?.click()}
+                        className="p-2.5 rounded-xl hover:bg-white/10 text-secondary transition-colors"
+                        title="Share a file"
+                    >
+                        <Paperclip className="w-4 h-4" />
+                    </button>
                     <input
                         type="text"
                         value={newMessage}
                         onChange={(e) => setNewMessage(e.target.value)}
                         placeholder="Type a message..."
+                        maxLength={2000}
                         className="input-field flex-1 text-sm py-2.5"
                     />
                     <button type="submit" disabled={!newMessage.trim()} className="btn btn-primary p-2.5">
@@ -393,6 +840,13 @@ const CallPage = () => {
             </div>
 
             {showChat && <div className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40 lg:hidden" onClick={() => setShowChat(false)} />}
+
+            <WhiteboardPanel
+                open={showWhiteboard}
+                onClose={() => setShowWhiteboard(false)}
+                whiteboard={whiteboard}
+                roomCode={roomCode}
+            />
         </div>
     );
 };
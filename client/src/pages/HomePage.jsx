@@ -6,9 +6,14 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
     Video, Users, ArrowRight, Copy, Check, Sparkles,
-    Shield, Zap, Globe, Lock
+    Shield, Zap, Globe, Lock, CalendarClock, CalendarPlus, Share2, UsersRound
 } from 'lucide-react';
-import { createRoom, checkRoom } from '../services/apiService';
+import { createRoom, checkRoom, getRoomInviteUrl } from '../services/apiService';
+import { getInviteLink, canShare, shareInvite } from '../services/inviteService';
+import { InviteQrCode } from '../components/InvitePanel';
+
+// Maximum call lengths offered when scheduling, in minutes
+const DURATION_OPTIONS = [30, 45, 60, 90, 120, 180];
 
 const HomePage = () => {
     const navigate = useNavigate();
@@ -16,6 +21,14 @@ const HomePage = () => {
     const [roomCode, setRoomCode] = useState('');
     const [userName, setUserName] = useState('');
     const [createdRoomCode, setCreatedRoomCode] = useState('');
+    const [isScheduling, setIsScheduling] = useState(false);
+    const [title, setTitle] = useState('');
+    const [startsAt, setStartsAt] = useState('');
+    const [duration, setDuration] = useState('');
+    const [createdSchedule, setCreatedSchedule] = useState(null);
+    const [isLarge, setIsLarge] = useState(false);
+    const [passcode, setPasscode] = useState('');
+    const [needsPasscode, setNeedsPasscode] = useState(false);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [copied, setCopied] = useState(false);
@@ -32,15 +45,27 @@ const HomePage = () => {
             setError('Please enter your name');
             return;
         }
+        // datetime-local values are local time; the server wants an ISO time
+        const options = {};
+        if (isScheduling) {
+            if (title.trim()) options.title = title.trim();
+            if (startsAt) options.startsAt = new Date(startsAt).toISOString();
+            if (duration) options.maxDurationMinutes = Number(duration);
+        }
+        if (isLarge) options.large = true;
+
         setLoading(true);
         setError('');
         try {
-            const result = await createRoom();
+            const result = await createRoom(userName.trim(), options);
             if (result.success) {
+                // The host token is what lets the creator manage the room
+                sessionStorage.setItem(`hostToken:${result.roomCode}`, result.hostToken);
                 setCreatedRoomCode(result.roomCode);
+                setCreatedSchedule({ title: result.title, startsAt: result.startsAt, endsAt: result.endsAt });
             }
-        } catch {
-            setError('Failed to create room');
+        } catch (err) {
+            setError(err.message || 'Failed to create room');
         } finally {
             setLoading(false);
         }
@@ -58,7 +83,7 @@ const HomePage = () => {
         setLoading(true);
         setError('');
         try {
-            const result = await checkRoom(roomCode.toUpperCase());
+            const result = await checkRoom(roomCode.trim());
             if (!result.exists) {
                 setError('Room not found');
                 setLoading(false);
@@ -69,8 +94,22 @@ const HomePage = () => {
                 setLoading(false);
                 return;
             }
+            if (result.isLocked) {
+                setError('Room is locked by the host');
+                setLoading(false);
+                return;
+            }
+            if (result.requiresPasscode && !passcode.trim()) {
+                setNeedsPasscode(true);
+                setError('This room requires a passcode');
+                setLoading(false);
+                return;
+            }
             sessionStorage.setItem('userName', userName);
-            navigate(`/call/${roomCode.toUpperCase()}`);
+            // The server answers with the code in its canonical form
+            navigate(`/lobby/${result.roomCode}`, {
+                state: { passcode: passcode.trim() || null }
+            });
         } catch {
             setError('Failed to join');
         } finally {
@@ -80,15 +119,21 @@ const HomePage = () => {
 
     const handleEnterRoom = () => {
         sessionStorage.setItem('userName', userName);
-        navigate(`/call/${createdRoomCode}`);
+        navigate(`/lobby/${createdRoomCode}`);
     };
 
-    const copyRoomCode = async () => {
-        await navigator.clipboard.writeText(createdRoomCode);
+    const copyInviteLink = async () => {
+        await navigator.clipboard.writeText(getInviteLink(createdRoomCode));
         setCopied(true);
         setTimeout(() => setCopied(false), 2000);
     };
 
+    const handleShare = () => {
+        shareInvite(createdRoomCode, createdSchedule?.title).catch(() => {
+            setError('Could not share the invite link');
+        });
+    };
+
     const features = [
         { icon: Lock, title: 'Encrypted', color: '#6366f1' },
         { icon: Zap, title: 'Instant', color: '#8b5cf6' },
@@ -128,6 +173,7 @@ const HomePage = () => {
                                 <input
                                     type="text"
                                     placeholder="Enter your name"
+                                    maxLength={50}
                                     value={userName}
                                     onChange={(e) => setUserName(e.target.value)}
                                     className="input-field"
@@ -209,12 +255,79 @@ const HomePage = () => {
                                 <input
                                     type="text"
                                     placeholder="Enter your name"
+                                    maxLength={50}
                                     value={userName}
                                     onChange={(e) => setUserName(e.target.value)}
                                     className="input-field"
                                 />
                             </div>
 
+                            <button
+                                type="button"
+                                onClick={() => setIsScheduling(!isScheduling)}
+                                className="text-sm text-secondary hover:text-white transition-colors flex items-center gap-2"
+                            >
+                                <CalendarClock className="w-4 h-4" />
+                                {isScheduling ? 'Start right away instead' : 'Schedule for later'}
+                            </button>
+
+                            {isScheduling && (
+                                <div className="space-y-4 slide-up">
+                                    <div>
+                                        <label className="block text-sm font-medium text-secondary mb-2">Title (optional)</label>
+                                        <input
+                                            type="text"
+                                            placeholder="Weekly sync"
+                                            maxLength={100}
+                                            value={title}
+                                            onChange={(e) => setTitle(e.target.value)}
+                                            className="input-field"
+                                        />
+                                    </div>
+                                    <div className="flex gap-3">
+                                        <div className="flex-1">
+                                            <label className="block text-sm font-medium text-secondary mb-2">Starts</label>
+                                            <input
+                                                type="datetime-local"
+                                                value={startsAt}
+                                                onChange={(e) => setStartsAt(e.target.value)}
+                                                className="input-field"
+                                            />
+                                        </div>
+                                        <div className="w-32">
+                                            <label className="block text-sm font-medium text-secondary mb-2">Length</label>
+                                            <select
+                                                value={duration}
+                                                onChange={(e) => setDuration(e.target.value)}
+                                                className="input-field"
+                                            >
+                                                <option value="">No limit</option>
+                                                {DURATION_OPTIONS.map(minutes => (
+                                                    <option key={minutes} value={minutes}>
+                                                        {minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+
+                            <button
+                                type="button"
+                                onClick={() => setIsLarge(!isLarge)}
+                                className="w-full flex items-center gap-3 text-left"
+                            >
+                                <UsersRound className="w-4 h-4 text-secondary" />
+                                <span className="flex-1">
+                                    <span className="block text-sm">Large meeting</span>
+                                    <span className="block text-xs text-muted">Up to 20 people, with video sent through the server</span>
+                                </span>
+                                <span className={`w-9 h-5 rounded-full p-0.5 transition-colors ${isLarge ? 'bg-purple-500' : 'bg-white/15'}`}>
+                                    <span className={`block w-4 h-4 rounded-full bg-white transition-transform ${isLarge ? 'translate-x-4' : ''}`} />
+                                </span>
+                            </button>
+
                             {error && (
                                 <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm text-center">
                                     {error}
@@ -237,7 +350,7 @@ const HomePage = () => {
 
                             <div>
                                 <h2 className="text-2xl font-bold mb-1">Room Created!</h2>
-                                <p className="text-sm text-secondary">Share this code to invite others</p>
+                                <p className="text-sm text-secondary">Share the link or QR code to invite others</p>
                             </div>
 
                             <div className="bg-[#12121a] rounded-2xl p-6 border border-white/10">
@@ -245,8 +358,9 @@ const HomePage = () => {
                                 <div className="flex items-center justify-center gap-3">
                                     <span className="room-code">{createdRoomCode}</span>
                                     <button
-                                        onClick={copyRoomCode}
+                                        onClick={copyInviteLink}
                                         className="p-2.5 rounded-xl glass hover:bg-white/10 transition-all"
+                                        title="Copy invite link"
                                     >
                                         {copied ? (
                                             <Check className="w-5 h-5 text-green-400" />
@@ -256,12 +370,45 @@ const HomePage = () => {
                                     </button>
                                 </div>
                                 {copied && (
-                                    <p className="text-xs text-green-400 mt-2 animate-pulse">Copied!</p>
+                                    <p className="text-xs text-green-400 mt-2 animate-pulse">Invite link copied!</p>
+                                )}
+                                <div className="mt-4">
+                                    <InviteQrCode link={getInviteLink(createdRoomCode)} size={140} />
+                                </div>
+                                {(createdSchedule?.title || createdSchedule?.startsAt) && (
+                                    <div className="mt-4 pt-4 border-t border-white/10 text-sm">
+                                        {createdSchedule.title && <p className="font-semibold">{createdSchedule.title}</p>}
+                                        {createdSchedule.startsAt && (
+                                            <p className="text-secondary">
+                                                {new Date(createdSchedule.startsAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                                                {createdSchedule.endsAt && ` – ${new Date(createdSchedule.endsAt).toLocaleTimeString([], { timeStyle: 'short' })}`}
+                                            </p>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="flex gap-3">
+                                <a href={getRoomInviteUrl(createdRoomCode)} download className="btn btn-secondary flex-1">
+                                    <CalendarPlus className="w-4 h-4" />
+                                    Add to calendar
+                                </a>
+                                {canShare() && (
+                                    <button onClick={handleShare} className="btn btn-secondary flex-1">
+                                        <Share2 className="w-4 h-4" />
+                                        Share
+                                    </button>
                                 )}
                             </div>
 
+                            {error && (
+                                <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm text-center">
+                                    {error}
+                                </div>
+                            )}
+
                             <div className="flex gap-3 pt-2">
-                                <button onClick={() => { setCreatedRoomCode(''); setMode(null); }} className="btn btn-secondary flex-1">
+                                <button onClick={() => { setCreatedRoomCode(''); setCreatedSchedule(null); setMode(null); }} className="btn btn-secondary flex-1">
                                     New Room
                                 </button>
                                 <button onClick={handleEnterRoom} className="btn btn-primary flex-1">
@@ -296,6 +443,7 @@ const HomePage = () => {
                                 <input
                                     type="text"
                                     placeholder="Enter your name"
+                                    maxLength={50}
                                     value={userName}
                                     onChange={(e) => setUserName(e.target.value)}
                                     className="input-field"
@@ -310,11 +458,25 @@ const HomePage = () => {
                                     value={roomCode}
                                     onChange={(e) => setRoomCode(e.target.value.toUpperCase())}
                                     className="input-field text-center font-mono tracking-widest text-lg"
-                                    maxLength={9}
+                                    maxLength={64}
                                     onKeyPress={(e) => e.key === 'Enter' && handleJoinRoom()}
                                 />
                             </div>
 
+                            {needsPasscode && (
+                                <div>
+                                    <label className="block text-sm font-medium text-secondary mb-2">Passcode</label>
+                                    <input
+                                        type="password"
+                                        placeholder="Enter room passcode"
+                                        value={passcode}
+                                        onChange={(e) => setPasscode(e.target.value)}
+                                        className="input-field"
+                                        onKeyPress={(e) => e.key === 'Enter' && handleJoinRoom()}
+                                    />
+                                </div>
+                            )}
+
                             {error && (
                                 <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm text-center">
                                     {error}
@@ -0,0 +1,133 @@
+/**
+ * JoinPage - Name prompt for invite links
+ *
+ * Where /join/:roomCode and visits to /call/:roomCode without a saved name
+ * land. Looks the room up, asks for a name (and the passcode, if the room
+ * has one) and continues to the lobby.
+ */
+
+import { useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Users, ArrowRight, CalendarClock } from 'lucide-react';
+import { checkRoom } from '../services/apiService';
+
+const JoinPage = () => {
+    const { roomCode } = useParams();
+    const navigate = useNavigate();
+
+    const [room, setRoom] = useState(null);
+    const [userName, setUserName] = useState(() => sessionStorage.getItem('userName') || '');
+    const [passcode, setPasscode] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        checkRoom(roomCode)
+            .then(result => { if (!cancelled) setRoom(result); })
+            .catch(() => { if (!cancelled) setError('Could not reach the server. Please try again.'); });
+        return () => { cancelled = true; };
+    }, [roomCode]);
+
+    const handleContinue = (e) => {
+        e.preventDefault();
+        if (!userName.trim()) {
+            setError('Please enter your name');
+            return;
+        }
+        if (room.requiresPasscode && !passcode.trim()) {
+            setError('This room requires a passcode');
+            return;
+        }
+
+        sessionStorage.setItem('userName', userName.trim());
+        // The server answers with the code in its canonical form
+        navigate(`/lobby/${room.roomCode}`, {
+            replace: true,
+            state: { passcode: passcode.trim() || null }
+        });
+    };
+
+    const unavailable = room && (!room.exists
+        ? 'This room does not exist or has already ended.'
+        : room.isFull ? 'Room is full'
+            : room.isLocked ? 'Room is locked by the host'
+                : null);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-4">
+            <div className="w-full max-w-md glass-card p-6 sm:p-8 fade-in">
+                <div className="text-center py-3">
+                    <div className="w-16 h-16 rounded-2xl mx-auto mb-4 flex items-center justify-center shadow-lg"
+                        style={{ background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)' }}>
+                        <Users className="w-8 h-8 text-white" />
+                    </div>
+                    <h2 className="text-2xl font-bold mb-1">{room?.title || 'Join Call'}</h2>
+                    <p className="text-sm text-secondary">
+                        Room <span className="font-mono font-semibold">{room?.roomCode || roomCode}</span>
+                    </p>
+                    {room?.startsAt && (
+                        <p className="text-xs text-muted mt-2 flex items-center justify-center gap-1.5">
+                            <CalendarClock className="w-3.5 h-3.5" />
+                            {new Date(room.startsAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                        </p>
+                    )}
+                </div>
+
+                {!room && !error && <div className="spinner mx-auto my-6" />}
+
+                {(unavailable || (!room && error)) && (
+                    <div className="space-y-5 mt-4">
+                        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm text-center">
+                            {unavailable || error}
+                        </div>
+                        <button onClick={() => navigate('/')} className="btn btn-secondary w-full">
+                            Go Home
+                        </button>
+                    </div>
+                )}
+
+                {room && !unavailable && (
+                    <form onSubmit={handleContinue} className="space-y-5 mt-4">
+                        <div>
+                            <label className="block text-sm font-medium text-secondary mb-2">Your Name</label>
+                            <input
+                                type="text"
+                                autoFocus
+                                placeholder="Enter your name"
+                                maxLength={50}
+                                value={userName}
+                                onChange={(e) => setUserName(e.target.value)}
+                                className="input-field"
+                            />
+                        </div>
+
+                        {room.requiresPasscode && (
+                            <div>
+                                <label className="block text-sm font-medium text-secondary mb-2">Passcode</label>
+                                <input
+                                    type="password"
+                                    placeholder="Enter room passcode"
+                                    value={passcode}
+                                    onChange={(e) => setPasscode(e.target.value)}
+                                    className="input-field"
+                                />
+                            </div>
+                        )}
+
+                        {error && (
+                            <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm text-center">
+                                {error}
+                            </div>
+                        )}
+
+                        <button type="submit" className="btn btn-primary w-full">
+                            Continue <ArrowRight className="w-4 h-4" />
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default JoinPage;
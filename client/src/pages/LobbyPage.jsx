@@ -0,0 +1,179 @@
+/**
+ * LobbyPage - Pre-join screen
+ *
+ * Sits between HomePage and CallPage: previews the camera, shows a live
+ * mic level, lets people pick devices, and choose to join muted or with
+ * the camera off. Nothing is sent to the room until "Join now".
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
+import { Mic, MicOff, Video, VideoOff, ArrowRight, ArrowLeft } from 'lucide-react';
+import useMediaDevices from '../hooks/useMediaDevices';
+import AudioLevelMeter from '../components/AudioLevelMeter';
+import { DeviceFields } from '../components/DeviceSettings';
+
+/**
+ * getUserMedia constraint for one input, pinned to the chosen device
+ */
+const deviceConstraint = (deviceId) => (deviceId ? { deviceId: { exact: deviceId } } : true);
+
+const LobbyPage = () => {
+    const { roomCode } = useParams();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const userName = sessionStorage.getItem('userName') || 'Anonymous';
+
+    const videoRef = useRef(null);
+    const [previewStream, setPreviewStream] = useState(null);
+    const [mediaError, setMediaError] = useState(null);
+    const [startMuted, setStartMuted] = useState(false);
+    const [startVideoOff, setStartVideoOff] = useState(false);
+
+    const { devices, selectedDevices, selectDevice, refreshDevices } = useMediaDevices();
+
+    // (Re)open the preview whenever another camera or mic is chosen
+    useEffect(() => {
+        let cancelled = false;
+        let acquired = null;
+
+        const openPreview = async () => {
+            let stream;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: deviceConstraint(selectedDevices.videoinput),
+                    audio: deviceConstraint(selectedDevices.audioinput)
+                });
+            } catch (err) {
+                // A remembered device may be gone; try the defaults before giving up
+                if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') throw err;
+                stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+            }
+
+            if (cancelled) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            acquired = stream;
+            setPreviewStream(stream);
+            setMediaError(null);
+        };
+
+        openPreview().catch(err => {
+            console.error('[Lobby] Could not open preview:', err);
+            if (!cancelled) {
+                setMediaError(err.name === 'NotAllowedError'
+                    ? 'Camera/microphone access denied. Please allow access in your browser settings.'
+                    : 'Could not access camera or microphone.');
+            }
+        });
+
+        return () => {
+            cancelled = true;
+            acquired?.getTracks().forEach(track => track.stop());
+        };
+    }, [selectedDevices.videoinput, selectedDevices.audioinput]);
+
+    useEffect(() => {
+        if (videoRef.current && previewStream) {
+            videoRef.current.srcObject = previewStream;
+        }
+    }, [previewStream]);
+
+    // Device labels only become visible once we have camera/mic access
+    useEffect(() => {
+        if (previewStream) refreshDevices();
+    }, [previewStream, refreshDevices]);
+
+    const handleJoin = () => {
+        navigate(`/call/${roomCode}`, {
+            replace: true,
+            state: {
+                passcode: location.state?.passcode || null,
+                startMuted,
+                startVideoOff
+            }
+        });
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-4">
+            <div className="w-full max-w-4xl grid md:grid-cols-[1fr_20rem] gap-4 fade-in">
+                {/* Preview */}
+                <div className="glass-card p-3">
+                    <div className="video-container aspect-video bg-[#12121a]">
+                        {previewStream && (
+                            <video
+                                ref={videoRef}
+                                autoPlay
+                                playsInline
+                                muted
+                                className={`w-full h-full object-cover video-flip ${startVideoOff ? 'hidden' : ''}`}
+                            />
+                        )}
+                        {(!previewStream || startVideoOff) && (
+                            <div className="w-full h-full flex items-center justify-center">
+                                {mediaError ? (
+                                    <p className="text-sm text-red-300 text-center px-6">{mediaError}</p>
+                                ) : (
+                                    <div className="avatar">{userName.charAt(0).toUpperCase()}</div>
+                                )}
+                            </div>
+                        )}
+                        <div className="video-label">{userName}</div>
+                    </div>
+
+                    <div className="flex items-center justify-center gap-4 mt-3">
+                        <button
+                            onClick={() => setStartMuted(prev => !prev)}
+                            className={`control-btn ${startMuted ? 'control-btn-active' : 'control-btn-default'}`}
+                            title={startMuted ? 'Join unmuted' : 'Join muted'}
+                        >
+                            {startMuted ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
+                        </button>
+                        <button
+                            onClick={() => setStartVideoOff(prev => !prev)}
+                            className={`control-btn ${startVideoOff ? 'control-btn-active' : 'control-btn-default'}`}
+                            title={startVideoOff ? 'Join with camera on' : 'Join with camera off'}
+                        >
+                            {startVideoOff ? <VideoOff className="w-5 h-5" /> : <Video className="w-5 h-5" />}
+                        </button>
+                        <AudioLevelMeter stream={previewStream} />
+                    </div>
+                </div>
+
+                {/* Devices and join */}
+                <div className="glass-card p-4 flex flex-col gap-4">
+                    <div>
+                        <p className="text-xs text-muted mb-1">Ready to join</p>
+                        <p className="room-code">{roomCode}</p>
+                    </div>
+
+                    <div className="space-y-4">
+                        <DeviceFields
+                            devices={devices}
+                            selectedDevices={selectedDevices}
+                            onSelectDevice={selectDevice}
+                        />
+                    </div>
+
+                    <p className="text-xs text-secondary">
+                        {startMuted ? 'You will join muted. ' : ''}
+                        {startVideoOff ? 'Your camera will be off.' : ''}
+                    </p>
+
+                    <div className="flex gap-3 mt-auto">
+                        <button onClick={() => navigate('/')} className="btn btn-secondary flex-1">
+                            <ArrowLeft className="w-4 h-4" /> Back
+                        </button>
+                        <button onClick={handleJoin} className="btn btn-primary flex-1">
+                            Join now <ArrowRight className="w-4 h-4" />
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LobbyPage;
@@ -0,0 +1,159 @@
+/**
+ * Adaptive Sending
+ *
+ * Picks how much video to send on each peer connection from its stats
+ * (see callStats.js): the loss the receiver reports for our stream, the
+ * round trip time and the browser's outgoing bandwidth estimate. Levels
+ * step down quickly when the network struggles and back up one at a time
+ * once it has been healthy for a while, down to sending no video at all.
+ *
+ * The user's send quality preference caps the level, e.g. "data saver"
+ * never sends more than the 'low' level.
+ *
+ * With simulcast the camera goes out as three layers instead of one
+ * encoding, and a level switches off the layers above it.
+ */
+
+// From best to worst
+export const SEND_LEVELS = ['high', 'medium', 'low', 'audio-only'];
+
+// RTCRtpEncodingParameters per level. Capture stays at 1280x720@30; the
+// encoder scales down from there.
+const SEND_PROFILES = {
+    high: { active: true, maxBitrate: 1500000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+    medium: { active: true, maxBitrate: 600000, scaleResolutionDownBy: 2, maxFramerate: 24 },
+    low: { active: true, maxBitrate: 200000, scaleResolutionDownBy: 4, maxFramerate: 15 },
+    'audio-only': { active: false }
+};
+
+// Simulcast layers from smallest to largest, the order forwarding servers
+// number spatial layers in. Each is named (rid) after the level it matches.
+export const SIMULCAST_ENCODINGS = ['low', 'medium', 'high'].map(rid => ({
+    rid,
+    maxBitrate: SEND_PROFILES[rid].maxBitrate,
+    scaleResolutionDownBy: SEND_PROFILES[rid].scaleResolutionDownBy,
+    maxFramerate: SEND_PROFILES[rid].maxFramerate
+}));
+
+// Send quality preferences and the best level each allows
+export const SEND_PREFERENCES = {
+    auto: 'high',
+    'data-saver': 'low',
+    'audio-only': 'audio-only'
+};
+
+// Consecutive samples a worse network has to last before stepping down,
+// so a single lost burst doesn't cost quality
+const DOWNGRADE_SAMPLES = 2;
+
+// How long the network has to look better before stepping up one level
+const UPGRADE_AFTER_MS = 10000;
+
+// Going back to video from audio-only waits longer: without video the
+// bandwidth estimate says little, so only loss and round trip time count
+const VIDEO_RESUME_AFTER_MS = 20000;
+
+/**
+ * Worse of two levels
+ */
+export const worseLevel = (a, b) => (
+    SEND_LEVELS.indexOf(a) >= SEND_LEVELS.indexOf(b) ? a : b
+);
+
+/**
+ * The level the network can carry right now, judged from one stats sample
+ * @param {object} sample - From summarizeStats
+ * @param {boolean} sendingVideo - Whether video is being sent at the moment
+ */
+const networkLevel = (sample, sendingVideo) => {
+    const loss = Math.max(sample.video.sent?.packetLoss || 0, sample.audio.sent?.packetLoss || 0);
+    const rtt = sample.rtt || 0;
+    const bandwidth = sendingVideo ? sample.availableOutgoingBitrate : null; // kbps
+
+    if (loss > 20 || rtt > 1000 || (bandwidth !== null && bandwidth < 120)) return 'audio-only';
+    if (loss > 10 || rtt > 500 || (bandwidth !== null && bandwidth < 350)) return 'low';
+    if (loss > 4 || rtt > 300 || (bandwidth !== null && bandwidth < 900)) return 'medium';
+    return 'high';
+};
+
+/**
+ * Initial adaptation state of a peer connection
+ */
+export const createSendState = () => ({
+    level: 'high',       // what the network allows, before the preference cap
+    worseSamples: 0,     // consecutive samples asking for a worse level
+    betterSince: null    // when samples started asking for a better level
+});
+
+/**
+ * Advance the adaptation state by one stats sample
+ * @param {object} state - From createSendState or a previous call
+ * @param {object} sample - From summarizeStats
+ * @param {number} now - Epoch milliseconds
+ * @returns {object} The next state
+ */
+export const nextSendState = (state, sample, now) => {
+    const target = networkLevel(sample, state.level !== 'audio-only');
+    const current = SEND_LEVELS.indexOf(state.level);
+    const wanted = SEND_LEVELS.indexOf(target);
+
+    if (wanted > current) {
+        const worseSamples = state.worseSamples + 1;
+        return worseSamples >= DOWNGRADE_SAMPLES
+            ? { level: target, worseSamples: 0, betterSince: null }
+            : { ...state, worseSamples, betterSince: null };
+    }
+
+    if (wanted < current) {
+        const betterSince = state.betterSince ?? now;
+        const wait = state.level === 'audio-only' ? VIDEO_RESUME_AFTER_MS : UPGRADE_AFTER_MS;
+        return now - betterSince >= wait
+            ? { level: SEND_LEVELS[current - 1], worseSamples: 0, betterSince: null }
+            : { ...state, worseSamples: 0, betterSince };
+    }
+
+    return { ...state, worseSamples: 0, betterSince: null };
+};
+
+/**
+ * Apply a level to every video sender of a peer connection. A simulcast
+ * sender keeps its layers as they are and only sends those up to the level;
+ * when the other side declined simulcast, the one encoding left is scaled
+ * like any other.
+ * @param {RTCPeerConnection} pc
+ * @param {string} level - One of SEND_LEVELS
+ * @param {MediaStreamTrack|null} screenTrack - Shared screen, if any. Text
+ *   on a screen turns unreadable when scaled down, so it only loses
+ *   bitrate and frame rate.
+ * @param {string} [screenLevel] - Level for the screen, if it differs
+ */
+export const applySendLevel = async (pc, level, screenTrack = null, screenLevel = level) => {
+    await Promise.all(pc.getSenders()
+        .filter(sender => sender.track?.kind === 'video')
+        .map(async (sender) => {
+            const isScreen = sender.track === screenTrack;
+            const profile = SEND_PROFILES[isScreen ? screenLevel : level];
+            const params = sender.getParameters();
+            // Firefox reports no encodings until negotiation is done
+            if (!params.encodings?.length) params.encodings = [{}];
+
+            if (params.encodings.length > 1) {
+                params.encodings.forEach(encoding => {
+                    encoding.active = profile.active &&
+                        SEND_LEVELS.indexOf(encoding.rid) >= SEND_LEVELS.indexOf(level);
+                });
+                await sender.setParameters(params);
+                return;
+            }
+
+            params.encodings.forEach(encoding => {
+                encoding.active = profile.active;
+                if (!profile.active) return;
+                encoding.maxBitrate = profile.maxBitrate;
+                encoding.maxFramerate = profile.maxFramerate;
+                encoding.scaleResolutionDownBy = isScreen ? 1 : profile.scaleResolutionDownBy;
+            });
+
+            await sender.setParameters(params);
+        }));
+};
@@ -14,20 +14,27 @@ const API_BASE_URL = import.meta.env.VITE_API_URL ||
 console.log('[API] Using base URL:', API_BASE_URL);
 
 /**
- * Create a new room
- * @returns {Promise<{success: boolean, roomCode: string}>}
+ * Create a new room, optionally scheduled for later
+ * @param {string} userName - Creator's display name, signed into the room token
+ * @param {{title?: string, startsAt?: string, maxDurationMinutes?: number, large?: boolean}} [options] -
+ *   Title, ISO start time and maximum length of the call, and whether it is
+ *   a large room whose media goes through the server
+ * @returns {Promise<{success: boolean, roomCode: string, hostToken: string, token: string, large: boolean,
+ *   title: string|null, startsAt: string|null, endsAt: string|null}>}
  */
-export const createRoom = async () => {
+export const createRoom = async (userName, options = {}) => {
     try {
         const response = await fetch(`${API_BASE_URL}/api/rooms/create`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
-            }
+            },
+            body: JSON.stringify({ userName, ...options })
         });
 
         if (!response.ok) {
-            throw new Error('Failed to create room');
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(error || 'Failed to create room');
         }
 
         return await response.json();
@@ -39,12 +46,13 @@ export const createRoom = async () => {
 
 /**
  * Check if a room exists
- * @param {string} roomCode - The room code to check
- * @returns {Promise<{exists: boolean, participantCount: number, isFull: boolean}>}
+ * @param {string} roomCode - The room code to check, as typed or pasted
+ * @returns {Promise<{exists: boolean, roomCode?: string, participantCount: number, isFull: boolean, isLocked: boolean,
+ *   requiresPasscode: boolean, title: string|null, startsAt: string|null, endsAt: string|null}>}
  */
 export const checkRoom = async (roomCode) => {
     try {
-        const response = await fetch(`${API_BASE_URL}/api/rooms/${roomCode}`);
+        const response = await fetch(`${API_BASE_URL}/api/rooms/${encodeURIComponent(roomCode)}`);
 
         if (!response.ok) {
             throw new Error('Failed to check room');
@@ -57,8 +65,48 @@ export const checkRoom = async (roomCode) => {
     }
 };
 
+/**
+ * Get a signed room token to connect to the signaling server with
+ * @param {string} roomCode - Room to join
+ * @param {{userName: string, hostToken?: string|null}} details - Display name,
+ *   and the host token if we created the room
+ * @returns {Promise<{success: boolean, roomCode: string, token: string}>}
+ * @throws {Error} With `status` 404 if the room does not exist
+ */
+export const getRoomToken = async (roomCode, { userName, hostToken = null }) => {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/rooms/${encodeURIComponent(roomCode)}/join`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ userName, hostToken })
+        });
+
+        if (!response.ok) {
+            const { error } = await response.json().catch(() => ({}));
+            throw Object.assign(new Error(error || 'Failed to join room'), { status: response.status });
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Error getting room token:', error);
+        throw error;
+    }
+};
+
+/**
+ * Link to a room's calendar invite (.ics)
+ * @param {string} roomCode - Room to invite to
+ */
+export const getRoomInviteUrl = (roomCode) => (
+    `${API_BASE_URL}/api/rooms/${encodeURIComponent(roomCode)}/invite.ics`
+);
+
 export default {
     createRoom,
     checkRoom,
+    getRoomToken,
+    getRoomInviteUrl,
     API_BASE_URL
 };
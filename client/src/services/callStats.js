@@ -0,0 +1,197 @@
+/**
+ * Call Statistics
+ *
+ * Turns RTCPeerConnection.getStats() reports into one compact sample per
+ * peer connection: round trip time, outgoing bandwidth estimate, the ICE
+ * route, and per direction the resolution, frame rate, bitrate, codec and
+ * packet loss of audio and video. Rates and loss are computed against the
+ * previous report, so they describe the last interval rather than the
+ * whole call.
+ *
+ * Units: times in ms, bitrates in kbps, loss in percent.
+ */
+
+// How often stats are sampled
+export const STATS_INTERVAL_MS = 2000;
+
+// Samples kept for the downloadable report (two hours at the interval above)
+export const MAX_STATS_SAMPLES = 3600;
+
+/**
+ * Round to a fixed number of decimals, keeping null as is
+ */
+const round = (value, decimals = 0) => (
+    value === null || value === undefined || Number.isNaN(value)
+        ? null
+        : Math.round(value * 10 ** decimals) / 10 ** decimals
+);
+
+/**
+ * Bitrate in kbps between two reports of the same RTP stream
+ */
+const bitrate = (stat, previous, bytesKey) => {
+    if (!previous || stat.timestamp <= previous.timestamp) return null;
+    const bits = (stat[bytesKey] - previous[bytesKey]) * 8;
+    return round(bits / (stat.timestamp - previous.timestamp)); // bits per ms = kbps
+};
+
+/**
+ * Share of packets lost in percent between two reports
+ */
+const lossPercent = (lost, received) => {
+    const total = lost + received;
+    return total > 0 ? round((Math.max(0, lost) / total) * 100, 1) : 0;
+};
+
+/**
+ * Codec name such as "VP8" or "opus" for an RTP stream
+ */
+const codecName = (report, stat) => {
+    const codec = stat.codecId && report.get(stat.codecId);
+    return codec ? codec.mimeType.split('/')[1] : null;
+};
+
+/**
+ * The candidate pair media actually flows over
+ */
+const findSelectedPair = (report) => {
+    let selected = null;
+    report.forEach(stat => {
+        if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+            selected = report.get(stat.selectedCandidatePairId);
+        }
+    });
+    if (selected) return selected;
+
+    // Firefox marks the pair itself instead of reporting a transport
+    report.forEach(stat => {
+        if (stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded'))) {
+            selected = selected || stat;
+        }
+    });
+    return selected;
+};
+
+/**
+ * What we send of one kind. With several encodings (simulcast) the
+ * bitrates add up and the largest layer gives the resolution.
+ */
+const summarizeOutbound = (report, previousReport, kind) => {
+    let summary = null;
+
+    report.forEach(stat => {
+        if (stat.type !== 'outbound-rtp' || stat.kind !== kind) return;
+        const previous = previousReport?.get(stat.id);
+        summary = summary || { bitrate: 0, codec: null, packetLoss: null };
+
+        summary.bitrate += bitrate(stat, previous, 'bytesSent') || 0;
+        summary.codec = summary.codec || codecName(report, stat);
+
+        if (kind === 'video' && (stat.frameWidth || 0) >= (summary.width || 0)) {
+            summary.width = stat.frameWidth ?? null;
+            summary.height = stat.frameHeight ?? null;
+            summary.fps = round(stat.framesPerSecond);
+            summary.qualityLimitationReason = stat.qualityLimitationReason ?? null;
+        }
+
+        // The receiver's view of our stream, reported back over RTCP
+        const remote = stat.remoteId && report.get(stat.remoteId);
+        if (remote?.fractionLost !== undefined) {
+            summary.packetLoss = Math.max(summary.packetLoss ?? 0, round(remote.fractionLost * 100, 1));
+        }
+    });
+
+    return summary;
+};
+
+/**
+ * What we receive of one kind. With several streams (a screen share next
+ * to the camera, or everyone forwarded by the SFU) the bitrates and lost
+ * packets add up, jitter is the worst, and the largest video gives the
+ * resolution.
+ */
+const summarizeInbound = (report, previousReport, kind) => {
+    let summary = null;
+    let lost = 0;
+    let received = 0;
+
+    report.forEach(stat => {
+        if (stat.type !== 'inbound-rtp' || stat.kind !== kind) return;
+        const previous = previousReport?.get(stat.id);
+        summary = summary || { bitrate: 0, codec: null, packetLoss: 0, jitter: 0 };
+
+        summary.bitrate += bitrate(stat, previous, 'bytesReceived') || 0;
+        summary.codec = summary.codec || codecName(report, stat);
+        summary.jitter = Math.max(summary.jitter, round((stat.jitter || 0) * 1000));
+        lost += (stat.packetsLost || 0) - (previous?.packetsLost || 0);
+        received += (stat.packetsReceived || 0) - (previous?.packetsReceived || 0);
+
+        if (kind === 'video') {
+            // Frames dropped since the last sample, like the other rates
+            summary.framesDropped = (summary.framesDropped || 0) + (stat.framesDropped || 0) - (previous?.framesDropped || 0);
+            if ((stat.frameWidth || 0) >= (summary.width || 0)) {
+                summary.width = stat.frameWidth ?? null;
+                summary.height = stat.frameHeight ?? null;
+                summary.fps = round(stat.framesPerSecond);
+            }
+        }
+    });
+
+    if (summary) summary.packetLoss = lossPercent(lost, received);
+    return summary;
+};
+
+/**
+ * Summarize one getStats() report
+ * @param {RTCStatsReport} report - Current report
+ * @param {RTCStatsReport|null} previousReport - Report from the last sample, for rates
+ * @returns {{
+ *   time: string,
+ *   rtt: number|null,
+ *   availableOutgoingBitrate: number|null,
+ *   route: {localType: string, remoteType: string, protocol: string, relayed: boolean}|null,
+ *   video: {sent: object|null, received: object|null},
+ *   audio: {sent: object|null, received: object|null}
+ * }}
+ */
+export const summarizeStats = (report, previousReport) => {
+    const pair = findSelectedPair(report);
+    const local = pair && report.get(pair.localCandidateId);
+    const remote = pair && report.get(pair.remoteCandidateId);
+
+    return {
+        time: new Date().toISOString(),
+        rtt: round(pair?.currentRoundTripTime * 1000),
+        availableOutgoingBitrate: round(pair?.availableOutgoingBitrate / 1000),
+        route: local && remote
+            ? {
+                localType: local.candidateType,
+                remoteType: remote.candidateType,
+                protocol: local.relayProtocol || local.protocol,
+                relayed: local.candidateType === 'relay' || remote.candidateType === 'relay'
+            }
+            : null,
+        video: {
+            sent: summarizeOutbound(report, previousReport, 'video'),
+            received: summarizeInbound(report, previousReport, 'video')
+        },
+        audio: {
+            sent: summarizeOutbound(report, previousReport, 'audio'),
+            received: summarizeInbound(report, previousReport, 'audio')
+        }
+    };
+};
+
+/**
+ * Rate a sample as 'good', 'medium' or 'poor' from the loss and jitter of
+ * what we receive and the round trip time
+ */
+export const rateQuality = (sample) => {
+    const loss = Math.max(sample.video.received?.packetLoss || 0, sample.audio.received?.packetLoss || 0);
+    const jitter = Math.max(sample.video.received?.jitter || 0, sample.audio.received?.jitter || 0);
+    const rtt = sample.rtt || 0;
+
+    if (loss > 10 || jitter > 100 || rtt > 500) return 'poor';
+    if (loss > 5 || jitter > 50 || rtt > 250) return 'medium';
+    return 'good';
+};
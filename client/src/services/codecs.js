@@ -0,0 +1,67 @@
+/**
+ * Video Codecs
+ *
+ * Lets the user prefer a video codec. The preference reorders the codecs a
+ * peer connection offers or answers with (setCodecPreferences), so it wins
+ * whenever the other side supports the codec too. When both sides prefer
+ * different codecs, the answering side's choice is used.
+ */
+
+// Codecs that can be preferred, in the order they are listed
+export const VIDEO_CODECS = ['VP8', 'VP9', 'H264', 'AV1'];
+
+/**
+ * Whether the browser lets us reorder codecs
+ */
+export const canPreferCodecs = () => (
+    typeof RTCRtpTransceiver !== 'undefined' &&
+    'setCodecPreferences' in RTCRtpTransceiver.prototype &&
+    typeof RTCRtpReceiver.getCapabilities === 'function'
+);
+
+/**
+ * Codec name such as "VP8" from a MIME type like "video/VP8"
+ */
+const codecOf = (mimeType) => mimeType.split('/')[1].toUpperCase();
+
+/**
+ * The preferable video codecs this browser can receive
+ * @returns {string[]} A subset of VIDEO_CODECS
+ */
+export const getSupportedVideoCodecs = () => {
+    if (!canPreferCodecs()) return [];
+    const available = new Set(
+        (RTCRtpReceiver.getCapabilities('video')?.codecs || []).map(codec => codecOf(codec.mimeType))
+    );
+    return VIDEO_CODECS.filter(codec => available.has(codec));
+};
+
+/**
+ * Put a codec first on every video transceiver of a peer connection. Takes
+ * effect with the next offer or answer.
+ * @param {RTCPeerConnection} pc
+ * @param {string} codec - One of VIDEO_CODECS, or 'auto' for the browser's order
+ */
+export const preferVideoCodec = (pc, codec) => {
+    if (!canPreferCodecs()) return;
+
+    const capabilities = RTCRtpReceiver.getCapabilities('video')?.codecs || [];
+    // Only the preferred codec moves; retransmission and error correction
+    // entries stay where they were among the rest
+    const ordered = codec === 'auto'
+        ? []
+        : [
+            ...capabilities.filter(c => codecOf(c.mimeType) === codec),
+            ...capabilities.filter(c => codecOf(c.mimeType) !== codec)
+        ];
+
+    pc.getTransceivers()
+        .filter(transceiver => transceiver.receiver.track.kind === 'video' && transceiver.direction !== 'stopped')
+        .forEach(transceiver => {
+            try {
+                transceiver.setCodecPreferences(ordered);
+            } catch (err) {
+                console.warn('[Codecs] Could not prefer', codec, err);
+            }
+        });
+};
@@ -0,0 +1,70 @@
+/**
+ * Drawing
+ *
+ * Canvas drawing for annotations on shared screens and for the whiteboard.
+ * Points are [x, y] fractions of the drawing area, scaled to its size in
+ * the canvas context's units here, so a drawing looks the same at any size.
+ * Callers set the stroke style and line width.
+ */
+
+/**
+ * Freehand stroke through the points
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number[][]} points - [x, y] fractions
+ * @param {number} width - Drawing area width
+ * @param {number} height - Drawing area height
+ */
+export const drawStroke = (ctx, points, width, height) => {
+    ctx.beginPath();
+    points.forEach(([x, y], index) => {
+        if (index === 0) ctx.moveTo(x * width, y * height);
+        else ctx.lineTo(x * width, y * height);
+    });
+    // A single click still leaves a dot
+    if (points.length === 1) ctx.lineTo(points[0][0] * width + 0.1, points[0][1] * height);
+    ctx.stroke();
+};
+
+/**
+ * Arrow from the first point to the last
+ */
+export const drawArrow = (ctx, points, width, height) => {
+    const [fromX, fromY] = points[0];
+    const [toX, toY] = points[points.length - 1];
+    const x1 = fromX * width, y1 = fromY * height;
+    const x2 = toX * width, y2 = toY * height;
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const head = Math.max(12, ctx.lineWidth * 4);
+
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.moveTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+    ctx.lineTo(x2, y2);
+    ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+    ctx.stroke();
+};
+
+/**
+ * Rectangle with opposite corners at the first and last point
+ */
+export const drawRect = (ctx, points, width, height) => {
+    const [x1, y1] = points[0];
+    const [x2, y2] = points[points.length - 1];
+    ctx.strokeRect(x1 * width, y1 * height, (x2 - x1) * width, (y2 - y1) * height);
+};
+
+/**
+ * Ellipse inside the rectangle of the first and last point
+ */
+export const drawEllipse = (ctx, points, width, height) => {
+    const [x1, y1] = points[0];
+    const [x2, y2] = points[points.length - 1];
+    ctx.beginPath();
+    ctx.ellipse(
+        (x1 + x2) / 2 * width, (y1 + y2) / 2 * height,
+        Math.abs(x2 - x1) / 2 * width, Math.abs(y2 - y1) / 2 * height,
+        0, 0, Math.PI * 2
+    );
+    ctx.stroke();
+};
@@ -0,0 +1,47 @@
+/**
+ * Invite Links
+ *
+ * Links that open a room straight from a chat message, an email or a
+ * scanned QR code, and sharing them through the system share sheet.
+ */
+
+/**
+ * Full link to a room's call page. Visitors without a saved name are asked
+ * for one before they join.
+ * @param {string} roomCode - Room to invite to
+ */
+export const getInviteLink = (roomCode) => (
+    `${window.location.origin}/call/${encodeURIComponent(roomCode)}`
+);
+
+/**
+ * Whether the browser has a share sheet (Web Share API), mostly on phones
+ */
+export const canShare = () => typeof navigator.share === 'function';
+
+/**
+ * Open the system share sheet with a room's invite link
+ * @param {string} roomCode - Room to invite to
+ * @param {string|null} [title] - Room title, if it has one
+ * @returns {Promise<boolean>} False if the user closed the sheet without sharing
+ * @throws {Error} If sharing failed for another reason
+ */
+export const shareInvite = async (roomCode, title = null) => {
+    try {
+        await navigator.share({
+            title: title || 'MeetFlow call',
+            text: `Join my MeetFlow call (room ${roomCode})`,
+            url: getInviteLink(roomCode)
+        });
+        return true;
+    } catch (err) {
+        if (err.name === 'AbortError') return false;
+        throw err;
+    }
+};
+
+export default {
+    getInviteLink,
+    canShare,
+    shareInvite
+};
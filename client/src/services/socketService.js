@@ -42,10 +42,12 @@ export const initSocket = () => {
 
 /**
  * Connect to the signaling server
+ * @param {string} token - Room token from the API, sent on every (re)connect
  * @returns {Socket} Connected socket instance
  */
-export const connectSocket = () => {
+export const connectSocket = (token) => {
     const socketInstance = initSocket();
+    socketInstance.auth = { token };
     if (!socketInstance.connected) {
         socketInstance.connect();
     }
@@ -0,0 +1,51 @@
+/**
+ * Call statistics tests, on getStats() reports built by hand
+ *
+ *   npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeStats } from '../src/services/callStats.js';
+
+/**
+ * A report of two inbound video streams (camera and screen share) at
+ * `time` seconds, with `drops` frames dropped so far by each
+ */
+const videoReport = (time, [cameraDrops, screenDrops]) => new Map([
+    ['codec', { id: 'codec', type: 'codec', mimeType: 'video/VP8' }],
+    ['camera', {
+        id: 'camera', type: 'inbound-rtp', kind: 'video', codecId: 'codec', timestamp: time * 1000,
+        bytesReceived: time * 62500, packetsLost: time, packetsReceived: time * 99, jitter: 0.01,
+        frameWidth: 640, frameHeight: 360, framesPerSecond: 30, framesDropped: cameraDrops
+    }],
+    ['screen', {
+        id: 'screen', type: 'inbound-rtp', kind: 'video', codecId: 'codec', timestamp: time * 1000,
+        bytesReceived: time * 125000, packetsLost: 0, packetsReceived: time * 100, jitter: 0.03,
+        frameWidth: 1920, frameHeight: 1080, framesPerSecond: 5, framesDropped: screenDrops
+    }]
+]);
+
+describe('summarizeStats', () => {
+    it('adds up every inbound stream over the last interval', () => {
+        const first = videoReport(10, [40, 5]);
+        const second = videoReport(12, [43, 5]);
+        const received = summarizeStats(second, first).video.received;
+
+        assert.equal(received.bitrate, 1500); // 500 + 1000 kbps
+        assert.equal(received.packetLoss, 0.5); // 2 lost next to 398 received
+        assert.equal(received.jitter, 30);
+        assert.equal(received.codec, 'VP8');
+        assert.deepEqual([received.width, received.height, received.fps], [1920, 1080, 5]);
+    });
+
+    it('counts the frames dropped since the previous report', () => {
+        const first = videoReport(10, [40, 5]);
+        const second = videoReport(12, [43, 5]);
+        const third = videoReport(14, [43, 5]);
+
+        assert.equal(summarizeStats(first, null).video.received.framesDropped, 45);
+        assert.equal(summarizeStats(second, first).video.received.framesDropped, 3);
+        assert.equal(summarizeStats(third, second).video.received.framesDropped, 0);
+    });
+});
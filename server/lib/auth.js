@@ -0,0 +1,76 @@
+/**
+ * Room Tokens
+ *
+ * Signed, room-scoped JWTs that admit a socket to the signaling server.
+ * POST /api/rooms/create and POST /api/rooms/:roomCode/join hand them out;
+ * the socket.io middleware verifies them on connect, so a socket can only
+ * ever act in the room and under the name its token was issued for.
+ *
+ * Environment:
+ *   JWT_SECRET - HMAC secret for signing tokens. Must be the same on every
+ *                instance; without it each process signs with a random one.
+ *   JWT_TTL    - Token lifetime in seconds (default 43200, 12 hours)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_TOKEN_TTL = 12 * 60 * 60;
+const TOKEN_AUDIENCE = 'meetflow-room';
+
+// Only used when JWT_SECRET is missing; tokens then die with the process
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signing secret from the environment, or the per-process fallback
+ * @param {NodeJS.ProcessEnv} env - Environment to read configuration from
+ */
+const getSecret = (env) => env.JWT_SECRET || fallbackSecret;
+
+/**
+ * Whether tokens are signed with a configured secret
+ */
+const isSecretConfigured = (env = process.env) => Boolean(env.JWT_SECRET);
+
+/**
+ * Issue a token for one participant of one room
+ * @param {{roomCode: string, userName: string, isHost: boolean}} claims
+ * @param {NodeJS.ProcessEnv} env - Environment to read configuration from
+ * @returns {string} Signed JWT
+ */
+const issueRoomToken = ({ roomCode, userName, isHost }, env = process.env) => {
+    const ttl = parseInt(env.JWT_TTL, 10) || DEFAULT_TOKEN_TTL;
+    return jwt.sign(
+        { room: roomCode, name: userName, host: Boolean(isHost) },
+        getSecret(env),
+        // Every token gets its own id, so a room can turn one away
+        { algorithm: 'HS256', audience: TOKEN_AUDIENCE, expiresIn: ttl, jwtid: crypto.randomUUID() }
+    );
+};
+
+/**
+ * Check a token's signature, audience and expiry
+ * @param {string} token - JWT from the client
+ * @param {NodeJS.ProcessEnv} env - Environment to read configuration from
+ * @returns {{roomCode: string, userName: string, isHost: boolean, tokenId: string|null}}
+ * @throws {jwt.JsonWebTokenError} If the token is missing, tampered with or expired
+ */
+const verifyRoomToken = (token, env = process.env) => {
+    const payload = jwt.verify(token, getSecret(env), {
+        algorithms: ['HS256'],
+        audience: TOKEN_AUDIENCE
+    });
+
+    return {
+        roomCode: payload.room,
+        userName: payload.name,
+        isHost: payload.host === true,
+        tokenId: payload.jti || null
+    };
+};
+
+module.exports = {
+    issueRoomToken,
+    verifyRoomToken,
+    isSecretConfigured
+};
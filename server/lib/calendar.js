@@ -0,0 +1,98 @@
+/**
+ * Calendar Invites
+ *
+ * Builds iCalendar (RFC 5545) files for rooms, so a scheduled call can be
+ * dropped into any calendar app with its join link attached.
+ */
+
+// Calendar entries of rooms without a maximum duration
+const DEFAULT_EVENT_MINUTES = 60;
+
+// Content lines longer than this many octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value: backslashes, semicolons, commas and newlines
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * UTC date-time in the basic format, e.g. 20240131T093000Z
+ * @param {number} time - Epoch milliseconds
+ */
+const formatDateTime = (time) => new Date(time)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line into 75-octet pieces, continuation lines starting
+ * with a space. Never splits a multi-byte character.
+ */
+const foldLine = (line) => {
+    const pieces = [];
+    let piece = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines lose one octet to the leading space
+        const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            pieces.push(piece);
+            piece = '';
+            octets = 0;
+        }
+        piece += char;
+        octets += size;
+    }
+    pieces.push(piece);
+
+    return pieces.join('\r\n ');
+};
+
+/**
+ * Build the invite for a room
+ * @param {object} invite
+ * @param {string} invite.roomCode - Code of the room
+ * @param {string} invite.joinUrl - Link that opens the room in the app
+ * @param {string|null} invite.title - Title given at creation
+ * @param {number} invite.startsAt - Epoch milliseconds
+ * @param {number|null} invite.maxDurationMinutes - Null for no limit
+ * @returns {string} Contents of an .ics file
+ */
+const createRoomInvite = ({ roomCode, joinUrl, title, startsAt, maxDurationMinutes }) => {
+    const summary = title || 'MeetFlow call';
+    const endsAt = startsAt + (maxDurationMinutes || DEFAULT_EVENT_MINUTES) * 60 * 1000;
+    const description = `Join the call: ${joinUrl}\nRoom code: ${roomCode}`;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//MeetFlow//Room Invite//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        // Stable per room, so importing the invite twice updates one event
+        `UID:${roomCode}@meetflow`,
+        `DTSTAMP:${formatDateTime(Date.now())}`,
+        `DTSTART:${formatDateTime(startsAt)}`,
+        `DTEND:${formatDateTime(endsAt)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `LOCATION:${escapeText(joinUrl)}`,
+        `URL:${joinUrl}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    createRoomInvite
+};
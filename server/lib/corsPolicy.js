@@ -0,0 +1,137 @@
+/**
+ * CORS Policy
+ *
+ * Decides which browser origins may use the HTTP API and open signaling
+ * sockets. The policy comes from an optional JSON config file, with
+ * environment variables taking precedence:
+ *
+ *   {
+ *     "origins": ["https://meet.example.com"],
+ *     "originSuffixes": [".onrender.com"],
+ *     "credentials": true
+ *   }
+ *
+ * Environment:
+ *   CORS_CONFIG_FILE     - Path of the JSON config file
+ *   CORS_ORIGINS         - Comma-separated exact origins
+ *   CORS_ORIGIN_SUFFIXES - Comma-separated hostname suffixes; ".onrender.com"
+ *                          allows every https://<name>.onrender.com
+ *   CORS_CREDENTIALS     - "true" or "false" (default true)
+ *
+ * Requests without an Origin header (curl, health checks, server to server)
+ * are not cross-origin browser requests and always pass.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY = {
+    origins: [
+        'http://localhost:5173',
+        'http://localhost:3000',
+        'http://127.0.0.1:5173',
+        'https://kalov-zh3v.onrender.com',
+        'https://kalov.onrender.com'
+    ],
+    originSuffixes: ['.onrender.com'],
+    credentials: true
+};
+
+/**
+ * Split a comma-separated environment value into a list
+ */
+const parseList = (value) => value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Read the config file, if one is configured
+ * @throws {Error} If the file can't be read or isn't valid JSON
+ */
+const readConfigFile = (file) => {
+    if (!file) return {};
+    const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    if (!config || typeof config !== 'object') {
+        throw new Error(`CORS config file ${file} must contain a JSON object`);
+    }
+    return config;
+};
+
+/**
+ * Build the CORS policy from the environment and config file
+ * @param {NodeJS.ProcessEnv} env - Environment to read configuration from
+ * @returns {{origins: string[], originSuffixes: string[], credentials: boolean}}
+ */
+const loadCorsPolicy = (env = process.env) => {
+    const file = readConfigFile(env.CORS_CONFIG_FILE);
+
+    const origins = env.CORS_ORIGINS !== undefined
+        ? parseList(env.CORS_ORIGINS)
+        : file.origins ?? DEFAULT_POLICY.origins;
+
+    const originSuffixes = env.CORS_ORIGIN_SUFFIXES !== undefined
+        ? parseList(env.CORS_ORIGIN_SUFFIXES)
+        : file.originSuffixes ?? DEFAULT_POLICY.originSuffixes;
+
+    const credentials = env.CORS_CREDENTIALS !== undefined
+        ? env.CORS_CREDENTIALS.trim().toLowerCase() === 'true'
+        : file.credentials ?? DEFAULT_POLICY.credentials;
+
+    return {
+        // Browsers send origins without a trailing slash
+        origins: origins.map(origin => String(origin).replace(/\/+$/, '')),
+        originSuffixes: originSuffixes.map(String),
+        credentials: Boolean(credentials)
+    };
+};
+
+/**
+ * Whether a request's Origin header passes the policy
+ * @param {{origins: string[], originSuffixes: string[]}} policy
+ * @param {string|undefined} origin - Origin header of the request
+ */
+const isOriginAllowed = (policy, origin) => {
+    if (!origin) return true;
+    if (policy.origins.includes(origin)) return true;
+
+    // Suffixes only match the hostname of a secure origin, so neither
+    // "https://evil.com/?.onrender.com" nor plain http gets through
+    let url;
+    try {
+        url = new URL(origin);
+    } catch {
+        return false;
+    }
+    return url.protocol === 'https:' &&
+        policy.originSuffixes.some(suffix => url.hostname.endsWith(suffix));
+};
+
+/**
+ * One-line summary for the startup banner
+ */
+const describeCorsPolicy = (policy) => {
+    const parts = [`${policy.origins.length} origin${policy.origins.length === 1 ? '' : 's'}`];
+    policy.originSuffixes.forEach(suffix => parts.push(`*${suffix}`));
+    return parts.join(' + ');
+};
+
+/**
+ * Log a rejected origin as one JSON line, so log tooling can pick it up
+ * @param {{transport: 'http'|'polling'|'websocket', origin: string, method?: string, path?: string, ip?: string}} details
+ */
+const logCorsViolation = (details) => {
+    console.warn(JSON.stringify({
+        level: 'warn',
+        event: 'cors_violation',
+        time: new Date().toISOString(),
+        ...details
+    }));
+};
+
+module.exports = {
+    loadCorsPolicy,
+    isOriginAllowed,
+    describeCorsPolicy,
+    logCorsViolation
+};
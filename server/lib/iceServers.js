@@ -0,0 +1,90 @@
+/**
+ * ICE Server Configuration
+ *
+ * Builds the STUN/TURN server list handed to clients from environment
+ * configuration. TURN credentials follow the TURN REST API shared-secret
+ * scheme (as implemented by coturn's `static-auth-secret`):
+ *
+ *   username   = "<expiry unix timestamp>:<user id>"
+ *   credential = base64(HMAC-SHA1(secret, username))
+ *
+ * Environment:
+ *   STUN_URLS   - Comma-separated STUN urls (defaults to public Google STUN)
+ *   TURN_URLS   - Comma-separated TURN/TURNS urls
+ *   TURN_SECRET - Shared secret configured on the TURN server
+ *   TURN_TTL    - Credential lifetime in seconds (default 3600)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_STUN_URLS = [
+    'stun:stun.l.google.com:19302',
+    'stun:stun1.l.google.com:19302',
+    'stun:stun.stunprotocol.org:3478'
+];
+
+const DEFAULT_TURN_TTL = 3600;
+
+/**
+ * Split a comma-separated environment value into a list
+ */
+const parseList = (value) => (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Mint time-limited TURN credentials
+ * @param {string} secret - Shared secret of the TURN server
+ * @param {string} userId - Identifier embedded in the username
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {{username: string, credential: string}}
+ */
+const createTurnCredentials = (secret, userId, ttl) => {
+    const expiry = Math.floor(Date.now() / 1000) + ttl;
+    const username = `${expiry}:${userId}`;
+    const credential = crypto
+        .createHmac('sha1', secret)
+        .update(username)
+        .digest('base64');
+
+    return { username, credential };
+};
+
+/**
+ * Build the ICE server list for a client
+ * @param {string} userId - Identifier embedded in TURN usernames
+ * @param {NodeJS.ProcessEnv} env - Environment to read configuration from
+ * @returns {{iceServers: RTCIceServer[], ttl: number}}
+ */
+const getIceServers = (userId, env = process.env) => {
+    const stunUrls = parseList(env.STUN_URLS);
+    const turnUrls = parseList(env.TURN_URLS);
+    const ttl = parseInt(env.TURN_TTL, 10) || DEFAULT_TURN_TTL;
+
+    const iceServers = [
+        { urls: stunUrls.length > 0 ? stunUrls : DEFAULT_STUN_URLS }
+    ];
+
+    if (turnUrls.length > 0 && env.TURN_SECRET) {
+        iceServers.push({
+            urls: turnUrls,
+            ...createTurnCredentials(env.TURN_SECRET, userId, ttl)
+        });
+    }
+
+    return { iceServers, ttl };
+};
+
+/**
+ * Whether TURN relaying is configured
+ */
+const isTurnConfigured = (env = process.env) => (
+    parseList(env.TURN_URLS).length > 0 && Boolean(env.TURN_SECRET)
+);
+
+module.exports = {
+    getIceServers,
+    createTurnCredentials,
+    isTurnConfigured
+};
@@ -0,0 +1,101 @@
+/**
+ * Rate Limiting
+ *
+ * Token buckets: a bucket holds up to `capacity` tokens and refills at
+ * `refillPerSecond`. Every request takes a token, so short bursts pass
+ * while a sustained flood is held to the refill rate.
+ */
+
+// Idle keys are forgotten after this long (their buckets are full again anyway)
+const KEY_IDLE_MS = 10 * 60 * 1000;
+
+/**
+ * A single token bucket, e.g. for one socket
+ * @param {{capacity: number, refillPerSecond: number}} options
+ */
+const createTokenBucket = ({ capacity, refillPerSecond }) => {
+    let tokens = capacity;
+    let updatedAt = Date.now();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * refillPerSecond);
+        updatedAt = now;
+    };
+
+    return {
+        /**
+         * Take tokens if there are enough
+         * @returns {boolean} Whether the request may go ahead
+         */
+        take(cost = 1) {
+            refill();
+            if (tokens < cost) return false;
+            tokens -= cost;
+            return true;
+        },
+
+        /**
+         * Seconds until `cost` tokens are available again
+         */
+        retryAfter(cost = 1) {
+            refill();
+            return Math.max(0, Math.ceil((cost - tokens) / refillPerSecond));
+        }
+    };
+};
+
+/**
+ * A bucket per key, e.g. per client IP
+ * @param {{capacity: number, refillPerSecond: number}} options
+ */
+const createRateLimiter = (options) => {
+    const buckets = new Map(); // key -> { bucket, lastSeen }
+
+    const bucketFor = (key) => {
+        let entry = buckets.get(key);
+        if (!entry) {
+            entry = { bucket: createTokenBucket(options) };
+            buckets.set(key, entry);
+        }
+        entry.lastSeen = Date.now();
+        return entry.bucket;
+    };
+
+    // Don't keep a bucket for every address ever seen
+    setInterval(() => {
+        const cutoff = Date.now() - KEY_IDLE_MS;
+        for (const [key, entry] of buckets) {
+            if (entry.lastSeen < cutoff) buckets.delete(key);
+        }
+    }, KEY_IDLE_MS).unref();
+
+    return {
+        take: (key, cost) => bucketFor(key).take(cost),
+        retryAfter: (key, cost) => bucketFor(key).retryAfter(cost)
+    };
+};
+
+/**
+ * Express middleware that answers 429 once a client IP runs out of tokens
+ * @param {{capacity: number, refillPerSecond: number}} options
+ */
+const rateLimitByIp = (options) => {
+    const limiter = createRateLimiter(options);
+
+    return (req, res, next) => {
+        if (limiter.take(req.ip)) {
+            next();
+            return;
+        }
+
+        res.set('Retry-After', String(limiter.retryAfter(req.ip)));
+        res.status(429).json({ success: false, error: 'Too many requests. Please try again shortly.' });
+    };
+};
+
+module.exports = {
+    createTokenBucket,
+    createRateLimiter,
+    rateLimitByIp
+};
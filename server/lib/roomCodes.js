@@ -0,0 +1,175 @@
+/**
+ * Room Codes
+ *
+ * Generates room codes with crypto.randomInt and turns whatever people type
+ * or paste ("abcd efgh", "Abcd-Efgh ") back into the canonical code.
+ *
+ * Two styles:
+ *   random - Characters from an alphabet in dash-separated groups, e.g. K7QM-X2RD.
+ *            The default alphabet leaves out 0/O and 1/I, which are easy to misread.
+ *   words  - Dash-separated words from a built-in list, e.g. CEDAR-OTTER-PRISM-WAVE
+ *
+ * Environment:
+ *   ROOM_CODE_STYLE      - "random" (default) or "words"
+ *   ROOM_CODE_LENGTH     - Characters in a random code (default 8)
+ *   ROOM_CODE_ALPHABET   - Characters of random codes (letters and digits)
+ *   ROOM_CODE_GROUP_SIZE - Characters between dashes (default 4, 0 for none)
+ *   ROOM_CODE_WORDS      - Words in a word code (default 4)
+ */
+
+const crypto = require('crypto');
+
+const UNAMBIGUOUS_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const DEFAULTS = {
+    style: 'random',
+    length: 8,
+    alphabet: UNAMBIGUOUS_ALPHABET,
+    groupSize: 4,
+    words: 4
+};
+
+// 256 words, so every word adds 8 bits
+const WORDS = [
+    'acorn', 'alpine', 'amber', 'anchor', 'apple', 'arctic', 'arrow', 'aspen', 'atlas', 'aurora',
+    'autumn', 'badge', 'bagel', 'bamboo', 'banjo', 'basil', 'basin', 'beacon', 'beetle', 'berry',
+    'birch', 'bison', 'blaze', 'bloom', 'blossom', 'bonsai', 'bramble', 'breeze', 'brick', 'brook',
+    'bubble', 'butter', 'cabin', 'cactus', 'camel', 'candle', 'canoe', 'canyon', 'cargo', 'carrot',
+    'cashew', 'castle', 'cedar', 'cello', 'chalk', 'cherry', 'cider', 'cinder', 'citrus', 'cloud',
+    'clover', 'cobalt', 'cocoa', 'comet', 'copper', 'coral', 'cosmic', 'cotton', 'cove', 'crane',
+    'crater', 'cricket', 'crystal', 'cypress', 'dahlia', 'daisy', 'delta', 'denim', 'desert', 'dewdrop',
+    'dingo', 'dolphin', 'dragon', 'drift', 'dune', 'eagle', 'echo', 'elm', 'ember', 'emerald',
+    'fable', 'falcon', 'falls', 'feather', 'fern', 'ferry', 'fiddle', 'fig', 'firefly', 'fjord',
+    'flame', 'flint', 'forest', 'fossil', 'fox', 'frost', 'galaxy', 'garden', 'garnet', 'gecko',
+    'geyser', 'ginger', 'glacier', 'glade', 'globe', 'glow', 'gopher', 'granite', 'grape', 'gravel',
+    'hammock', 'harbor', 'hawk', 'hazel', 'heron', 'hickory', 'hollow', 'honey', 'horizon', 'husky',
+    'ibis', 'igloo', 'indigo', 'iris', 'island', 'ivory', 'jade', 'jaguar', 'jasmine', 'jelly',
+    'jetty', 'jungle', 'juniper', 'kayak', 'kelp', 'kettle', 'kiwi', 'koala', 'lagoon', 'lantern',
+    'lark', 'lava', 'lemon', 'lichen', 'lilac', 'lily', 'linen', 'llama', 'lotus', 'lunar',
+    'lynx', 'magnet', 'mango', 'maple', 'marble', 'marsh', 'meadow', 'melon', 'mesa', 'meteor',
+    'mint', 'mocha', 'moose', 'mosaic', 'moss', 'nebula', 'nectar', 'needle', 'nimbus', 'noble',
+    'nova', 'nutmeg', 'oasis', 'ocean', 'olive', 'onyx', 'opal', 'orbit', 'orchid', 'otter',
+    'oyster', 'paddle', 'panda', 'papaya', 'parrot', 'pebble', 'pecan', 'pepper', 'piano', 'pilot',
+    'pine', 'planet', 'plum', 'polar', 'poppy', 'prairie', 'prism', 'pumpkin', 'quartz', 'quill',
+    'quiver', 'rabbit', 'radar', 'raven', 'reef', 'ridge', 'river', 'robin', 'rocket', 'saffron',
+    'sage', 'salmon', 'sapphire', 'satin', 'scarlet', 'sequoia', 'shadow', 'shell', 'sierra', 'silver',
+    'sorrel', 'sparrow', 'spruce', 'squid', 'starling', 'stone', 'storm', 'summit', 'sunset', 'swan',
+    'tango', 'thistle', 'thunder', 'tidal', 'tiger', 'timber', 'topaz', 'tulip', 'tundra', 'turtle',
+    'umber', 'valley', 'velvet', 'violet', 'walnut', 'walrus', 'wave', 'willow', 'winter', 'wombat',
+    'wren', 'yak', 'yarrow', 'zebra', 'zephyr', 'zinc'
+].map(word => word.toUpperCase());
+
+/**
+ * Read a positive integer setting, falling back to the default
+ */
+const parseCount = (value, fallback, name) => {
+    if (value === undefined || value === '') return fallback;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`${name} must be a whole number, got "${value}"`);
+    }
+    return count;
+};
+
+/**
+ * Build the room code functions from configuration
+ * @param {NodeJS.ProcessEnv} env - Environment to read configuration from
+ * @returns {{generate: () => string, normalize: (input: string) => string, describe: () => string}}
+ * @throws {Error} On a setting that can't produce usable codes
+ */
+const createRoomCodes = (env = process.env) => {
+    const style = env.ROOM_CODE_STYLE || DEFAULTS.style;
+    const length = parseCount(env.ROOM_CODE_LENGTH, DEFAULTS.length, 'ROOM_CODE_LENGTH');
+    const groupSize = parseCount(env.ROOM_CODE_GROUP_SIZE, DEFAULTS.groupSize, 'ROOM_CODE_GROUP_SIZE');
+    const wordCount = parseCount(env.ROOM_CODE_WORDS, DEFAULTS.words, 'ROOM_CODE_WORDS');
+    const alphabet = [...new Set((env.ROOM_CODE_ALPHABET || DEFAULTS.alphabet).toUpperCase())].join('');
+
+    if (style !== 'random' && style !== 'words') {
+        throw new Error(`ROOM_CODE_STYLE must be "random" or "words", got "${style}"`);
+    }
+    // Spaces and dashes are stripped from typed codes, so they can't be code characters
+    if (!/^[A-Z0-9]{2,}$/.test(alphabet)) {
+        throw new Error('ROOM_CODE_ALPHABET must have at least two distinct letters or digits');
+    }
+    if (length < 4 || length > 32) {
+        throw new Error('ROOM_CODE_LENGTH must be between 4 and 32');
+    }
+    if (wordCount < 2 || wordCount > 8) {
+        throw new Error('ROOM_CODE_WORDS must be between 2 and 8');
+    }
+
+    /**
+     * Dash-separate a run of code characters into groups
+     */
+    const groupCharacters = (chars) => (
+        groupSize > 0 ? chars.match(new RegExp(`.{1,${groupSize}}`, 'g')).join('-') : chars
+    );
+
+    /**
+     * Split run-together words ("CEDAROTTER") back into list words, or null
+     */
+    const splitWords = (chars) => {
+        // splits[i]: words that make up the first i characters
+        const splits = [[]];
+        for (let end = 1; end <= chars.length; end++) {
+            for (const word of WORDS) {
+                const start = end - word.length;
+                if (start >= 0 && splits[start] && chars.startsWith(word, start)) {
+                    splits[end] = [...splits[start], word];
+                    break;
+                }
+            }
+        }
+        return splits[chars.length] || null;
+    };
+
+    return {
+        /**
+         * A new random room code. Callers check it isn't taken yet.
+         */
+        generate() {
+            if (style === 'words') {
+                return Array.from({ length: wordCount }, () => WORDS[crypto.randomInt(WORDS.length)]).join('-');
+            }
+            const chars = Array.from({ length }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+            return groupCharacters(chars);
+        },
+
+        /**
+         * Canonical form of a typed or pasted code: case, spaces and dashes
+         * don't matter. Input that can't be a code comes back as its
+         * stripped form, which simply matches no room.
+         */
+        normalize(input) {
+            const upper = String(input).toUpperCase();
+            const chars = upper.replace(/[\s-]+/g, '');
+            if (!chars) return '';
+            if (style === 'words') {
+                // Trust the separators people kept, otherwise find the words
+                const parts = upper.split(/[\s-]+/).filter(Boolean);
+                if (parts.length > 1 && parts.every(part => WORDS.includes(part))) {
+                    return parts.join('-');
+                }
+                return splitWords(chars)?.join('-') ?? chars;
+            }
+            return groupCharacters(chars);
+        },
+
+        /**
+         * Summary for the startup log, with the entropy of a code
+         */
+        describe() {
+            const bits = style === 'words'
+                ? wordCount * Math.log2(WORDS.length)
+                : length * Math.log2(alphabet.length);
+            return style === 'words'
+                ? `${wordCount} words (${Math.floor(bits)} bits)`
+                : `${length} characters of ${alphabet} (${Math.floor(bits)} bits)`;
+        }
+    };
+};
+
+module.exports = {
+    createRoomCodes,
+    UNAMBIGUOUS_ALPHABET
+};
@@ -0,0 +1,174 @@
+/**
+ * Room Store
+ *
+ * Where room state lives. Every store has the same async interface, so the
+ * signaling server doesn't care whether rooms are kept in this process or
+ * shared between instances through Redis:
+ *
+ *   createRoom(code, room)          - Add a room; false if the code is taken
+ *   getRoom(code)                   - Snapshot of a room, or null
+ *   updateRoom(code, mutate)        - Atomically apply mutate(room) and save it.
+ *                                     Resolves to { room, result } with mutate's
+ *                                     return value, or null if there is no room.
+ *                                     mutate may run more than once, so it must
+ *                                     only change the room it is given.
+ *   deleteRoom(code, [shouldDelete]) - Delete a room, optionally only if
+ *                                     shouldDelete(room) holds at that moment
+ *   listRoomCodes()                 - Codes of every room
+ *   close()                         - Release connections
+ *
+ * Rooms are plain JSON-serializable objects. Snapshots are copies, so changes
+ * only stick when made inside updateRoom.
+ */
+
+const DEFAULT_KEY_PREFIX = 'meetflow:';
+
+// Optimistic transactions retried this often before giving up
+const MAX_TRANSACTION_ATTEMPTS = 10;
+
+/**
+ * Room store kept in this process's memory. Only suitable for a single instance.
+ */
+const createMemoryRoomStore = () => {
+    const rooms = new Map();
+
+    return {
+        async createRoom(code, room) {
+            if (rooms.has(code)) return false;
+            rooms.set(code, structuredClone(room));
+            return true;
+        },
+
+        async getRoom(code) {
+            const room = rooms.get(code);
+            return room ? structuredClone(room) : null;
+        },
+
+        async updateRoom(code, mutate) {
+            const stored = rooms.get(code);
+            if (!stored) return null;
+
+            const room = structuredClone(stored);
+            const result = mutate(room);
+            rooms.set(code, room);
+            return { room: structuredClone(room), result };
+        },
+
+        async deleteRoom(code, shouldDelete) {
+            const room = rooms.get(code);
+            if (!room || (shouldDelete && !shouldDelete(structuredClone(room)))) return false;
+            return rooms.delete(code);
+        },
+
+        async listRoomCodes() {
+            return [...rooms.keys()];
+        },
+
+        async close() {}
+    };
+};
+
+/**
+ * Room store backed by Redis, shared by every signaling server instance.
+ * Each room is one JSON string key; updates use WATCH/MULTI and retry when
+ * another instance changed the room in between.
+ * @param {import('ioredis').Redis} client - ioredis client, or anything with
+ *   the same API (e.g. the in-process fake in test/fakeRedis.js)
+ * @param {{keyPrefix?: string}} [options]
+ */
+const createRedisRoomStore = (client, { keyPrefix = DEFAULT_KEY_PREFIX } = {}) => {
+    const roomKey = (code) => `${keyPrefix}room:${code}`;
+
+    // WATCH state belongs to the connection, so transactions on the shared
+    // client must not interleave
+    let queue = Promise.resolve();
+    const exclusive = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    /**
+     * Run apply(room, tx, key) inside an optimistic transaction on a room's key
+     * @param {(room: object, tx: object, key: string) => any} apply - Queues writes on
+     *   tx and returns the result, or undefined to write nothing
+     */
+    const transaction = (code, apply) => exclusive(async () => {
+        const key = roomKey(code);
+
+        for (let attempt = 0; attempt < MAX_TRANSACTION_ATTEMPTS; attempt++) {
+            await client.watch(key);
+            const raw = await client.get(key);
+            if (!raw) {
+                await client.unwatch();
+                return null;
+            }
+
+            const room = JSON.parse(raw);
+            const tx = client.multi();
+            const result = apply(room, tx, key);
+            if (result === undefined) {
+                await client.unwatch();
+                return { room, result };
+            }
+
+            // exec() resolves to null when the watched key changed meanwhile
+            if (await tx.exec()) {
+                return { room, result };
+            }
+        }
+
+        throw new Error(`Room ${code} is too busy to update`);
+    });
+
+    return {
+        async createRoom(code, room) {
+            const created = await exclusive(() => client.set(roomKey(code), JSON.stringify(room), 'NX'));
+            return created === 'OK';
+        },
+
+        async getRoom(code) {
+            const raw = await client.get(roomKey(code));
+            return raw ? JSON.parse(raw) : null;
+        },
+
+        async updateRoom(code, mutate) {
+            const outcome = await transaction(code, (room, tx, key) => {
+                const result = mutate(room);
+                tx.set(key, JSON.stringify(room));
+                return { value: result };
+            });
+            return outcome && { room: outcome.room, result: outcome.result.value };
+        },
+
+        async deleteRoom(code, shouldDelete) {
+            const outcome = await transaction(code, (room, tx, key) => {
+                if (shouldDelete && !shouldDelete(room)) return undefined;
+                tx.del(key);
+                return true;
+            });
+            return outcome?.result === true;
+        },
+
+        async listRoomCodes() {
+            const prefix = roomKey('');
+            const codes = [];
+            let cursor = '0';
+            do {
+                const [next, keys] = await client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+                cursor = next;
+                codes.push(...keys.map(key => key.slice(prefix.length)));
+            } while (cursor !== '0');
+            return codes;
+        },
+
+        async close() {
+            await client.quit();
+        }
+    };
+};
+
+module.exports = {
+    createMemoryRoomStore,
+    createRedisRoomStore
+};
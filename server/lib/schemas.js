@@ -0,0 +1,186 @@
+/**
+ * Payload Schemas
+ *
+ * What the REST API and every socket.io event accept (see lib/validation.js).
+ * Socket events without an entry here have no handler on the server.
+ */
+
+const { field, createValidator } = require('./validation');
+
+// Longest chat message kept; longer ones are rejected
+const MAX_MESSAGE_LENGTH = 2000;
+
+const MAX_USER_NAME_LENGTH = 50;
+const MAX_SECRET_LENGTH = 128;
+const MAX_ROOM_CODE_LENGTH = 64;
+const MAX_ID_LENGTH = 64;
+const MAX_TITLE_LENGTH = 100;
+
+// Scheduled rooms: how far ahead they may start and how long they may run
+const MAX_SCHEDULE_AHEAD_DAYS = 90;
+const MAX_DURATION_MINUTES = 24 * 60;
+
+// Session descriptions grow with every track, codec and candidate
+const MAX_SDP_BYTES = 64 * 1024;
+const MAX_CANDIDATE_BYTES = 2 * 1024;
+
+// Points in one annotation stroke on a shared screen
+const MAX_ANNOTATION_POINTS = 1000;
+
+// Whiteboard elements: points in one, one element's size, and how many
+// elements one operation may add or remove
+const MAX_WHITEBOARD_POINTS = 1000;
+const MAX_WHITEBOARD_ELEMENT_BYTES = 32 * 1024;
+const MAX_WHITEBOARD_TEXT_LENGTH = 500;
+const MAX_WHITEBOARD_OP_ELEMENTS = 200;
+
+const userName = field.string({ max: MAX_USER_NAME_LENGTH, optional: true });
+const secret = field.string({ max: MAX_SECRET_LENGTH, optional: true, nullable: true });
+const id = field.string({ min: 1, max: MAX_ID_LENGTH });
+
+// Position on a shared screen as fractions of the video frame
+const fraction = field.number({ min: 0, max: 1 });
+const point = field.array({ item: fraction, minItems: 2, maxItems: 2 });
+const color = field.string({ pattern: /^#[0-9a-f]{6}$/i });
+
+/**
+ * A stroke, shape or text on the whiteboard, positioned in fractions of the board
+ */
+const whiteboardElementShape = field.object({
+    maxBytes: MAX_WHITEBOARD_ELEMENT_BYTES,
+    shape: {
+        id,
+        kind: field.string({ pattern: /^(pen|line|arrow|rect|ellipse|text)$/ }),
+        color,
+        points: field.array({ item: point, minItems: 1, maxItems: MAX_WHITEBOARD_POINTS }),
+        text: field.string({ min: 1, max: MAX_WHITEBOARD_TEXT_LENGTH, optional: true })
+    }
+});
+
+// Text elements are the ones that need their text
+const whiteboardElement = (value) => {
+    const error = whiteboardElementShape(value);
+    if (error) return error;
+    if (value.kind === 'text' && !value.text?.trim()) return '.text is required for text elements';
+    return null;
+};
+
+/**
+ * An RTCSessionDescription whose type matches `type`, e.g. 'offer' or '(offer|answer)'
+ */
+const sessionDescription = (type, { optional = false } = {}) => field.object({
+    maxBytes: MAX_SDP_BYTES,
+    optional,
+    shape: {
+        type: field.string({ pattern: new RegExp(`^${type}$`) }),
+        sdp: field.string({ min: 1 })
+    }
+});
+
+const restSchemas = {
+    createRoom: createValidator({
+        userName,
+        title: field.string({ max: MAX_TITLE_LENGTH, optional: true }),
+        startsAt: field.dateTime({ optional: true, nullable: true }),
+        maxDurationMinutes: field.number({ min: 1, max: MAX_DURATION_MINUTES, integer: true, optional: true, nullable: true }),
+        large: field.boolean({ optional: true })
+    }),
+
+    joinRoom: createValidator({
+        userName,
+        hostToken: secret
+    }),
+
+    roomCodeParams: createValidator({
+        roomCode: field.string({ min: 1, max: MAX_ROOM_CODE_LENGTH })
+    })
+};
+
+const socketSchemas = {
+    'join-room': createValidator({
+        roomCode: field.string({ max: MAX_ROOM_CODE_LENGTH, optional: true }),
+        passcode: secret,
+        sessionToken: secret,
+        resume: field.boolean({ optional: true }),
+        isMuted: field.boolean({ optional: true }),
+        isVideoOff: field.boolean({ optional: true })
+    }),
+
+    'admit-participant': createValidator({ socketId: id }),
+    'deny-participant': createValidator({ socketId: id }),
+    'remove-participant': createValidator({ peerId: id }),
+
+    'update-room-settings': createValidator({
+        locked: field.boolean({ optional: true }),
+        waitingRoom: field.boolean({ optional: true }),
+        passcode: secret
+    }),
+
+    'offer': createValidator({ offer: sessionDescription('offer'), to: id }),
+    'answer': createValidator({ answer: sessionDescription('answer'), to: id }),
+    'ice-candidate': createValidator({
+        candidate: field.object({ maxBytes: MAX_CANDIDATE_BYTES }),
+        to: id
+    }),
+
+    // Media through the SFU in large rooms (see lib/sfu.js)
+    'sfu-join': createValidator({}),
+    'sfu-signal': createValidator({
+        transport: field.string({ pattern: /^(publish|subscribe)$/ }),
+        description: sessionDescription('(offer|answer)', { optional: true }),
+        candidate: field.object({ maxBytes: MAX_CANDIDATE_BYTES, optional: true })
+    }),
+
+    'toggle-audio': createValidator({ isMuted: field.boolean() }),
+    'toggle-video': createValidator({ isVideoOff: field.boolean() }),
+    'video-paused': createValidator({ paused: field.boolean(), to: id }),
+    'request-video-layer': createValidator({
+        layer: field.string({ pattern: /^(high|medium|low)$/ }),
+        to: id
+    }),
+    'toggle-screen-share': createValidator({
+        isScreenSharing: field.boolean(),
+        // MediaStream id the screen is sent under, so peers can tell it from the camera
+        streamId: field.string({ min: 1, max: MAX_ID_LENGTH, optional: true, nullable: true })
+    }),
+    // Annotations on a shared screen, keyed by the screen's stream id
+    'annotation-draw': createValidator({
+        screenId: id,
+        id,
+        tool: field.string({ pattern: /^(pen|arrow)$/ }),
+        color,
+        points: field.array({ item: point, minItems: 1, maxItems: MAX_ANNOTATION_POINTS })
+    }),
+    'annotation-laser': createValidator({ screenId: id, x: fraction, y: fraction }),
+    'annotation-clear': createValidator({ screenId: id }),
+
+    // Whiteboard operations (see lib/whiteboard.js); id is the client's, to
+    // recognize its own operations when the server sends them back
+    'whiteboard-op': createValidator({
+        id,
+        type: field.string({ pattern: /^(add|remove|clear)$/ }),
+        elements: field.array({ item: whiteboardElement, maxItems: MAX_WHITEBOARD_OP_ELEMENTS, optional: true }),
+        elementIds: field.array({ item: id, maxItems: MAX_WHITEBOARD_OP_ELEMENTS, optional: true })
+    }),
+    'whiteboard-sync': createValidator({}),
+
+    'refresh-ice-servers': createValidator({}),
+
+    'recording-started': createValidator({}),
+    'recording-stopped': createValidator({}),
+
+    'chat-message': createValidator({
+        text: field.string({ min: 1, max: MAX_MESSAGE_LENGTH })
+    }),
+
+    'leave-room': createValidator({})
+};
+
+module.exports = {
+    restSchemas,
+    socketSchemas,
+    MAX_MESSAGE_LENGTH,
+    MAX_SCHEDULE_AHEAD_DAYS,
+    MAX_WHITEBOARD_POINTS,
+    MAX_WHITEBOARD_ELEMENT_BYTES
+};
@@ -0,0 +1,451 @@
+/**
+ * Selective Forwarding Unit
+ *
+ * Media server for large rooms, where a full mesh would make every
+ * participant upload their video once per other participant. Here each
+ * participant holds two peer connections with the server instead:
+ *
+ *   publish   - the client offers and sends its camera and microphone once
+ *   subscribe - the server offers and forwards everyone else's media
+ *
+ * Media is forwarded packet by packet without decoding. When a publisher
+ * sends simulcast, every subscriber gets the layer it asked for, falling
+ * back to a smaller one while the publisher has that layer switched off.
+ *
+ * Built on werift, a WebRTC stack written in JavaScript, so it needs no
+ * native build and no external media server. Its state lives in this
+ * process: everyone in a large room has to be connected to the same
+ * server instance.
+ *
+ * Signaling messages, in both directions:
+ *   { transport: 'publish'|'subscribe', description?, candidate?, streams? }
+ * Subscribe offers carry `streams`, the publisher's peer id for every
+ * stream id they forward.
+ *
+ * Environment:
+ *   SFU_ICE_PORT_RANGE - UDP ports for media, e.g. "40000-40999" (default: any)
+ *   SFU_STUN_URLS      - Comma-separated STUN urls the server uses to learn its
+ *                        public address (default: none, host candidates only)
+ */
+
+const {
+    RTCPeerConnection, MediaStream, useOPUS, useVP8,
+    useSdesMid, useSdesRTPStreamId, useRepairedRtpStreamId
+} = require('werift');
+
+// Simulcast layers from largest to smallest, named like the clients' rids
+const LAYERS = ['high', 'medium', 'low'];
+
+// A layer that sent nothing for this long counts as switched off
+const LAYER_IDLE_MS = 1500;
+
+// How often forwarded video is checked against the layers actually arriving
+const LAYER_CHECK_INTERVAL_MS = 1000;
+
+// A subscriber that doesn't answer an offer within this long gets a new one
+const ANSWER_TIMEOUT_MS = 10000;
+
+/**
+ * "40000-40999" as [40000, 40999], or undefined
+ */
+const parsePortRange = (value) => {
+    const match = /^(\d+)-(\d+)$/.exec(value || '');
+    if (!match) return undefined;
+    const range = [Number(match[1]), Number(match[2])];
+    return range[0] < range[1] ? range : undefined;
+};
+
+/**
+ * @param {object} [options]
+ * @param {{urls: string}[]} [options.iceServers] - STUN servers for the server's own candidates
+ * @param {[number, number]} [options.icePortRange] - UDP port range for media
+ * @param {number} [options.answerTimeoutMs] - How long subscribers get to answer an offer
+ */
+const createSfu = ({
+    iceServers = (process.env.SFU_STUN_URLS || '').split(',').map(url => url.trim()).filter(Boolean).map(urls => ({ urls })),
+    icePortRange = parsePortRange(process.env.SFU_ICE_PORT_RANGE),
+    answerTimeoutMs = ANSWER_TIMEOUT_MS
+} = {}) => {
+    // roomCode -> Map of peerId -> participant
+    const rooms = new Map();
+
+    // When each incoming track last delivered a packet
+    const lastPacketAt = new WeakMap();
+
+    // The server only forwards, so publishers have to send what subscribers
+    // can decode: Opus and VP8 work in every browser
+    const createPeerConnection = () => new RTCPeerConnection({
+        iceServers,
+        icePortRange,
+        bundlePolicy: 'max-bundle',
+        codecs: {
+            audio: [useOPUS()],
+            video: [useVP8()]
+        },
+        headerExtensions: {
+            audio: [useSdesMid()],
+            video: [useSdesMid(), useSdesRTPStreamId(), useRepairedRtpStreamId()]
+        }
+    });
+
+    /**
+     * Plain session description that survives socket.io serialization
+     */
+    const toDescription = ({ type, sdp }) => ({ type, sdp });
+
+    /**
+     * Hand the server's ICE candidates of a transport to the client
+     */
+    const trickle = (participant, pc, transport) => {
+        pc.onIceCandidate.subscribe(candidate => {
+            if (candidate) participant.signal({ transport, candidate: candidate.toJSON() });
+        });
+    };
+
+    /**
+     * Ask a publisher for a key frame, so a subscriber that just started
+     * receiving (or switched layers) doesn't wait for the next one
+     */
+    const requestKeyFrame = (media, track) => {
+        if (track?.ssrc) {
+            media.receiver.sendRtcpPLI(track.ssrc).catch(() => {});
+        }
+    };
+
+    /**
+     * The incoming track to forward for a wanted layer: that layer if it is
+     * arriving, otherwise the next smaller one, otherwise any larger one
+     */
+    const pickTrack = (media, wanted, now) => {
+        if (media.tracks.size === 1) return [...media.tracks.values()][0];
+
+        const start = LAYERS.indexOf(wanted);
+        const order = [...LAYERS.slice(start), ...LAYERS.slice(0, start).reverse()];
+        const arriving = order
+            .map(rid => media.tracks.get(rid))
+            .find(track => track && now - (lastPacketAt.get(track) || 0) < LAYER_IDLE_MS);
+        return arriving || media.tracks.get(wanted) || [...media.tracks.values()][0];
+    };
+
+    /**
+     * Point a forward at the track it should carry right now
+     */
+    const updateForward = (forward, now = Date.now()) => {
+        const wanted = forward.subscriber.wantedLayers.get(forward.publisherId) || LAYERS[0];
+        const track = pickTrack(forward.media, wanted, now);
+        if (!track || track === forward.track) return;
+
+        // Only switch to layers that are arriving; replaceTrack waits for a
+        // first packet otherwise
+        if (forward.track && !track.header) return;
+
+        forward.track = track;
+        forward.transceiver.sender.replaceTrack(track)
+            .then(() => requestKeyFrame(forward.media, track))
+            .catch(err => console.error('[SFU] Could not switch forwarded track:', err.message));
+    };
+
+    /**
+     * Send a subscriber a new offer once the current one is answered.
+     * Changes made in the same turn go out together. An offer that fails
+     * or goes unanswered doesn't hold up later ones: a subscriber that
+     * never answers is offered again after a while.
+     */
+    const negotiateSubscriber = (participant) => {
+        participant.needsOffer = true;
+        if (participant.offering) return;
+        participant.offering = true;
+
+        setImmediate(async () => {
+            const pc = participant.subscriber;
+            if (!pc || pc.connectionState === 'closed' || pc.getTransceivers().length === 0) {
+                participant.offering = false;
+                return;
+            }
+
+            let offered = false;
+            try {
+                participant.needsOffer = false;
+                await pc.setLocalDescription(await pc.createOffer());
+                participant.signal({
+                    transport: 'subscribe',
+                    description: toDescription(pc.localDescription),
+                    streams: Object.fromEntries(
+                        [...participant.forwards.values()].map(f => [f.media.streamId, f.publisherId])
+                    )
+                });
+                offered = true;
+
+                participant.answerTimer = setTimeout(() => {
+                    participant.answerTimer = null;
+                    if (participant.subscriber !== pc || !participant.offering) return;
+                    console.warn(`[SFU] ${participant.peerId} did not answer an offer, offering again`);
+                    participant.offering = false;
+                    negotiateSubscriber(participant);
+                }, answerTimeoutMs);
+                participant.answerTimer.unref?.();
+            } catch (err) {
+                console.error('[SFU] Could not offer to subscriber:', err.message);
+            } finally {
+                if (!offered) participant.offering = false;
+            }
+        });
+    };
+
+    /**
+     * Start forwarding one published track to one subscriber. Transceivers
+     * that forwarded someone who left are reused, so the session
+     * description doesn't grow with every join.
+     */
+    const addForward = (subscriber, publisherId, mid, media) => {
+        const pc = subscriber.subscriber;
+        if (!pc) return;
+
+        const stream = new MediaStream({ id: media.streamId });
+        const idle = subscriber.idleTransceivers.find(t => t.kind === media.kind);
+        let transceiver;
+        if (idle) {
+            subscriber.idleTransceivers = subscriber.idleTransceivers.filter(t => t !== idle);
+            transceiver = idle;
+            transceiver.setDirection('sendonly');
+            transceiver.sender.setStreams([stream]);
+        } else {
+            transceiver = pc.addTransceiver(media.kind, { direction: 'sendonly', streams: [stream] });
+            // Subscribers that can't decode ask for a fresh key frame
+            transceiver.sender.onPictureLossIndication.subscribe(() => {
+                const forward = [...subscriber.forwards.values()].find(f => f.transceiver === transceiver);
+                if (forward) requestKeyFrame(forward.media, forward.track);
+            });
+        }
+
+        const forward = { subscriber, publisherId, media, transceiver, track: null };
+        subscriber.forwards.set(`${publisherId}:${mid}`, forward);
+        updateForward(forward);
+        negotiateSubscriber(subscriber);
+    };
+
+    /**
+     * Stop forwarding one published track to one subscriber
+     */
+    const removeForward = (subscriber, key) => {
+        const forward = subscriber.forwards.get(key);
+        if (!forward) return;
+        subscriber.forwards.delete(key);
+
+        forward.transceiver.sender.replaceTrack(null).catch(() => {});
+        forward.transceiver.setDirection('inactive');
+        subscriber.idleTransceivers.push(forward.transceiver);
+        negotiateSubscriber(subscriber);
+    };
+
+    /**
+     * Record a track a publisher started sending and forward it to everyone
+     * else in the room
+     */
+    const publish = (room, publisher, { transceiver, receiver, streams, track }) => {
+        const { mid } = transceiver;
+        const incoming = receiver.tracks.length ? receiver.tracks : [track];
+        const existing = publisher.published.get(mid);
+        if (existing && incoming.every(t => existing.tracks.get(t.rid || '') === t)) return;
+
+        const media = {
+            kind: track.kind,
+            streamId: streams[0]?.id || publisher.peerId,
+            receiver,
+            tracks: new Map(incoming.map(t => [t.rid || '', t]))
+        };
+        publisher.published.set(mid, media);
+
+        for (const t of incoming) {
+            t.onReceiveRtp.subscribe(() => lastPacketAt.set(t, Date.now()));
+        }
+
+        for (const subscriber of room.values()) {
+            if (subscriber === publisher) continue;
+            removeForward(subscriber, `${publisher.peerId}:${mid}`);
+            addForward(subscriber, publisher.peerId, mid, media);
+        }
+    };
+
+    /**
+     * Forget tracks a publisher stopped sending, e.g. after renegotiating
+     */
+    const unpublishStopped = (room, publisher) => {
+        const sending = new Set(publisher.publisher.getTransceivers()
+            .filter(t => ['recvonly', 'sendrecv'].includes(t.offerDirection))
+            .map(t => t.mid));
+
+        for (const mid of [...publisher.published.keys()]) {
+            if (sending.has(mid)) continue;
+            publisher.published.delete(mid);
+            for (const subscriber of room.values()) {
+                removeForward(subscriber, `${publisher.peerId}:${mid}`);
+            }
+        }
+    };
+
+    /**
+     * Close a participant's transports and stop forwarding their media
+     */
+    const closeTransports = (room, participant) => {
+        for (const mid of participant.published.keys()) {
+            for (const subscriber of room.values()) {
+                if (subscriber !== participant) removeForward(subscriber, `${participant.peerId}:${mid}`);
+            }
+        }
+        participant.published.clear();
+        participant.forwards.clear();
+        participant.idleTransceivers = [];
+        clearTimeout(participant.answerTimer);
+        participant.answerTimer = null;
+        participant.offering = false;
+        participant.needsOffer = false;
+
+        participant.publisher?.close().catch(() => {});
+        participant.subscriber?.close().catch(() => {});
+        participant.publisher = null;
+        participant.subscriber = null;
+    };
+
+    // Follow publishers switching simulcast layers on and off
+    const layerCheck = setInterval(() => {
+        const now = Date.now();
+        for (const room of rooms.values()) {
+            for (const participant of room.values()) {
+                for (const forward of participant.forwards.values()) {
+                    if (forward.media.kind === 'video') updateForward(forward, now);
+                }
+            }
+        }
+    }, LAYER_CHECK_INTERVAL_MS);
+    layerCheck.unref();
+
+    return {
+        /**
+         * Whether a room has a media session running on this instance
+         */
+        hasRoom(roomCode) {
+            return rooms.has(roomCode);
+        },
+
+        /**
+         * Start (or restart) a participant's media session: fresh publish
+         * and subscribe transports, with everyone else's media forwarded
+         * right away. Layer wishes survive restarts.
+         * @param {(message: object) => void} signal - Sends a signaling message to the client
+         */
+        join(roomCode, peerId, signal) {
+            let room = rooms.get(roomCode);
+            if (!room) {
+                room = new Map();
+                rooms.set(roomCode, room);
+            }
+
+            let participant = room.get(peerId);
+            if (participant) {
+                closeTransports(room, participant);
+            } else {
+                participant = { peerId, wantedLayers: new Map(), published: new Map(), forwards: new Map(), idleTransceivers: [] };
+                room.set(peerId, participant);
+            }
+            participant.signal = signal;
+
+            participant.publisher = createPeerConnection();
+            trickle(participant, participant.publisher, 'publish');
+            participant.publisher.ontrack = (event) => publish(room, participant, event);
+
+            participant.subscriber = createPeerConnection();
+            trickle(participant, participant.subscriber, 'subscribe');
+            participant.subscriber.connectionStateChange.subscribe(state => {
+                if (state !== 'connected') return;
+                for (const forward of participant.forwards.values()) {
+                    requestKeyFrame(forward.media, forward.track);
+                }
+            });
+
+            for (const other of room.values()) {
+                if (other === participant) continue;
+                for (const [mid, media] of other.published) {
+                    addForward(participant, other.peerId, mid, media);
+                }
+            }
+
+            console.log(`[SFU] ${peerId} joined media in ${roomCode} (${room.size} in room)`);
+        },
+
+        /**
+         * Apply a signaling message from a participant
+         * @param {{transport: string, description?: object, candidate?: object}} message
+         */
+        async handleSignal(roomCode, peerId, { transport, description, candidate }) {
+            const room = rooms.get(roomCode);
+            const participant = room?.get(peerId);
+            const pc = participant && (transport === 'publish' ? participant.publisher : participant.subscriber);
+            if (!pc) return;
+
+            if (candidate) {
+                await pc.addIceCandidate(candidate);
+                return;
+            }
+
+            if (transport === 'publish' && description.type === 'offer') {
+                await pc.setRemoteDescription(description);
+                unpublishStopped(room, participant);
+                await pc.setLocalDescription(await pc.createAnswer());
+                participant.signal({ transport, description: toDescription(pc.localDescription) });
+            } else if (transport === 'subscribe' && description.type === 'answer' && pc.signalingState === 'have-local-offer') {
+                clearTimeout(participant.answerTimer);
+                participant.answerTimer = null;
+                try {
+                    await pc.setRemoteDescription(description);
+                } finally {
+                    // Even a bad answer ends this offer, so changes keep going out
+                    participant.offering = false;
+                    if (participant.needsOffer) negotiateSubscriber(participant);
+                }
+            }
+        },
+
+        /**
+         * Which simulcast layer a subscriber wants of a publisher's video
+         * @param {'high'|'medium'|'low'} layer
+         */
+        setLayer(roomCode, subscriberId, publisherId, layer) {
+            const subscriber = rooms.get(roomCode)?.get(subscriberId);
+            if (!subscriber || !LAYERS.includes(layer)) return;
+
+            subscriber.wantedLayers.set(publisherId, layer);
+            for (const forward of subscriber.forwards.values()) {
+                if (forward.publisherId === publisherId && forward.media.kind === 'video') updateForward(forward);
+            }
+        },
+
+        /**
+         * A participant left the room
+         */
+        leave(roomCode, peerId) {
+            const room = rooms.get(roomCode);
+            const participant = room?.get(peerId);
+            if (!participant) return;
+
+            closeTransports(room, participant);
+            room.delete(peerId);
+            for (const other of room.values()) other.wantedLayers.delete(peerId);
+            if (room.size === 0) rooms.delete(roomCode);
+
+            console.log(`[SFU] ${peerId} left media in ${roomCode}`);
+        },
+
+        /**
+         * Close every transport of a room, e.g. when it ended
+         */
+        closeRoom(roomCode) {
+            const room = rooms.get(roomCode);
+            if (!room) return;
+            for (const participant of room.values()) closeTransports(room, participant);
+            rooms.delete(roomCode);
+        }
+    };
+};
+
+module.exports = { createSfu };
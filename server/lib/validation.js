@@ -0,0 +1,134 @@
+/**
+ * Payload Validation
+ *
+ * Small schema checks for REST bodies and socket.io event payloads, so
+ * handlers only ever see fields of the expected type and size. A schema is
+ * an object of field checks; unknown fields are dropped.
+ *
+ *   const validateJoin = createValidator({ userName: field.string({ max: 50 }) });
+ *   const { value, error } = validateJoin(req.body);
+ */
+
+/**
+ * Whether a value is a plain JSON object (not an array, null or a class instance)
+ */
+const isPlainObject = (value) => (
+    value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+);
+
+/**
+ * Size of a value once serialized, which is what gets relayed to peers
+ */
+const jsonSize = (value) => Buffer.byteLength(JSON.stringify(value) ?? '');
+
+// Date and time with seconds optional and an explicit offset, so the
+// server never has to guess a client's time zone
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Whether an error message belongs to a nested field, e.g. ".type" or "[2]"
+ */
+const isNested = (error) => error.startsWith('.') || error.startsWith('[');
+
+/**
+ * Field checks. Each returns a function that gives an error message for a
+ * bad value, or null. Fields are required unless `optional` is set;
+ * `nullable` also accepts null.
+ */
+const field = {
+    string: ({ min = 0, max, pattern, optional = false, nullable = false } = {}) => (value) => {
+        if (value === undefined) return optional ? null : 'is required';
+        if (value === null) return nullable ? null : 'must not be null';
+        if (typeof value !== 'string') return 'must be a string';
+        if (value.length < min) return min === 1 ? 'must not be empty' : `must be at least ${min} characters`;
+        if (max !== undefined && value.length > max) return `must be at most ${max} characters`;
+        if (pattern && !pattern.test(value)) return 'has an invalid format';
+        return null;
+    },
+
+    boolean: ({ optional = false } = {}) => (value) => {
+        if (value === undefined) return optional ? null : 'is required';
+        return typeof value === 'boolean' ? null : 'must be true or false';
+    },
+
+    number: ({ min, max, integer = false, optional = false, nullable = false } = {}) => (value) => {
+        if (value === undefined) return optional ? null : 'is required';
+        if (value === null) return nullable ? null : 'must not be null';
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+        if (integer && !Number.isInteger(value)) return 'must be a whole number';
+        if (min !== undefined && value < min) return `must be at least ${min}`;
+        if (max !== undefined && value > max) return `must be at most ${max}`;
+        return null;
+    },
+
+    /**
+     * An ISO 8601 date-time string with a time zone, e.g. from Date#toISOString()
+     */
+    dateTime: ({ optional = false, nullable = false } = {}) => (value) => {
+        if (value === undefined) return optional ? null : 'is required';
+        if (value === null) return nullable ? null : 'must not be null';
+        if (typeof value !== 'string' || !ISO_DATE_TIME.test(value) || Number.isNaN(Date.parse(value))) {
+            return 'must be an ISO 8601 date-time';
+        }
+        return null;
+    },
+
+    /**
+     * A JSON object passed through as is, e.g. a session description
+     * @param {{maxBytes: number, shape?: object, optional?: boolean}} options -
+     *   shape checks some of the object's fields, leaving the rest untouched
+     */
+    object: ({ maxBytes, shape = {}, optional = false }) => (value) => {
+        if (value === undefined) return optional ? null : 'is required';
+        if (!isPlainObject(value)) return 'must be an object';
+        if (jsonSize(value) > maxBytes) return `must be at most ${maxBytes} bytes`;
+        for (const [key, check] of Object.entries(shape)) {
+            const error = check(value[key]);
+            if (error) return `.${key} ${error}`;
+        }
+        return null;
+    },
+
+    /**
+     * An array whose items all pass the `item` check
+     * @param {{item: Function, minItems?: number, maxItems?: number, optional?: boolean}} options
+     */
+    array: ({ item, minItems = 0, maxItems, optional = false }) => (value) => {
+        if (value === undefined) return optional ? null : 'is required';
+        if (!Array.isArray(value)) return 'must be an array';
+        if (value.length < minItems) return `must have at least ${minItems} items`;
+        if (maxItems !== undefined && value.length > maxItems) return `must have at most ${maxItems} items`;
+        for (const [index, entry] of value.entries()) {
+            const error = item(entry);
+            if (error) return `[${index}]${isNested(error) ? '' : ' '}${error}`;
+        }
+        return null;
+    }
+};
+
+/**
+ * Build a validator for a schema
+ * @param {Object<string, Function>} schema - Field name to field check
+ * @returns {(payload: any) => {value?: object, error?: string}}
+ */
+const createValidator = (schema) => (payload = {}) => {
+    if (!isPlainObject(payload)) {
+        return { error: 'Payload must be an object' };
+    }
+
+    const value = {};
+    for (const [key, check] of Object.entries(schema)) {
+        const error = check(payload[key]);
+        // Errors of nested fields start with ".field" or "[index]"
+        if (error) return { error: `${key}${isNested(error) ? '' : ' '}${error}` };
+        if (payload[key] !== undefined) value[key] = payload[key];
+    }
+    return { value };
+};
+
+module.exports = {
+    field,
+    createValidator
+};
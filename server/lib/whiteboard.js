@@ -0,0 +1,61 @@
+/**
+ * Whiteboard
+ *
+ * The shared whiteboard of a room, kept as an ordered list of elements
+ * (strokes, shapes and text). Participants change it with operations; the
+ * server numbers every operation it accepts and applies it to the stored
+ * board, so all clients apply the same operations in the same order and
+ * end up with the same board. Late joiners get the board with the number
+ * of the last operation in it.
+ *
+ *   add    { elements }   - Put elements on top, replacing any with the same id
+ *   remove { elementIds } - Take elements off the board
+ *   clear  {}             - Take every element off the board
+ */
+
+// Stored board size at most, so one room can't fill the room store
+const MAX_WHITEBOARD_BYTES = 512 * 1024;
+
+/**
+ * An empty board
+ * @returns {{seq: number, elements: object[]}}
+ */
+const createWhiteboard = () => ({ seq: 0, elements: [] });
+
+/**
+ * Keep only the fields an element is drawn from
+ * @param {{id: string, kind: string, color: string, points: number[][], text?: string}} element
+ */
+const toElement = ({ id, kind, color, points, text }) => (
+    kind === 'text' ? { id, kind, color, points, text } : { id, kind, color, points }
+);
+
+/**
+ * The elements after an operation
+ * @param {object[]} elements - Elements before, bottom to top
+ * @param {{type: string, elements?: object[], elementIds?: string[]}} op
+ * @returns {object[]}
+ */
+const applyOperation = (elements, { type, elements: added = [], elementIds = [] }) => {
+    switch (type) {
+        case 'add': {
+            const ids = new Set(added.map(element => element.id));
+            return [...elements.filter(element => !ids.has(element.id)), ...added];
+        }
+        case 'remove': {
+            const ids = new Set(elementIds);
+            return elements.filter(element => !ids.has(element.id));
+        }
+        case 'clear':
+            return [];
+        default:
+            return elements;
+    }
+};
+
+module.exports = {
+    MAX_WHITEBOARD_BYTES,
+    createWhiteboard,
+    toElement,
+    applyOperation
+};
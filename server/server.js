@@ -4,13 +4,26 @@
  * This server handles the signaling process for WebRTC peer-to-peer connections.
  * It uses Socket.io to exchange offer, answer, and ICE candidates between peers.
  * 
- * No database is used - all room management is done in-memory.
+ * No database is used - rooms live in memory, or in Redis when REDIS_URL is set
+ * so that several instances can share them (see lib/roomStore.js).
  */
 
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getIceServers, isTurnConfigured } = require('./lib/iceServers');
+const { createMemoryRoomStore, createRedisRoomStore } = require('./lib/roomStore');
+const { issueRoomToken, verifyRoomToken, isSecretConfigured } = require('./lib/auth');
+const { loadCorsPolicy, isOriginAllowed, describeCorsPolicy, logCorsViolation } = require('./lib/corsPolicy');
+const { restSchemas, socketSchemas, MAX_SCHEDULE_AHEAD_DAYS } = require('./lib/schemas');
+const { createTokenBucket, createRateLimiter, rateLimitByIp } = require('./lib/rateLimit');
+const { createRoomCodes } = require('./lib/roomCodes');
+const { createRoomInvite } = require('./lib/calendar');
+const { createSfu } = require('./lib/sfu');
+const { MAX_WHITEBOARD_BYTES, createWhiteboard, toElement, applyOperation } = require('./lib/whiteboard');
 
 // Initialize Express app
 const app = express();
@@ -19,123 +32,408 @@ const server = http.createServer(app);
 // Get environment
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const PORT = process.env.PORT || 3001;
+const REDIS_URL = process.env.REDIS_URL;
 
-// Allowed origins for CORS - be explicit
-const allowedOrigins = [
-    'http://localhost:5173',
-    'http://localhost:3000',
-    'http://127.0.0.1:5173',
-    'https://kalov-zh3v.onrender.com',
-    'https://kalov.onrender.com'
-];
+// Where the web app is served; calendar invites link into it
+const APP_URL = (process.env.APP_URL || (NODE_ENV === 'production'
+    ? 'https://kalov-zh3v.onrender.com'
+    : 'http://localhost:5173')).replace(/\/+$/, '');
 
-console.log('[Server] Allowed origins:', allowedOrigins);
+// Which browser origins may call the API and open sockets (see lib/corsPolicy.js)
+const corsPolicy = loadCorsPolicy();
 
-// CORS middleware - apply before routes
-app.use(cors({
-    origin: function (origin, callback) {
-        // Allow requests with no origin (mobile apps, curl, etc)
-        if (!origin) {
-            return callback(null, true);
-        }
+console.log('[Server] CORS policy:', corsPolicy);
+console.log('[Server] TURN relay:', isTurnConfigured() ? 'configured' : 'not configured (STUN only)');
+console.log('[Server] Room tokens:', isSecretConfigured() ? 'signed with JWT_SECRET' : 'signed with a random per-process secret (set JWT_SECRET)');
 
-        // Check if origin is in allowed list or matches onrender.com
-        if (allowedOrigins.includes(origin) || origin.endsWith('.onrender.com')) {
-            callback(null, true);
-        } else {
-            console.log('[CORS] Origin not in whitelist:', origin);
-            // Still allow for now to debug
-            callback(null, true);
-        }
-    },
+// Refuse disallowed origins outright, preflights included, instead of
+// only leaving out the CORS headers
+app.use((req, res, next) => {
+    const { origin } = req.headers;
+    if (isOriginAllowed(corsPolicy, origin)) {
+        next();
+        return;
+    }
+
+    logCorsViolation({ transport: 'http', origin, method: req.method, path: req.path, ip: req.ip });
+    res.status(403).json({ success: false, error: 'Origin not allowed' });
+});
+
+// Only allowed origins get this far, so the request's origin is echoed back
+app.use(cors({
+    origin: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-    credentials: true,
+    credentials: corsPolicy.credentials,
     optionsSuccessStatus: 200
 }));
 
-// Handle preflight requests explicitly
-app.options('*', cors());
-
-// Parse JSON
-app.use(express.json());
+// Parse JSON - request bodies are a few short fields
+app.use(express.json({ limit: '16kb' }));
 
 // Trust proxy for Render
 app.set('trust proxy', 1);
 
-// Configure Socket.io with CORS
+// Configure Socket.io with the same origin policy. allowRequest runs for
+// polling requests and WebSocket upgrades alike.
 const io = new Server(server, {
     cors: {
-        origin: function (origin, callback) {
-            if (!origin) return callback(null, true);
-            if (allowedOrigins.includes(origin) || origin.endsWith('.onrender.com')) {
-                callback(null, true);
-            } else {
-                callback(null, true); // Allow all for now
-            }
-        },
+        origin: true,
         methods: ['GET', 'POST'],
-        credentials: true
+        credentials: corsPolicy.credentials
+    },
+    allowRequest: (req, callback) => {
+        const { origin } = req.headers;
+        if (isOriginAllowed(corsPolicy, origin)) {
+            callback(null, true);
+            return;
+        }
+
+        logCorsViolation({
+            transport: req.headers.upgrade ? 'websocket' : 'polling',
+            origin,
+            path: req.url,
+            ip: req.socket.remoteAddress
+        });
+        callback('Origin not allowed', false);
     },
+    // Session descriptions are the largest messages
+    maxHttpBufferSize: 100 * 1024,
     pingTimeout: 60000,
     pingInterval: 25000,
     transports: ['websocket', 'polling']
 });
 
-// In-memory storage for rooms
-const rooms = new Map();
+/**
+ * Pick where rooms are stored. With Redis, every instance sees the same rooms
+ * and the socket.io adapter relays broadcasts between instances, so
+ * participants of one call may be connected to different servers.
+ */
+const createRoomStore = () => {
+    if (!REDIS_URL) {
+        return createMemoryRoomStore();
+    }
+
+    // Only loaded when scaling out
+    const Redis = require('ioredis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = new Redis(REDIS_URL);
+    const subClient = pubClient.duplicate();
+    const storeClient = pubClient.duplicate();
+    [pubClient, subClient, storeClient].forEach(client => {
+        client.on('error', err => console.error('[Redis]', err.message));
+    });
+
+    io.adapter(createAdapter(pubClient, subClient));
+    return createRedisRoomStore(storeClient);
+};
+
+const rooms = createRoomStore();
+console.log('[Server] Room store:', REDIS_URL ? 'redis' : 'memory');
+
+// Maximum participants per room - every participant holds a peer connection
+// to every other one (full mesh), so this has to stay small
+const MAX_PARTICIPANTS = 4;
+
+// Large rooms send media through the server's SFU (see lib/sfu.js), so each
+// participant uploads once. The SFU keeps its state in this process, so
+// large rooms are only offered while a single instance serves every room.
+const MAX_LARGE_ROOM_PARTICIPANTS = 20;
+const sfu = REDIS_URL ? null : createSfu();
+console.log('[Server] Large rooms (SFU):', sfu ? 'enabled' : 'disabled with REDIS_URL');
+
+// Peer id clients address the SFU by, e.g. in 'video-paused'
+const SFU_PEER_ID = 'sfu';
+
+// How long a participant whose connection dropped keeps their place
+const RECONNECT_GRACE_MS = 30 * 1000;
+
+// Pending removals of disconnected participants, keyed by peer id
+const reconnectTimers = new Map();
+
+// Chat history is replayed to late joiners in 'room-joined'
+const MAX_CHAT_HISTORY = 100;
+
+// Rooms nobody is in are deleted after this long. Scheduled rooms only
+// start counting once their start time has passed.
+const STALE_ROOM_MS = 30 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// A scheduled start may lie a little in the past, for clocks that are off
+const SCHEDULE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Rate limits as token buckets (see lib/rateLimit.js)
+const API_RATE_LIMIT = { capacity: 60, refillPerSecond: 5 };            // per IP
+const ROOM_CREATE_RATE_LIMIT = { capacity: 5, refillPerSecond: 1 / 12 }; // per IP, 5 a minute
+const CONNECTION_RATE_LIMIT = { capacity: 20, refillPerSecond: 1 };     // per IP
+const SOCKET_EVENT_RATE_LIMIT = { capacity: 200, refillPerSecond: 20 }; // per socket; ICE comes in bursts
+const CHAT_RATE_LIMIT = { capacity: 5, refillPerSecond: 1 };            // per socket
+
+/**
+ * Hash a secret (host token or passcode) or a client address so rooms never
+ * hold it in plain text
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+/**
+ * Constant-time check of a client-supplied secret against a stored hash
+ */
+const secretMatches = (secret, hash) => {
+    if (!hash || typeof secret !== 'string' || !secret) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashSecret(secret), 'hex'), Buffer.from(hash, 'hex'));
+};
 
 /**
- * Generate a unique room code
- * Format: XXXX-XXXX (8 characters with hyphen)
+ * Create the state for a new room. It has to survive a JSON round trip for
+ * the Redis store, so times are epoch milliseconds.
+ * @param {string} hostToken - Token that identifies the room's host
+ * @param {{title?: string, startsAt?: number|null, maxDurationMinutes?: number|null, large?: boolean}} [options]
  */
-const generateRoomCode = () => {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let code = '';
-    for (let i = 0; i < 8; i++) {
-        if (i === 4) code += '-';
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+const createRoomState = (hostToken, { title = null, startsAt = null, maxDurationMinutes = null, large = false } = {}) => ({
+    title,
+    startsAt,
+    maxDurationMinutes,
+    large,
+    participants: [],
+    messages: [],
+    whiteboard: createWhiteboard(),
+    // Participants the host removed: { tokenId, addressHash }. A fresh
+    // token from the join API has a new id, so the address is kept too.
+    removed: [],
+    waitingList: [],
+    hostTokenHash: hashSecret(hostToken),
+    passcodeHash: null,
+    settings: {
+        locked: false,
+        waitingRoom: true
+    },
+    createdAt: Date.now(),
+    emptySince: Date.now()
+});
+
+/**
+ * How many participants fit in a room
+ */
+const getParticipantLimit = (room) => (room.large ? MAX_LARGE_ROOM_PARTICIPANTS : MAX_PARTICIPANTS);
+
+/**
+ * How a room's media travels: 'mesh' (peer to peer) or 'sfu' (through the server)
+ */
+const getMediaMode = (room) => (room.large ? 'sfu' : 'mesh');
+
+/**
+ * Participant fields that are safe to share with other participants
+ */
+const toPublicParticipant = ({ peerId, userName, isHost, isMuted, isVideoOff, isRecording, screenStreamId, socketId }) => ({
+    peerId,
+    userName,
+    isHost,
+    isMuted,
+    isVideoOff,
+    isRecording: !!isRecording,
+    screenStreamId: screenStreamId || null,
+    isReconnecting: !socketId
+});
+
+/**
+ * Room settings that are safe to share with every participant
+ */
+const getPublicSettings = (room) => ({
+    ...room.settings,
+    hasPasscode: Boolean(room.passcodeHash)
+});
+
+/**
+ * When a room ends on its own, or null if it runs until everyone leaves.
+ * Durations count from the scheduled start, or from creation.
+ */
+const getRoomEndsAt = (room) => (
+    room.maxDurationMinutes
+        ? (room.startsAt ?? room.createdAt) + room.maxDurationMinutes * 60 * 1000
+        : null
+);
+
+/**
+ * Title and times of a room, as shown to clients
+ */
+const getPublicSchedule = (room) => {
+    const endsAt = getRoomEndsAt(room);
+    return {
+        title: room.title,
+        startsAt: room.startsAt && new Date(room.startsAt).toISOString(),
+        endsAt: endsAt && new Date(endsAt).toISOString()
+    };
+};
+
+// Room code format comes from ROOM_CODE_* settings (see lib/roomCodes.js)
+const roomCodes = createRoomCodes();
+console.log('[Server] Room codes:', roomCodes.describe());
+
+// A fresh code colliding this often means the code space is nearly used up
+const MAX_ROOM_CODE_ATTEMPTS = 10;
+
+const roomFullMessage = (room) => `Room is full. Maximum ${getParticipantLimit(room)} participants allowed.`;
+const ROOM_NOT_FOUND_MESSAGE = 'This room does not exist or has already ended.';
+
+/**
+ * Display name from a request body, signed into the participant's room token
+ */
+const cleanUserName = (userName) => (
+    typeof userName === 'string' && userName.trim() ? userName.trim() : 'Anonymous'
+);
+
+/**
+ * Let Express handle errors of async route handlers
+ */
+const asyncRoute = (handler) => (req, res, next) => handler(req, res).catch(next);
+
+/**
+ * Reject a request whose body or params don't match a schema with a 400,
+ * and hand the route only the fields the schema knows
+ * @param {Function} validator - From lib/schemas.js
+ * @param {'body'|'params'} source - Part of the request to check
+ */
+const validateRequest = (validator, source = 'body') => (req, res, next) => {
+    const { value, error } = validator(req[source]);
+    if (error) {
+        res.status(400).json({ success: false, error });
+        return;
     }
-    return code;
+    req[source] = value;
+    next();
 };
 
+app.use('/api', rateLimitByIp(API_RATE_LIMIT));
+
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', asyncRoute(async (req, res) => {
     res.json({
         status: 'ok',
-        rooms: rooms.size,
+        rooms: (await rooms.listRoomCodes()).length,
         uptime: process.uptime(),
         timestamp: new Date().toISOString()
     });
-});
+}));
+
+// Create a new room. The creator gets the host token, which keeps working for
+// later joins, and a room token to connect with right away.
+// A scheduled start time and a maximum duration are optional.
+app.post('/api/rooms/create', rateLimitByIp(ROOM_CREATE_RATE_LIMIT), validateRequest(restSchemas.createRoom), asyncRoute(async (req, res) => {
+    const { title, startsAt, maxDurationMinutes, large } = req.body;
+    const scheduledStart = startsAt ? Date.parse(startsAt) : null;
 
-// Create a new room
-app.post('/api/rooms/create', (req, res) => {
-    const roomCode = generateRoomCode();
-    rooms.set(roomCode, {
-        participants: [],
-        createdAt: new Date()
+    if (large && !sfu) {
+        res.status(400).json({ success: false, error: 'Large rooms are not available on this server' });
+        return;
+    }
+
+    if (scheduledStart !== null) {
+        const now = Date.now();
+        if (scheduledStart < now - SCHEDULE_CLOCK_SKEW_MS) {
+            res.status(400).json({ success: false, error: 'startsAt must not be in the past' });
+            return;
+        }
+        if (scheduledStart > now + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+            res.status(400).json({ success: false, error: `startsAt must be within ${MAX_SCHEDULE_AHEAD_DAYS} days` });
+            return;
+        }
+    }
+
+    const hostToken = crypto.randomBytes(32).toString('base64url');
+    const roomState = createRoomState(hostToken, {
+        title: title?.trim() || null,
+        startsAt: scheduledStart,
+        maxDurationMinutes: maxDurationMinutes ?? null,
+        large: Boolean(large)
     });
 
-    console.log(`[Room Created] Code: ${roomCode}`);
-    res.json({ success: true, roomCode });
-});
+    // createRoom refuses codes that are taken, on any instance
+    let roomCode = null;
+    for (let attempt = 0; attempt < MAX_ROOM_CODE_ATTEMPTS && !roomCode; attempt++) {
+        const candidate = roomCodes.generate();
+        if (await rooms.createRoom(candidate, roomState)) {
+            roomCode = candidate;
+        }
+    }
 
-// Check if a room exists
-app.get('/api/rooms/:roomCode', (req, res) => {
-    const { roomCode } = req.params;
-    const room = rooms.get(roomCode.toUpperCase());
+    if (!roomCode) {
+        console.error(`[Room Create] No free room code after ${MAX_ROOM_CODE_ATTEMPTS} attempts`);
+        res.status(503).json({ success: false, error: 'Could not create a room. Please try again.' });
+        return;
+    }
+
+    const token = issueRoomToken({ roomCode, userName: cleanUserName(req.body.userName), isHost: true });
+
+    console.log(`[Room Created] Code: ${roomCode}${large ? ' (large)' : ''}${scheduledStart ? ` (starts ${startsAt})` : ''}`);
+    res.json({ success: true, roomCode, hostToken, token, large: roomState.large, ...getPublicSchedule(roomState) });
+}));
+
+// Get a room token for joining a room; a matching host token makes it a host's
+app.post('/api/rooms/:roomCode/join', validateRequest(restSchemas.roomCodeParams, 'params'), validateRequest(restSchemas.joinRoom), asyncRoute(async (req, res) => {
+    const roomCode = roomCodes.normalize(req.params.roomCode);
+    const room = await rooms.getRoom(roomCode);
+
+    if (!room) {
+        res.status(404).json({ success: false, error: ROOM_NOT_FOUND_MESSAGE });
+        return;
+    }
+
+    const { userName, hostToken } = req.body;
+    const token = issueRoomToken({
+        roomCode,
+        userName: cleanUserName(userName),
+        isHost: secretMatches(hostToken, room.hostTokenHash)
+    });
+
+    res.json({ success: true, roomCode, token });
+}));
+
+// Check if a room exists. Pasted codes may come with spaces, missing dashes
+// or in lowercase; the response carries the canonical code.
+app.get('/api/rooms/:roomCode', validateRequest(restSchemas.roomCodeParams, 'params'), asyncRoute(async (req, res) => {
+    const roomCode = roomCodes.normalize(req.params.roomCode);
+    const room = await rooms.getRoom(roomCode);
 
     if (room) {
         res.json({
             exists: true,
+            roomCode,
             participantCount: room.participants.length,
-            isFull: room.participants.length >= 4
+            isFull: room.participants.length >= getParticipantLimit(room),
+            large: Boolean(room.large),
+            isLocked: room.settings.locked,
+            requiresPasscode: Boolean(room.passcodeHash),
+            ...getPublicSchedule(room)
         });
     } else {
         res.json({ exists: false });
     }
-});
+}));
+
+// Calendar invite with the room's join link. Unscheduled rooms get an
+// event starting at creation.
+app.get('/api/rooms/:roomCode/invite.ics', validateRequest(restSchemas.roomCodeParams, 'params'), asyncRoute(async (req, res) => {
+    const roomCode = roomCodes.normalize(req.params.roomCode);
+    const room = await rooms.getRoom(roomCode);
+
+    if (!room) {
+        res.status(404).json({ success: false, error: ROOM_NOT_FOUND_MESSAGE });
+        return;
+    }
+
+    const invite = createRoomInvite({
+        roomCode,
+        joinUrl: `${APP_URL}/call/${encodeURIComponent(roomCode)}`,
+        title: room.title,
+        startsAt: room.startsAt ?? room.createdAt,
+        maxDurationMinutes: room.maxDurationMinutes
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="meetflow-${roomCode}.ics"`);
+    res.send(invite);
+}));
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -143,177 +441,937 @@ app.get('/', (req, res) => {
         name: 'MeetFlow Signaling Server',
         version: '1.0.0',
         status: 'running',
-        cors: 'enabled',
+        cors: describeCorsPolicy(corsPolicy),
         endpoints: {
             health: '/api/health',
             createRoom: 'POST /api/rooms/create',
-            checkRoom: 'GET /api/rooms/:roomCode'
+            checkRoom: 'GET /api/rooms/:roomCode',
+            joinRoom: 'POST /api/rooms/:roomCode/join',
+            roomInvite: 'GET /api/rooms/:roomCode/invite.ics'
         }
     });
 });
 
+// Errors from body parsing and routes, as JSON like every other response.
+// Express recognizes error handlers by their four parameters.
+app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        console.error(`[Error] ${req.method} ${req.path}:`, err);
+    }
+    res.status(status).json({
+        success: false,
+        error: status >= 500
+            ? 'Internal server error'
+            : err.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : err.message
+    });
+});
+
+/**
+ * Client address of a socket, matching Express's req.ip with 'trust proxy' 1:
+ * the last hop the proxy in front of us appended
+ */
+const getSocketIp = (socket) => {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',').pop().trim() : socket.handshake.address;
+};
+
+/**
+ * Connection error the client can tell apart through err.data.code
+ */
+const connectionError = (message, code) => Object.assign(new Error(message), { data: { code } });
+
+const connectionLimiter = createRateLimiter(CONNECTION_RATE_LIMIT);
+
+io.use((socket, next) => {
+    if (connectionLimiter.take(getSocketIp(socket))) {
+        next();
+    } else {
+        next(connectionError('Too many connection attempts. Please try again shortly.', 'rate-limited'));
+    }
+});
+
+/**
+ * Every socket connects with a room token from the REST API. Its claims fix
+ * the room, name and host role the socket acts with.
+ */
+io.use((socket, next) => {
+    try {
+        socket.claims = verifyRoomToken(socket.handshake.auth?.token);
+        next();
+    } catch (err) {
+        console.log(`[Auth] Rejected socket ${socket.id}: ${err.message}`);
+        next(connectionError('Invalid or expired room token', 'invalid-token'));
+    }
+});
+
 /**
  * Socket.io Connection Handler
  */
 io.on('connection', (socket) => {
     console.log(`[Connected] Socket ID: ${socket.id}`);
 
-    socket.on('join-room', ({ roomCode, userName }) => {
-        const normalizedCode = roomCode.toUpperCase();
+    const eventBucket = createTokenBucket(SOCKET_EVENT_RATE_LIMIT);
+    const chatBucket = createTokenBucket(CHAT_RATE_LIMIT);
 
-        if (!rooms.has(normalizedCode)) {
-            rooms.set(normalizedCode, {
-                participants: [],
-                createdAt: new Date()
-            });
-        }
+    /**
+     * Tell the client one of its events was refused
+     * @param {'rate-limited'|'invalid-payload'} code
+     */
+    const rejectEvent = (event, code, message) => {
+        socket.emit('request-error', { event, code, message });
+    };
 
-        const room = rooms.get(normalizedCode);
+    // Every client event is rate limited and checked against its schema
+    // before the handler runs, so bad events never touch room state.
+    // Handlers wait on the room store; their failures are logged instead of
+    // left as unhandled rejections.
+    const on = (event, handler) => {
+        const validate = socketSchemas[event];
+        socket.on(event, async (payload) => {
+            if (!eventBucket.take()) {
+                rejectEvent(event, 'rate-limited', 'Too many requests. Please slow down.');
+                return;
+            }
 
-        if (room.participants.length >= 4) {
-            socket.emit('room-full', { message: 'Room is full. Maximum 4 participants allowed.' });
-            return;
+            const { value, error } = validate(payload);
+            if (error) {
+                console.log(`[Invalid] '${event}' from ${socket.id}: ${error}`);
+                rejectEvent(event, 'invalid-payload', error);
+                return;
+            }
+
+            try {
+                await handler(value);
+            } catch (err) {
+                console.error(`[Error] '${event}' from ${socket.id}:`, err);
+            }
+        });
+    };
+
+    on('join-room', async ({ roomCode, passcode, sessionToken, resume, isMuted, isVideoOff }) => {
+        // A socket joins once. Asking again while admitted, waiting or still
+        // joining would queue it again and end up as a second participant.
+        if (socket.peerId || socket.waitingRoomCode || socket.joining) return;
+        socket.joining = true;
+        try {
+            await joinRoom(socket, { roomCode, passcode, sessionToken, resume, isMuted, isVideoOff });
+        } finally {
+            socket.joining = false;
         }
+    });
 
-        socket.join(normalizedCode);
-        room.participants.push({
-            socketId: socket.id,
-            userName: userName || 'Anonymous'
+    on('admit-participant', async ({ socketId }) => {
+        const roomCode = socket.roomCode;
+        if (!await getHostedRoom(socket)) return;
+
+        const outcome = await rooms.updateRoom(roomCode, room => {
+            const entry = room.waitingList.find(p => p.socketId === socketId);
+            room.waitingList = room.waitingList.filter(p => p.socketId !== socketId);
+            return entry || null;
         });
+        const entry = outcome?.result;
+        if (!entry) return;
 
-        socket.roomCode = normalizedCode;
-        socket.userName = userName;
+        runOnSocket(socketId, 'admit', roomCode, entry.userName);
+        notifyHosts(outcome.room);
+    });
 
-        console.log(`[Joined Room] ${userName} joined ${normalizedCode}. Participants: ${room.participants.length}`);
+    on('deny-participant', async ({ socketId }) => {
+        const roomCode = socket.roomCode;
+        if (!await getHostedRoom(socket)) return;
 
-        socket.emit('room-joined', {
-            roomCode: normalizedCode,
-            participantCount: room.participants.length,
-            isInitiator: room.participants.length === 1
+        const outcome = await rooms.updateRoom(roomCode, room => {
+            const waiting = room.waitingList.some(p => p.socketId === socketId);
+            room.waitingList = room.waitingList.filter(p => p.socketId !== socketId);
+            return waiting;
         });
+        if (!outcome?.result) return;
 
-        if (room.participants.length === 2) {
-            const otherParticipant = room.participants.find(p => p.socketId !== socket.id);
+        runOnSocket(socketId, 'deny');
+        notifyHosts(outcome.room);
+    });
 
-            socket.to(normalizedCode).emit('user-joined', {
-                socketId: socket.id,
-                userName: userName
-            });
+    on('remove-participant', async ({ peerId }) => {
+        const roomCode = socket.roomCode;
+        if (peerId === socket.peerId || !await getHostedRoom(socket)) return;
 
-            socket.emit('existing-user', {
-                socketId: otherParticipant.socketId,
-                userName: otherParticipant.userName
-            });
+        // Someone removed while reconnecting does not get their place back either
+        const participant = await removeParticipant(roomCode, peerId, { byHost: true });
+        if (!participant) return;
+
+        console.log(`[Removed] ${participant.userName} removed from ${roomCode} by host`);
+
+        if (participant.socketId) {
+            runOnSocket(participant.socketId, 'evict', roomCode, peerId, 'The host removed you from this room.');
         }
     });
 
-    socket.on('offer', ({ offer, to }) => {
-        console.log(`[Offer] From ${socket.id} to ${to}`);
-        socket.to(to).emit('offer', {
-            offer,
-            from: socket.id,
-            userName: socket.userName
+    on('update-room-settings', async ({ locked, waitingRoom, passcode }) => {
+        const roomCode = socket.roomCode;
+        if (!await getHostedRoom(socket)) return;
+
+        const outcome = await rooms.updateRoom(roomCode, room => {
+            if (typeof locked === 'boolean') {
+                room.settings.locked = locked;
+            }
+
+            if (typeof waitingRoom === 'boolean') {
+                room.settings.waitingRoom = waitingRoom;
+            }
+
+            // A string sets the passcode, an empty string or null clears it
+            if (typeof passcode === 'string' && passcode.trim()) {
+                room.passcodeHash = hashSecret(passcode.trim());
+            } else if (passcode === null || passcode === '') {
+                room.passcodeHash = null;
+            }
+
+            // Turning the waiting room off lets everyone waiting straight in
+            if (room.settings.waitingRoom) return [];
+            const waiting = room.waitingList;
+            room.waitingList = [];
+            return waiting;
         });
+        if (!outcome) return;
+
+        const { room, result: admitted } = outcome;
+        console.log(`[Room Settings] ${roomCode}:`, getPublicSettings(room));
+        io.to(roomCode).emit('room-settings', getPublicSettings(room));
+
+        if (admitted.length > 0) {
+            admitted.forEach(entry => runOnSocket(entry.socketId, 'admit', roomCode, entry.userName));
+            notifyHosts(room);
+        }
     });
 
-    socket.on('answer', ({ answer, to }) => {
-        console.log(`[Answer] From ${socket.id} to ${to}`);
-        socket.to(to).emit('answer', {
-            answer,
-            from: socket.id
-        });
+    /**
+     * Forward a signaling message to another participant of the sender's room.
+     * Signaling is addressed by peer id: every admitted socket joins a
+     * socket.io room named after its peer id, which survives reconnects.
+     */
+    const relay = async (event, to, data) => {
+        const { roomCode, peerId } = socket;
+        if (!peerId) return;
+
+        const room = await rooms.getRoom(roomCode);
+        if (!room?.participants.some(p => p.peerId === to && to !== peerId)) {
+            console.log(`[Auth] Dropped ${event} from ${peerId} to ${to}: not in room ${roomCode}`);
+            return;
+        }
+
+        socket.to(to).emit(event, { ...data, from: peerId });
+    };
+
+    on('offer', async ({ offer, to }) => {
+        console.log(`[Offer] From ${socket.peerId} to ${to}`);
+        await relay('offer', to, { offer, userName: socket.userName });
     });
 
-    socket.on('ice-candidate', ({ candidate, to }) => {
-        socket.to(to).emit('ice-candidate', {
-            candidate,
-            from: socket.id
-        });
+    on('answer', async ({ answer, to }) => {
+        console.log(`[Answer] From ${socket.peerId} to ${to}`);
+        await relay('answer', to, { answer });
+    });
+
+    on('ice-candidate', async ({ candidate, to }) => {
+        await relay('ice-candidate', to, { candidate });
+    });
+
+    // Large rooms: the client (re)starts its media session with the SFU,
+    // then negotiates its publish and subscribe transports through it. The
+    // publish offer waits for 'sfu-joined' so it can't overtake the join.
+    on('sfu-join', async () => {
+        const { roomCode, peerId } = socket;
+        if (!peerId || !sfu) return;
+        const room = await rooms.getRoom(roomCode);
+        if (!room?.large) return;
+
+        sfu.join(roomCode, peerId, message => io.to(peerId).emit('sfu-signal', message));
+        socket.emit('sfu-joined');
+    });
+
+    on('sfu-signal', async ({ transport, description, candidate }) => {
+        const { roomCode, peerId } = socket;
+        if (!peerId || !sfu || (!description && !candidate)) return;
+        await sfu.handleSignal(roomCode, peerId, { transport, description, candidate });
+    });
+
+    // A sender stopped or resumed video to one peer over a weak connection.
+    // Through the SFU the video stops for everyone at once.
+    on('video-paused', async ({ paused, to }) => {
+        if (to === SFU_PEER_ID && sfu?.hasRoom(socket.roomCode)) {
+            socket.to(socket.roomCode).emit('video-paused', { paused, from: socket.peerId });
+            return;
+        }
+        await relay('video-paused', to, { paused });
+    });
+
+    // Receivers ask for the simulcast layer that fits how large they show us;
+    // the SFU picks the layer itself instead of passing the wish on
+    on('request-video-layer', async ({ layer, to }) => {
+        if (sfu?.hasRoom(socket.roomCode)) {
+            sfu.setLayer(socket.roomCode, socket.peerId, to, layer);
+            return;
+        }
+        await relay('request-video-layer', to, { layer });
     });
 
-    socket.on('toggle-audio', ({ isMuted }) => {
+    // Toggles in the waiting room are remembered for when the host admits us
+    on('toggle-audio', async ({ isMuted }) => {
+        socket.mediaState = { ...socket.mediaState, isMuted: !!isMuted };
         if (socket.roomCode) {
             socket.to(socket.roomCode).emit('peer-audio-toggle', {
-                socketId: socket.id,
+                peerId: socket.peerId,
                 isMuted
             });
+            await updateParticipant(socket, { isMuted });
         }
     });
 
-    socket.on('toggle-video', ({ isVideoOff }) => {
+    on('toggle-video', async ({ isVideoOff }) => {
+        socket.mediaState = { ...socket.mediaState, isVideoOff: !!isVideoOff };
         if (socket.roomCode) {
             socket.to(socket.roomCode).emit('peer-video-toggle', {
-                socketId: socket.id,
+                peerId: socket.peerId,
                 isVideoOff
             });
+            await updateParticipant(socket, { isVideoOff });
         }
     });
 
-    socket.on('toggle-screen-share', ({ isScreenSharing }) => {
-        if (socket.roomCode) {
-            socket.to(socket.roomCode).emit('peer-screen-share', {
-                socketId: socket.id,
-                isScreenSharing
-            });
+    // Recording happens in the recorder's browser; the server only lets
+    // everyone else know so they can show an indicator
+    on('recording-started', async () => {
+        if (!socket.roomCode) return;
+        console.log(`[Recording] ${socket.userName} started recording ${socket.roomCode}`);
+        socket.to(socket.roomCode).emit('recording-started', {
+            peerId: socket.peerId,
+            userName: socket.userName
+        });
+        await updateParticipant(socket, { isRecording: true });
+    });
+
+    on('recording-stopped', async () => {
+        if (!socket.roomCode) return;
+        console.log(`[Recording] ${socket.userName} stopped recording ${socket.roomCode}`);
+        socket.to(socket.roomCode).emit('recording-stopped', {
+            peerId: socket.peerId,
+            userName: socket.userName
+        });
+        await updateParticipant(socket, { isRecording: false });
+    });
+
+    // The screen goes out as a stream of its own next to the camera; its id
+    // lets peers (and late joiners) tell the two apart
+    on('toggle-screen-share', async ({ isScreenSharing, streamId }) => {
+        if (!socket.roomCode) return;
+        const screenStreamId = isScreenSharing ? streamId || null : null;
+        socket.to(socket.roomCode).emit('peer-screen-share', {
+            peerId: socket.peerId,
+            isScreenSharing,
+            streamId: screenStreamId
+        });
+        await updateParticipant(socket, { screenStreamId });
+    });
+
+    // Annotations on a shared screen are drawn in every browser; the server
+    // only passes them on. Nothing is stored, so they last as long as the
+    // screen share does for whoever is in the call.
+    on('annotation-draw', async (shape) => {
+        if (!socket.roomCode) return;
+        socket.to(socket.roomCode).emit('annotation-draw', { ...shape, from: socket.peerId });
+    });
+
+    on('annotation-laser', async ({ screenId, x, y }) => {
+        if (!socket.roomCode) return;
+        socket.to(socket.roomCode).emit('annotation-laser', {
+            screenId, x, y, from: socket.peerId, userName: socket.userName
+        });
+    });
+
+    on('annotation-clear', async ({ screenId }) => {
+        if (!socket.roomCode) return;
+        socket.to(socket.roomCode).emit('annotation-clear', { screenId, from: socket.peerId });
+    });
+
+    // TURN credentials expire, so participants ask for new ones in time
+    on('refresh-ice-servers', async () => {
+        if (!socket.peerId) return;
+        socket.emit('ice-servers', getIceServers(socket.peerId));
+    });
+
+    // Whiteboard operations are numbered in the order the room store
+    // applies them, and sent to the whole room, sender included, so every
+    // client applies the same operations in the same order
+    on('whiteboard-op', async ({ id, type, elements, elementIds }) => {
+        const roomCode = socket.roomCode;
+        if (!roomCode) return;
+
+        const operation = { id, type, from: socket.peerId };
+        if (type === 'add') operation.elements = (elements || []).map(toElement);
+        if (type === 'remove') operation.elementIds = elementIds || [];
+
+        const outcome = await rooms.updateRoom(roomCode, room => {
+            const board = room.whiteboard;
+            const next = applyOperation(board.elements, operation);
+            if (Buffer.byteLength(JSON.stringify(next)) > MAX_WHITEBOARD_BYTES) return null;
+
+            board.elements = next;
+            board.seq += 1;
+            return board.seq;
+        });
+        if (!outcome) return;
+
+        if (outcome.result === null) {
+            rejectEvent('whiteboard-op', 'whiteboard-full', 'The whiteboard is full. Erase something first.');
+            return;
         }
+
+        io.to(roomCode).emit('whiteboard-op', { ...operation, seq: outcome.result });
     });
 
-    socket.on('chat-message', ({ text }) => {
-        if (socket.roomCode) {
-            socket.to(socket.roomCode).emit('chat-message', {
-                text,
-                userName: socket.userName,
-                time: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-            });
+    // A client that missed operations asks for the whole board again
+    on('whiteboard-sync', async () => {
+        if (!socket.roomCode) return;
+        const room = await rooms.getRoom(socket.roomCode);
+        if (room) socket.emit('whiteboard-state', room.whiteboard);
+    });
+
+    on('chat-message', async ({ text }) => {
+        const roomCode = socket.roomCode;
+        if (!roomCode || !text.trim()) return;
+
+        if (!chatBucket.take()) {
+            rejectEvent('chat-message', 'rate-limited', 'You are sending messages too fast.');
+            return;
         }
+
+        const message = {
+            id: uuidv4(),
+            text: text.trim(),
+            senderId: socket.peerId,
+            userName: socket.userName || 'Anonymous',
+            timestamp: new Date().toISOString()
+        };
+
+        // Keep a bounded backlog for participants who join later
+        const outcome = await rooms.updateRoom(roomCode, room => {
+            room.messages.push(message);
+            if (room.messages.length > MAX_CHAT_HISTORY) {
+                room.messages.splice(0, room.messages.length - MAX_CHAT_HISTORY);
+            }
+        });
+        if (!outcome) return;
+
+        // Sent to the whole room, sender included, so everyone shows the server id and time
+        io.to(roomCode).emit('chat-message', message);
     });
 
-    socket.on('leave-room', () => {
-        handleDisconnect(socket);
+    on('leave-room', async () => {
+        await handleDisconnect(socket);
     });
 
-    socket.on('disconnect', () => {
-        console.log(`[Disconnected] Socket ID: ${socket.id}`);
-        handleDisconnect(socket);
+    socket.on('disconnect', (reason) => {
+        console.log(`[Disconnected] Socket ID: ${socket.id} (${reason})`);
+
+        // A dropped connection gets a grace period to come back;
+        // the client disconnecting on purpose leaves right away
+        const leaving = socket.roomCode && reason !== 'client namespace disconnect'
+            ? holdForReconnect(socket)
+            : handleDisconnect(socket);
+        leaving.catch(err => console.error(`[Error] 'disconnect' of ${socket.id}:`, err));
     });
 });
 
-function handleDisconnect(socket) {
-    if (socket.roomCode) {
-        const room = rooms.get(socket.roomCode);
+/**
+ * Things one socket's request does to another socket. With Redis the target
+ * may be connected to another instance, so these go through runOnSocket.
+ */
+const socketActions = {
+    // Let a socket out of the waiting room
+    admit(target, roomCode, userName) {
+        target.waitingRoomCode = null;
+        return admitToRoom(target, roomCode, userName, false);
+    },
+
+    // Turn a socket away from the waiting room
+    deny(target) {
+        target.waitingRoomCode = null;
+        target.emit('entry-denied', { message: 'The host did not let you into this room.' });
+    },
+
+    // Take a participant's seat away from a socket that still holds it
+    evict(target, roomCode, peerId, message) {
+        if (target.peerId !== peerId) return;
+        target.leave(roomCode);
+        target.leave(peerId);
+        target.roomCode = null;
+        target.peerId = null;
+        target.emit('removed-from-room', { message });
+    },
+
+    // Send a participant or waiting socket away from a room that has ended
+    end(target, roomCode, message) {
+        if (target.roomCode !== roomCode && target.waitingRoomCode !== roomCode) return;
+        if (target.peerId) target.leave(target.peerId);
+        target.leave(roomCode);
+        target.roomCode = null;
+        target.peerId = null;
+        target.waitingRoomCode = null;
+        target.emit('room-ended', { message });
+    }
+};
+
+/**
+ * Run a socket action on whichever instance the socket is connected to
+ */
+function runOnSocket(socketId, action, ...args) {
+    const target = io.sockets.sockets.get(socketId);
+    if (target) {
+        Promise.resolve(socketActions[action](target, ...args))
+            .catch(err => console.error(`[Error] Socket action '${action}':`, err));
+    } else if (REDIS_URL) {
+        io.serverSideEmit('socket-action', { socketId, action, args });
+    }
+}
+
+io.on('socket-action', ({ socketId, action, args }) => {
+    if (io.sockets.sockets.has(socketId) && Object.hasOwn(socketActions, action)) {
+        runOnSocket(socketId, action, ...args);
+    }
+});
+
+/**
+ * Let a socket into a room: back into its old place, into the waiting
+ * list, or straight in
+ */
+async function joinRoom(socket, { roomCode, passcode, sessionToken, resume, isMuted, isVideoOff }) {
+    // The room, name and host role come from the token, not the payload
+    const { roomCode: normalizedCode, userName, isHost, tokenId } = socket.claims;
+
+    // Mic/camera state the client joins with, so peers see it from the start
+    socket.mediaState = { isMuted: !!isMuted, isVideoOff: !!isVideoOff };
+
+    if (roomCode && roomCodes.normalize(roomCode) !== normalizedCode) {
+        socket.emit('room-not-found', { message: 'Your access token is for a different room.' });
+        return;
+    }
+
+    const room = await rooms.getRoom(normalizedCode);
 
-        if (room) {
-            room.participants = room.participants.filter(p => p.socketId !== socket.id);
+    // Rooms only come into existence through POST /api/rooms/create
+    if (!room) {
+        socket.emit('room-not-found', { message: ROOM_NOT_FOUND_MESSAGE });
+        return;
+    }
 
-            socket.to(socket.roomCode).emit('user-left', {
+    // A participant coming back after a dropped connection or a page reload
+    // keeps their place without going through admission again
+    const returning = room.participants.find(p => secretMatches(sessionToken, p.sessionTokenHash));
+    if (returning && await resumeParticipant(socket, normalizedCode, returning.peerId, Boolean(resume))) {
+        return;
+    }
+
+    if (!isHost) {
+        if (room.passcodeHash && !secretMatches(passcode, room.passcodeHash)) {
+            socket.emit('passcode-required', {
+                message: passcode ? 'Incorrect passcode. Please try again.' : 'This room is protected by a passcode.'
+            });
+            return;
+        }
+
+        if (room.settings.locked) {
+            socket.emit('room-locked', { message: 'The host has locked this room.' });
+            return;
+        }
+    }
+
+    if (room.participants.length >= getParticipantLimit(room)) {
+        socket.emit('room-full', { message: roomFullMessage(room) });
+        return;
+    }
+
+    // Someone the host removed only gets back in if the host lets them,
+    // even with the waiting room off. Whoever else shares their address
+    // waits for the host too.
+    const addressHash = hashSecret(getSocketIp(socket));
+    const wasRemoved = room.removed.some(r => (tokenId && r.tokenId === tokenId) || r.addressHash === addressHash);
+    if (!isHost && (room.settings.waitingRoom || wasRemoved)) {
+        await addToWaitingList(socket, normalizedCode, userName);
+        return;
+    }
+
+    await admitToRoom(socket, normalizedCode, userName, isHost);
+}
+
+/**
+ * Add a socket to a room and introduce it to everyone already in it
+ */
+async function admitToRoom(socket, roomCode, userName, isHost) {
+    // The session token lets this participant resume after a reconnect
+    const peerId = uuidv4();
+    const sessionToken = crypto.randomBytes(24).toString('base64url');
+
+    // Set before the store update so a disconnect meanwhile holds the new seat
+    socket.roomCode = roomCode;
+    socket.peerId = peerId;
+    socket.userName = userName;
+
+    // Capacity is checked again here, as other joins may have landed since
+    // the caller looked at the room
+    const outcome = await rooms.updateRoom(roomCode, room => {
+        if (room.participants.length >= getParticipantLimit(room)) return false;
+        room.emptySince = null;
+        room.participants.push({
+            peerId,
+            socketId: socket.id,
+            sessionTokenHash: hashSecret(sessionToken),
+            userName: userName || 'Anonymous',
+            isHost,
+            tokenId: socket.claims.tokenId,
+            addressHash: hashSecret(getSocketIp(socket)),
+            isMuted: false,
+            isVideoOff: false,
+            ...socket.mediaState
+        });
+        return true;
+    });
+
+    if (!outcome?.result) {
+        socket.roomCode = null;
+        socket.peerId = null;
+        if (outcome) {
+            socket.emit('room-full', { message: roomFullMessage(outcome.room) });
+        } else {
+            socket.emit('room-not-found', { message: ROOM_NOT_FOUND_MESSAGE });
+        }
+        return;
+    }
+
+    const { room } = outcome;
+    socket.join(roomCode);
+    socket.join(peerId);
+
+    console.log(`[Joined Room] ${userName} joined ${roomCode}${isHost ? ' as host' : ''}. Participants: ${room.participants.length}`);
+
+    // The newcomer learns about every existing peer and waits for their
+    // offers, or for the SFU's in a large room
+    socket.emit('room-joined', {
+        roomCode,
+        peerId,
+        sessionToken,
+        reconnected: false,
+        participantCount: room.participants.length,
+        isInitiator: room.participants.length === 1,
+        isHost,
+        settings: getPublicSettings(room),
+        schedule: getPublicSchedule(room),
+        mediaMode: getMediaMode(room),
+        maxParticipants: getParticipantLimit(room),
+        waitingList: isHost ? room.waitingList : [],
+        participants: room.participants
+            .filter(p => p.peerId !== peerId)
+            .map(toPublicParticipant),
+        messages: room.messages,
+        whiteboard: room.whiteboard,
+        // TURN credentials only go to admitted participants
+        ice: getIceServers(peerId)
+    });
+
+    // In a mesh every existing peer creates an offer towards the newcomer
+    socket.to(roomCode).emit('user-joined', {
+        peerId,
+        userName: userName,
+        isHost,
+        isMuted: socket.mediaState?.isMuted ?? false,
+        isVideoOff: socket.mediaState?.isVideoOff ?? false
+    });
+}
+
+/**
+ * Give a returning participant their place back under a new socket
+ * @param {boolean} resumed - Whether the client still has its peer connections
+ *   (a dropped socket) or starts from scratch (a page reload)
+ * @returns {Promise<boolean>} false if the participant has been removed meanwhile
+ */
+async function resumeParticipant(socket, roomCode, peerId, resumed) {
+    clearTimeout(reconnectTimers.get(peerId));
+    reconnectTimers.delete(peerId);
+
+    const outcome = await rooms.updateRoom(roomCode, room => {
+        const participant = room.participants.find(p => p.peerId === peerId);
+        if (!participant) return null;
+
+        const previousSocketId = participant.socketId;
+        participant.socketId = socket.id;
+        Object.assign(participant, socket.mediaState);
+        // A reloaded page isn't sharing its screen anymore
+        if (!resumed) participant.screenStreamId = null;
+        return { participant, previousSocketId };
+    });
+    if (!outcome?.result) return false;
+
+    const { room, result: { participant, previousSocketId } } = outcome;
+
+    // An old socket that is still connected (e.g. a duplicated tab) loses the seat
+    if (previousSocketId && previousSocketId !== socket.id) {
+        runOnSocket(previousSocketId, 'evict', roomCode, peerId, 'You joined this call from another window.');
+    }
+
+    socket.join(roomCode);
+    socket.join(peerId);
+    socket.roomCode = roomCode;
+    socket.peerId = peerId;
+    socket.userName = participant.userName;
+
+    console.log(`[Reconnected] ${participant.userName} is back in ${roomCode} (${resumed ? 'resumed' : 'fresh'})`);
+
+    socket.emit('room-joined', {
+        roomCode,
+        peerId,
+        reconnected: true,
+        participantCount: room.participants.length,
+        isInitiator: false,
+        isHost: participant.isHost,
+        settings: getPublicSettings(room),
+        schedule: getPublicSchedule(room),
+        mediaMode: getMediaMode(room),
+        maxParticipants: getParticipantLimit(room),
+        waitingList: participant.isHost ? room.waitingList : [],
+        participants: room.participants
+            .filter(p => p.peerId !== peerId)
+            .map(toPublicParticipant),
+        messages: room.messages,
+        whiteboard: room.whiteboard,
+        // TURN credentials only go to admitted participants
+        ice: getIceServers(peerId)
+    });
+
+    socket.to(roomCode).emit('peer-reconnected', {
+        peerId,
+        userName: participant.userName,
+        isMuted: participant.isMuted,
+        isVideoOff: participant.isVideoOff,
+        resumed
+    });
+
+    return true;
+}
+
+/**
+ * Keep the participant of a dropped socket in the room for a grace period
+ */
+async function holdForReconnect(socket) {
+    const { roomCode, peerId } = socket;
+    socket.roomCode = null;
+    socket.peerId = null;
+
+    const outcome = await rooms.updateRoom(roomCode, room => {
+        // Skipped if another socket has taken the seat over in the meantime
+        const participant = room.participants.find(p => p.peerId === peerId && p.socketId === socket.id);
+        if (participant) participant.socketId = null;
+        return participant || null;
+    });
+    const participant = outcome?.result;
+    if (!participant) return;
+
+    socket.to(roomCode).emit('peer-disconnected', {
+        peerId,
+        userName: participant.userName
+    });
+
+    console.log(`[Reconnect] Holding ${participant.userName}'s place in ${roomCode}`);
+
+    // The timer lives on this instance; coming back through another one
+    // fills in socketId, so the removal below finds nothing to do
+    reconnectTimers.set(peerId, setTimeout(() => {
+        reconnectTimers.delete(peerId);
+        removeParticipant(roomCode, peerId, { socketId: null })
+            .then(stale => {
+                if (stale) console.log(`[Reconnect] ${stale.userName} did not come back to ${roomCode}`);
+            })
+            .catch(err => console.error('[Error] Reconnect timeout:', err));
+    }, RECONNECT_GRACE_MS));
+}
+
+/**
+ * Remove a participant from a room and tell everyone else
+ * @param {{socketId?: string|null, byHost?: boolean}} [options] - socketId: only
+ *   remove the participant while this socket (null: none) holds their seat;
+ *   byHost: the host removed them, so they can't walk back in
+ * @returns {Promise<object|null>} The removed participant
+ */
+async function removeParticipant(roomCode, peerId, { socketId, byHost = false } = {}) {
+    clearTimeout(reconnectTimers.get(peerId));
+    reconnectTimers.delete(peerId);
+
+    const outcome = await rooms.updateRoom(roomCode, room => {
+        const participant = room.participants.find(p => p.peerId === peerId);
+        if (!participant || (socketId !== undefined && participant.socketId !== socketId)) return null;
+
+        room.participants = room.participants.filter(p => p.peerId !== peerId);
+
+        // Neither their room token nor a new one lets them in without the host
+        if (byHost) {
+            room.removed.push({ tokenId: participant.tokenId, addressHash: participant.addressHash });
+        }
+
+        // Empty rooms are kept so the host can come back with their token;
+        // the stale room sweep deletes them later
+        if (room.participants.length === 0) {
+            room.emptySince = Date.now();
+        }
+        return participant;
+    });
+    const participant = outcome?.result;
+    if (!participant) return null;
+
+    sfu?.leave(roomCode, peerId);
+
+    io.to(roomCode).except(peerId).emit('user-left', {
+        peerId,
+        userName: participant.userName
+    });
+
+    if (outcome.room.participants.length === 0) {
+        console.log(`[Room Empty] ${roomCode} - no participants`);
+    }
+
+    console.log(`[Left Room] ${participant.userName} left ${roomCode}`);
+    return participant;
+}
+
+/**
+ * Park a socket in the room's waiting list until a host admits it
+ */
+async function addToWaitingList(socket, roomCode, userName) {
+    socket.waitingRoomCode = roomCode;
+    socket.userName = userName;
+
+    const outcome = await rooms.updateRoom(roomCode, room => {
+        if (!room.waitingList.some(p => p.socketId === socket.id)) {
+            room.waitingList.push({
                 socketId: socket.id,
-                userName: socket.userName
+                userName: userName || 'Anonymous'
             });
+        }
+    });
+    if (!outcome) return;
 
-            if (room.participants.length === 0) {
-                rooms.delete(socket.roomCode);
-                console.log(`[Room Deleted] ${socket.roomCode} - no participants`);
-            }
+    console.log(`[Waiting Room] ${userName} is waiting to join ${roomCode}`);
+
+    socket.emit('waiting-for-host', {
+        message: outcome.room.participants.some(p => p.isHost)
+            ? 'Waiting for the host to let you in...'
+            : 'Waiting for the host to join...'
+    });
+    notifyHosts(outcome.room);
+}
+
+/**
+ * Send the current waiting list to every connected host in the room
+ */
+function notifyHosts(room) {
+    room.participants
+        .filter(p => p.isHost && p.socketId)
+        .forEach(host => {
+            io.to(host.socketId).emit('waiting-list', { waitingList: room.waitingList });
+        });
+}
 
-            console.log(`[Left Room] ${socket.userName} left ${socket.roomCode}`);
+/**
+ * Room of a socket if that socket joined it as host, otherwise null
+ */
+async function getHostedRoom(socket) {
+    if (!socket.roomCode) return null;
+    const room = await rooms.getRoom(socket.roomCode);
+    const participant = room?.participants.find(p => p.peerId === socket.peerId);
+    return participant?.isHost ? room : null;
+}
+
+/**
+ * Merge media state into the participant entry of a socket so that
+ * peers joining later receive the current state in 'room-joined'
+ */
+async function updateParticipant(socket, changes) {
+    const { peerId } = socket;
+    await rooms.updateRoom(socket.roomCode, room => {
+        const participant = room.participants.find(p => p.peerId === peerId);
+        if (participant) {
+            Object.assign(participant, changes);
         }
+    });
+}
+
+async function handleDisconnect(socket) {
+    const { waitingRoomCode, roomCode, peerId } = socket;
+    socket.waitingRoomCode = null;
+    socket.roomCode = null;
+    socket.peerId = null;
+
+    // Drop the socket from a waiting list it never got out of
+    if (waitingRoomCode) {
+        const outcome = await rooms.updateRoom(waitingRoomCode, room => {
+            room.waitingList = room.waitingList.filter(p => p.socketId !== socket.id);
+        });
+        if (outcome) notifyHosts(outcome.room);
+    }
 
-        socket.leave(socket.roomCode);
+    if (roomCode) {
+        socket.leave(roomCode);
+        socket.leave(peerId);
+        await removeParticipant(roomCode, peerId, { socketId: socket.id });
     }
 }
 
-// Clean up stale rooms every 30 minutes
-setInterval(() => {
-    const now = new Date();
-    const staleThreshold = 30 * 60 * 1000;
+/**
+ * End a room whose maximum duration is over: delete it and send everyone in
+ * it or waiting for it away
+ */
+async function endExpiredRoom(roomCode, now) {
+    const room = await rooms.getRoom(roomCode);
+    const endsAt = room && getRoomEndsAt(room);
+    if (!endsAt || endsAt > now) return;
+
+    if (!await rooms.deleteRoom(roomCode)) return;
+    sfu?.closeRoom(roomCode);
+
+    const message = 'This call has reached its scheduled end.';
+    for (const { peerId, socketId } of room.participants) {
+        clearTimeout(reconnectTimers.get(peerId));
+        reconnectTimers.delete(peerId);
+        if (socketId) runOnSocket(socketId, 'end', roomCode, message);
+    }
+    for (const { socketId } of room.waitingList) {
+        runOnSocket(socketId, 'end', roomCode, message);
+    }
 
-    for (const [roomCode, room] of rooms.entries()) {
-        if (room.participants.length === 0 && (now - room.createdAt) > staleThreshold) {
-            rooms.delete(roomCode);
-            console.log(`[Cleanup] Deleted stale room: ${roomCode}`);
+    console.log(`[Cleanup] Ended room at its scheduled end: ${roomCode}`);
+}
+
+// End rooms that ran out of time and delete ones nobody has been in for a
+// while. A scheduled room isn't stale before it has even started.
+setInterval(async () => {
+    const now = Date.now();
+
+    try {
+        for (const roomCode of await rooms.listRoomCodes()) {
+            await endExpiredRoom(roomCode, now);
+
+            // Checked again at deletion time in case someone just joined
+            const deleted = await rooms.deleteRoom(roomCode, room =>
+                room.participants.length === 0 &&
+                room.waitingList.length === 0 &&
+                now - Math.max(room.emptySince, room.startsAt ?? 0) > STALE_ROOM_MS
+            );
+            if (deleted) {
+                console.log(`[Cleanup] Deleted stale room: ${roomCode}`);
+            }
         }
+    } catch (err) {
+        console.error('[Cleanup] Failed:', err);
     }
-}, 30 * 60 * 1000);
+}, CLEANUP_INTERVAL_MS);
 
 // Start server
 server.listen(PORT, '0.0.0.0', () => {
@@ -322,7 +1380,7 @@ server.listen(PORT, '0.0.0.0', () => {
 ║     MeetFlow Signaling Server                     ║
 ║     Environment: ${NODE_ENV.padEnd(32)}║
 ║     Port: ${String(PORT).padEnd(40)}║
-║     CORS: Enabled for all origins                 ║
+║     CORS: ${describeCorsPolicy(corsPolicy).slice(0, 40).padEnd(40)}║
 ║     Ready for connections...                      ║
 ╚═══════════════════════════════════════════════════╝
   `);
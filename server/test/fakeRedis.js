@@ -0,0 +1,114 @@
+/**
+ * Fake Redis
+ *
+ * Just enough of the ioredis API for the Redis room store, kept in this
+ * process: GET, SET (with NX), DEL, SCAN with a MATCH pattern, and
+ * WATCH/UNWATCH/MULTI/EXEC. Connections made from one server share its
+ * data, and WATCH is per connection like in Redis, so a write from one
+ * connection fails another's transaction on the same key.
+ */
+
+/**
+ * Regular expression for a glob-style MATCH pattern (only * and ? are used)
+ */
+const patternToRegExp = (pattern) => new RegExp(
+    `^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`
+);
+
+const createFakeRedisServer = () => {
+    const data = new Map();
+    const versions = new Map(); // key -> number of writes so far
+
+    const write = (key, value) => {
+        if (value === undefined) data.delete(key);
+        else data.set(key, value);
+        versions.set(key, (versions.get(key) || 0) + 1);
+    };
+
+    const set = (key, value, mode) => {
+        if (mode === 'NX' && data.has(key)) return null;
+        write(key, value);
+        return 'OK';
+    };
+
+    const del = (key) => {
+        if (!data.has(key)) return 0;
+        write(key, undefined);
+        return 1;
+    };
+
+    /**
+     * A new connection to this server
+     */
+    const connect = () => {
+        const watched = new Map(); // key -> version when watched
+
+        return {
+            async watch(key) {
+                watched.set(key, versions.get(key) || 0);
+                return 'OK';
+            },
+
+            async unwatch() {
+                watched.clear();
+                return 'OK';
+            },
+
+            async get(key) {
+                return data.has(key) ? data.get(key) : null;
+            },
+
+            async set(key, value, mode) {
+                return set(key, value, mode);
+            },
+
+            async del(key) {
+                return del(key);
+            },
+
+            async scan(cursor, ...options) {
+                const match = options[options.indexOf('MATCH') + 1] || '*';
+                const count = Number(options[options.indexOf('COUNT') + 1]) || 10;
+                const regExp = patternToRegExp(match);
+
+                const keys = [...data.keys()];
+                const start = Number(cursor);
+                const page = keys.slice(start, start + count).filter(key => regExp.test(key));
+                const next = start + count >= keys.length ? '0' : String(start + count);
+                return [next, page];
+            },
+
+            multi() {
+                const queued = [];
+                const tx = {
+                    set(...args) {
+                        queued.push(() => set(...args));
+                        return tx;
+                    },
+                    del(...args) {
+                        queued.push(() => del(...args));
+                        return tx;
+                    },
+                    // Resolves to null, writing nothing, when a watched key changed
+                    async exec() {
+                        const conflict = [...watched].some(([key, version]) => (versions.get(key) || 0) !== version);
+                        watched.clear();
+                        if (conflict) return null;
+                        return queued.map(command => [null, command()]);
+                    }
+                };
+                return tx;
+            },
+
+            async quit() {
+                return 'OK';
+            }
+        };
+    };
+
+    return { connect };
+};
+
+module.exports = {
+    createFakeRedisServer
+};
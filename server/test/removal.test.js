@@ -0,0 +1,125 @@
+/**
+ * Removing participants, end to end: the signaling server runs in a child
+ * process and participants connect with socket.io-client like the app does.
+ *
+ *   npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const { io } = require('socket.io-client');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve once check() holds, polling until the timeout
+ */
+const waitFor = async (check, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await wait(20);
+    }
+};
+
+/**
+ * A port nothing listens on right now
+ */
+const findFreePort = async () => {
+    const probe = net.createServer().listen(0, '127.0.0.1');
+    await once(probe, 'listening');
+    const { port } = probe.address();
+    probe.close();
+    return port;
+};
+
+describe('removed participants', () => {
+    let server;
+    let baseUrl;
+    const sockets = [];
+
+    before(async () => {
+        const port = await findFreePort();
+        baseUrl = `http://127.0.0.1:${port}`;
+        server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: { ...process.env, PORT: String(port), NODE_ENV: 'test', REDIS_URL: '' },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+
+        // Up once the banner is out; later output is dropped
+        await new Promise((resolve, reject) => {
+            let output = '';
+            server.stdout.on('data', chunk => {
+                output += chunk;
+                if (output.includes('Ready for connections')) resolve();
+            });
+            server.once('exit', code => reject(new Error(`Server exited with ${code}`)));
+        });
+    });
+
+    after(() => {
+        sockets.forEach(socket => socket.disconnect());
+        server.kill();
+    });
+
+    const post = async (route, body) => {
+        const response = await fetch(`${baseUrl}${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    };
+
+    /**
+     * Connect with a room token and ask to join; resolves with the first
+     * answer: 'room-joined' or 'waiting-for-host'
+     */
+    const join = async (roomCode, token) => {
+        const socket = io(baseUrl, { auth: { token }, transports: ['websocket'], reconnection: false });
+        sockets.push(socket);
+        await once(socket, 'connect');
+
+        const answer = new Promise(resolve => {
+            for (const event of ['room-joined', 'waiting-for-host']) {
+                socket.once(event, payload => resolve({ event, payload }));
+            }
+        });
+        socket.emit('join-room', { roomCode });
+        return { socket, ...await answer };
+    };
+
+    it('sends a removed participant to the waiting list even with a new token', { timeout: 15000 }, async () => {
+        const created = await post('/api/rooms/create', { userName: 'Host' });
+        assert.equal(created.success, true);
+        const { roomCode } = created;
+
+        const host = await join(roomCode, created.token);
+        assert.equal(host.event, 'room-joined');
+        const waitingLists = [];
+        host.socket.on('waiting-list', ({ waitingList }) => waitingLists.push(waitingList));
+        host.socket.emit('update-room-settings', { waitingRoom: false });
+        await once(host.socket, 'room-settings');
+
+        const first = await post(`/api/rooms/${roomCode}/join`, { userName: 'Guest' });
+        const guest = await join(roomCode, first.token);
+        assert.equal(guest.event, 'room-joined');
+
+        const removed = once(guest.socket, 'removed-from-room');
+        host.socket.emit('remove-participant', { peerId: guest.payload.peerId });
+        await removed;
+
+        // Neither the old token nor a fresh one gets them straight back in
+        for (const token of [first.token, (await post(`/api/rooms/${roomCode}/join`, { userName: 'Guest' })).token]) {
+            const again = await join(roomCode, token);
+            assert.equal(again.event, 'waiting-for-host');
+            // The host is asked to let them in
+            await waitFor(() => waitingLists.some(list => list.some(entry => entry.socketId === again.socket.id)));
+            again.socket.disconnect();
+        }
+    });
+});
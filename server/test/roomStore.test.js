@@ -0,0 +1,223 @@
+/**
+ * Room store tests, run against the in-memory store and the Redis store on
+ * an in-process fake. Setting REDIS_URL also runs them against that
+ * redis-server (keys go under a random prefix and are deleted afterwards).
+ *
+ *   npm test
+ *   REDIS_URL=redis://localhost:6379 npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createMemoryRoomStore, createRedisRoomStore } = require('../lib/roomStore');
+const { createFakeRedisServer } = require('./fakeRedis');
+
+/**
+ * Stores to test, each with a way to open another connection to the same
+ * data where there is one
+ */
+const backends = [
+    {
+        name: 'memory store',
+        create: () => ({ store: createMemoryRoomStore() })
+    },
+    {
+        name: 'Redis store on a fake',
+        create: () => {
+            const server = createFakeRedisServer();
+            const client = server.connect();
+            return { store: createRedisRoomStore(client), client, connect: () => server.connect() };
+        }
+    }
+];
+
+if (process.env.REDIS_URL) {
+    const Redis = require('ioredis');
+    backends.push({
+        name: 'Redis store on redis-server',
+        create: () => {
+            const keyPrefix = `meetflow-test-${crypto.randomUUID()}:`;
+            const client = new Redis(process.env.REDIS_URL);
+            const extra = [];
+            return {
+                store: createRedisRoomStore(client, { keyPrefix }),
+                client,
+                keyPrefix,
+                connect: () => {
+                    const connection = new Redis(process.env.REDIS_URL);
+                    extra.push(connection);
+                    return connection;
+                },
+                cleanup: async () => {
+                    const keys = await client.keys(`${keyPrefix}*`);
+                    if (keys.length > 0) await client.del(...keys);
+                    await Promise.all(extra.map(connection => connection.quit()));
+                }
+            };
+        }
+    });
+}
+
+const newRoom = (overrides = {}) => ({ participants: [], messages: [], createdAt: 1, ...overrides });
+
+for (const backend of backends) {
+    describe(backend.name, () => {
+        let context;
+        let store;
+
+        before(() => {
+            context = backend.create();
+            store = context.store;
+        });
+
+        after(async () => {
+            await context.cleanup?.();
+            await store.close();
+        });
+
+        it('creates a room once per code', async () => {
+            assert.equal(await store.createRoom('CREATE-1', newRoom({ title: 'first' })), true);
+            assert.equal(await store.createRoom('CREATE-1', newRoom({ title: 'second' })), false);
+            assert.equal((await store.getRoom('CREATE-1')).title, 'first');
+        });
+
+        it('returns copies from getRoom', async () => {
+            await store.createRoom('COPY-1', newRoom());
+            const room = await store.getRoom('COPY-1');
+            room.participants.push({ peerId: 'a' });
+            assert.deepEqual((await store.getRoom('COPY-1')).participants, []);
+            assert.equal(await store.getRoom('MISSING-1'), null);
+        });
+
+        it('applies updates and returns the result', async () => {
+            await store.createRoom('UPDATE-1', newRoom());
+            const outcome = await store.updateRoom('UPDATE-1', room => {
+                room.participants.push({ peerId: 'a' });
+                return room.participants.length;
+            });
+            assert.equal(outcome.result, 1);
+            assert.deepEqual(outcome.room.participants, [{ peerId: 'a' }]);
+            assert.deepEqual((await store.getRoom('UPDATE-1')).participants, [{ peerId: 'a' }]);
+            assert.equal(await store.updateRoom('MISSING-2', () => true), null);
+        });
+
+        it('keeps every one of many concurrent updates', async () => {
+            await store.createRoom('CONCURRENT-1', newRoom());
+            await Promise.all(Array.from({ length: 20 }, (_, index) => (
+                store.updateRoom('CONCURRENT-1', room => room.messages.push(index))
+            )));
+            const { messages } = await store.getRoom('CONCURRENT-1');
+            assert.deepEqual([...messages].sort((a, b) => a - b), Array.from({ length: 20 }, (_, index) => index));
+        });
+
+        it('deletes rooms, optionally only when a condition holds', async () => {
+            await store.createRoom('DELETE-1', newRoom({ emptySince: null }));
+            assert.equal(await store.deleteRoom('DELETE-1', room => room.emptySince !== null), false);
+            assert.notEqual(await store.getRoom('DELETE-1'), null);
+
+            assert.equal(await store.deleteRoom('DELETE-1', room => room.emptySince === null), true);
+            assert.equal(await store.getRoom('DELETE-1'), null);
+
+            await store.createRoom('DELETE-2', newRoom());
+            assert.equal(await store.deleteRoom('DELETE-2'), true);
+            assert.equal(await store.deleteRoom('DELETE-2'), false);
+        });
+
+        it('lists the codes of every room', async () => {
+            const codes = Array.from({ length: 150 }, (_, index) => `LIST-${index}`);
+            for (const code of codes) await store.createRoom(code, newRoom());
+            await store.deleteRoom('LIST-0');
+
+            const listed = await store.listRoomCodes();
+            const ours = listed.filter(code => code.startsWith('LIST-'));
+            assert.deepEqual(ours.sort(), codes.slice(1).sort());
+        });
+
+        if (!backend.name.startsWith('Redis')) return;
+
+        /**
+         * Make the store's next `times` reads of a key race with a write
+         * to the same key from another connection, as another instance would
+         */
+        const raceReads = (key, times, write) => {
+            const other = context.connect();
+            const originalGet = context.client.get;
+            let remaining = times;
+            context.client.get = async function (...args) {
+                const raw = await originalGet.apply(this, args);
+                if (args[0] === key && remaining > 0) {
+                    remaining--;
+                    await write(other, raw);
+                }
+                return raw;
+            };
+            return () => {
+                context.client.get = originalGet;
+            };
+        };
+
+        it('retries an update when another connection changed the room meanwhile', async () => {
+            await store.createRoom('RACE-1', newRoom({ counter: 0 }));
+            const key = `${context.keyPrefix || 'meetflow:'}room:RACE-1`;
+
+            // The other connection bumps the counter before each of two attempts
+            const restore = raceReads(key, 2, async (other, raw) => {
+                const room = JSON.parse(raw);
+                room.counter += 10;
+                await other.set(key, JSON.stringify(room));
+            });
+
+            let attempts = 0;
+            try {
+                const outcome = await store.updateRoom('RACE-1', room => {
+                    attempts++;
+                    room.counter += 1;
+                    return room.counter;
+                });
+                assert.equal(attempts, 3);
+                assert.equal(outcome.result, 21);
+            } finally {
+                restore();
+            }
+            assert.equal((await store.getRoom('RACE-1')).counter, 21);
+        });
+
+        it('does not delete a room that changed between the check and the delete', async () => {
+            await store.createRoom('RACE-2', newRoom({ emptySince: 1 }));
+            const key = `${context.keyPrefix || 'meetflow:'}room:RACE-2`;
+
+            // Someone joins right after the store read the room
+            const restore = raceReads(key, 1, async (other, raw) => {
+                const room = JSON.parse(raw);
+                room.emptySince = null;
+                await other.set(key, JSON.stringify(room));
+            });
+
+            try {
+                assert.equal(await store.deleteRoom('RACE-2', room => room.emptySince !== null), false);
+            } finally {
+                restore();
+            }
+            assert.equal((await store.getRoom('RACE-2')).emptySince, null);
+        });
+
+        it('gives up on a room that keeps changing', async () => {
+            await store.createRoom('RACE-3', newRoom({ counter: 0 }));
+            const key = `${context.keyPrefix || 'meetflow:'}room:RACE-3`;
+
+            // Any write counts as a change, even of the same value
+            const restore = raceReads(key, Infinity, (other, raw) => other.set(key, raw));
+
+            try {
+                await assert.rejects(
+                    store.updateRoom('RACE-3', room => { room.counter += 1; }),
+                    /too busy/
+                );
+            } finally {
+                restore();
+            }
+            assert.equal((await store.getRoom('RACE-3')).counter, 0);
+        });
+    });
+}
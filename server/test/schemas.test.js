@@ -0,0 +1,45 @@
+/**
+ * Payload schema tests
+ *
+ *   npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { socketSchemas, MAX_WHITEBOARD_POINTS, MAX_WHITEBOARD_ELEMENT_BYTES } = require('../lib/schemas');
+
+/**
+ * A 'whiteboard-op' adding one pen stroke through the given points
+ */
+const addStroke = (points) => ({
+    id: crypto.randomUUID(),
+    type: 'add',
+    elements: [{ id: crypto.randomUUID(), kind: 'pen', color: '#111827', points }]
+});
+
+describe('whiteboard-op', () => {
+    const validate = socketSchemas['whiteboard-op'];
+
+    it('accepts a stroke of the most points the client draws', () => {
+        // Points as the whiteboard rounds them, each with all four decimals
+        const points = Array.from({ length: MAX_WHITEBOARD_POINTS }, () => [0.1234, 0.5678]);
+        const op = addStroke(points);
+        assert.equal(validate(op).error, undefined);
+        assert.ok(Buffer.byteLength(JSON.stringify(op.elements[0])) < MAX_WHITEBOARD_ELEMENT_BYTES);
+    });
+
+    it('refuses an element over the size limit', () => {
+        const points = Array.from({ length: MAX_WHITEBOARD_POINTS }, () => [0.123456789012345, 0.567890123456789]);
+        assert.equal(validate(addStroke(points)).error, `elements[0] must be at most ${MAX_WHITEBOARD_ELEMENT_BYTES} bytes`);
+    });
+
+    it('requires text on text elements', () => {
+        const op = {
+            id: crypto.randomUUID(),
+            type: 'add',
+            elements: [{ id: crypto.randomUUID(), kind: 'text', color: '#111827', points: [[0.5, 0.5]], text: ' ' }]
+        };
+        assert.match(validate(op).error, /text is required/);
+    });
+});
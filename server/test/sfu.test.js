@@ -0,0 +1,190 @@
+/**
+ * SFU tests. Participants are werift peer connections in this process
+ * talking to the SFU over local UDP, with signaling passed directly
+ * instead of through socket.io, so they run without a browser or network.
+ *
+ *   npm test
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    RTCPeerConnection, MediaStream, MediaStreamTrack, RtpPacket, RtpHeader, useOPUS, useVP8
+} = require('werift');
+const { createSfu } = require('../lib/sfu');
+
+const CLIENT_CONFIG = { iceServers: [], codecs: { audio: [useOPUS()], video: [useVP8()] } };
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve once check() holds, polling until the timeout
+ */
+const waitFor = async (check, timeoutMs = 10000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await wait(50);
+    }
+};
+
+/**
+ * A participant of a large room: joins the SFU, answers its subscribe
+ * offers (unless told not to) and counts the packets forwarded to it
+ * @param {object} [options]
+ * @param {(offer: object, index: number) => boolean} [options.answer] - Whether to answer an offer
+ * @param {(message: object) => void} [options.onSignal] - Sees every message first; throwing fails its delivery
+ */
+const createParticipant = (sfu, roomCode, peerId, { answer = () => true, onSignal } = {}) => {
+    const participant = {
+        peerId,
+        publisher: new RTCPeerConnection(CLIENT_CONFIG),
+        subscriber: new RTCPeerConnection(CLIENT_CONFIG),
+        offers: [],
+        streams: {},
+        received: new Map(), // stream id -> packets
+        timers: []
+    };
+
+    const send = (message) => sfu.handleSignal(roomCode, peerId, message).catch(() => {});
+
+    for (const transport of ['publish', 'subscribe']) {
+        const pc = transport === 'publish' ? participant.publisher : participant.subscriber;
+        pc.onIceCandidate.subscribe(candidate => {
+            if (candidate) send({ transport, candidate: candidate.toJSON() });
+        });
+    }
+
+    participant.subscriber.ontrack = ({ track, streams }) => {
+        const streamId = streams[0]?.id;
+        track.onReceiveRtp.subscribe(() => {
+            participant.received.set(streamId, (participant.received.get(streamId) || 0) + 1);
+        });
+    };
+
+    const handle = async (message) => {
+        const pc = message.transport === 'publish' ? participant.publisher : participant.subscriber;
+        if (message.candidate) {
+            await pc.addIceCandidate(message.candidate).catch(() => {});
+            return;
+        }
+        if (message.streams) Object.assign(participant.streams, message.streams);
+
+        if (message.description.type === 'answer') {
+            await pc.setRemoteDescription(message.description);
+            return;
+        }
+
+        participant.offers.push(message);
+        if (!answer(message, participant.offers.length - 1)) return;
+        await pc.setRemoteDescription(message.description);
+        await pc.setLocalDescription(await pc.createAnswer());
+        send({ transport: 'subscribe', description: { type: 'answer', sdp: pc.localDescription.sdp } });
+    };
+
+    sfu.join(roomCode, peerId, message => {
+        onSignal?.(message);
+        handle(message).catch(err => console.error(`[test] ${peerId}:`, err.message));
+    });
+
+    /**
+     * Publish an audio track and keep sending packets on it
+     */
+    participant.publish = async () => {
+        const stream = new MediaStream({ id: `stream-${peerId}` });
+        const track = new MediaStreamTrack({ kind: 'audio' });
+        participant.publisher.addTransceiver(track, { direction: 'sendonly', streams: [stream] });
+        await participant.publisher.setLocalDescription(await participant.publisher.createOffer());
+        await send({ transport: 'publish', description: { type: 'offer', sdp: participant.publisher.localDescription.sdp } });
+
+        let sequenceNumber = 0;
+        let timestamp = 0;
+        participant.timers.push(setInterval(() => {
+            const header = new RtpHeader({
+                payloadType: 96,
+                sequenceNumber: sequenceNumber++ & 0xffff,
+                timestamp: (timestamp += 960) >>> 0
+            });
+            track.writeRtp(new RtpPacket(header, Buffer.alloc(50)));
+        }, 20));
+        return stream.id;
+    };
+
+    participant.close = async () => {
+        participant.timers.forEach(clearInterval);
+        await Promise.all([participant.publisher.close(), participant.subscriber.close()]);
+    };
+
+    return participant;
+};
+
+describe('SFU', () => {
+    let sfu;
+    const participants = [];
+
+    const join = (...args) => {
+        const participant = createParticipant(sfu, ...args);
+        participants.push(participant);
+        return participant;
+    };
+
+    afterEach(async () => {
+        for (const participant of participants.splice(0)) {
+            sfu.leave('ROOM', participant.peerId);
+            await participant.close();
+        }
+    });
+
+    it('forwards every participant\'s media to everyone else', { timeout: 30000 }, async () => {
+        sfu = createSfu({ iceServers: [] });
+        const alice = join('ROOM', 'alice');
+        const bob = join('ROOM', 'bob');
+        const aliceStream = await alice.publish();
+        const bobStream = await bob.publish();
+
+        await waitFor(() => (alice.received.get(bobStream) || 0) > 20 && (bob.received.get(aliceStream) || 0) > 20);
+
+        // Subscribe offers say whose stream is whose
+        assert.equal(alice.streams[bobStream], 'bob');
+        assert.equal(bob.streams[aliceStream], 'alice');
+        assert.equal(alice.received.has(aliceStream), false);
+    });
+
+    it('offers again to a subscriber that did not answer', { timeout: 30000 }, async () => {
+        sfu = createSfu({ iceServers: [], answerTimeoutMs: 300 });
+        const alice = join('ROOM', 'alice');
+        await alice.publish();
+
+        // Bob ignores his first subscribe offer
+        const bob = join('ROOM', 'bob', { answer: (offer, index) => index > 0 });
+        await waitFor(() => bob.offers.length >= 2);
+
+        // Once he answers, later changes reach him again
+        const carol = join('ROOM', 'carol');
+        const carolStream = await carol.publish();
+        await waitFor(() => (bob.received.get(carolStream) || 0) > 20);
+    });
+
+    it('keeps negotiating after an offer could not be sent', { timeout: 30000 }, async () => {
+        sfu = createSfu({ iceServers: [] });
+        const alice = join('ROOM', 'alice');
+        await alice.publish();
+
+        // Delivering Bob's first subscribe offer fails
+        let failed = false;
+        const bob = join('ROOM', 'bob', {
+            onSignal: (message) => {
+                if (!failed && message.transport === 'subscribe' && message.description) {
+                    failed = true;
+                    throw new Error('Socket gone');
+                }
+            }
+        });
+        await wait(200);
+        assert.equal(failed, true);
+
+        const carol = join('ROOM', 'carol');
+        const carolStream = await carol.publish();
+        await waitFor(() => (bob.received.get(carolStream) || 0) > 20);
+    });
+});